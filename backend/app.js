@@ -0,0 +1,140 @@
+// backend/app.js
+//
+// createApp() builds the Express app without listening or connecting to
+// MongoDB, so tests can mount it against their own database:
+//
+//   await mongoose.connect(uri);
+//   const app = createApp({ config: loadConfig(), db: mongoose });
+//
+// `db` is a Mongoose instance; the models are compiled on it. The app's
+// models and services are on app.locals for startup tasks and tests.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const { loadConfig } = require('./config');
+const { createModels } = require('./models');
+const { createMailer } = require('./utils/mailer');
+const { createRateLimitStore } = require('./utils/rateLimiter');
+const { createOAuthProviders } = require('./utils/oidc');
+const { sendValidationError } = require('./utils/validation');
+const { createStorage } = require('./utils/storage');
+const { createEventBus } = require('./utils/eventBus');
+const { createRoleService } = require('./services/roleService');
+const { createAuditService } = require('./services/auditService');
+const { createAuthService } = require('./services/authService');
+const { createDataService } = require('./services/dataService');
+const { createHealthService } = require('./services/healthService');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { createAuthRouter } = require('./routes/auth');
+const { createAdminRouter } = require('./routes/admin');
+const { createDataRouter } = require('./routes/data');
+const { createCategoryRouter } = require('./routes/categories');
+const { createFieldRouter } = require('./routes/fields');
+const { createTeamRouter } = require('./routes/teams');
+const { createEventRouter } = require('./routes/events');
+const { createHealthRouter } = require('./routes/health');
+
+const createApp = ({ config = loadConfig(), db = mongoose } = {}) => {
+  const app = express();
+  app.set('trust proxy', config.trustProxy);
+  db.set('strictQuery', true);
+
+  const models = createModels(db);
+  const mailer = createMailer(config.mail);
+  const storage = createStorage(config.storage);
+  const eventBus = createEventBus({ bus: config.eventBus, mongoose: db });
+  const rateLimitStore = createRateLimitStore({
+    store: config.rateLimitStore,
+    mongoose: db,
+  });
+  const oauthProviders = createOAuthProviders(config.oauth);
+
+  const roles = createRoleService({ models });
+  const audit = createAuditService({ models });
+  const services = {
+    roles,
+    audit,
+    auth: createAuthService({ config, models, mailer, roles }),
+    data: createDataService({ config, models, storage, eventBus, audit }),
+    health: createHealthService({ db }),
+  };
+  const deps = {
+    config,
+    db,
+    models,
+    services,
+    middleware: createAuthMiddleware({ config, models, roles }),
+    storage,
+    eventBus,
+    rateLimitStore,
+    oauthProviders,
+  };
+
+  // -------- Middleware --------
+  app.use(
+    cors({
+      origin: config.corsOrigin,
+      credentials: true,
+      exposedHeaders: ['ETag'],
+    })
+  );
+  // Imports read their body themselves, with a higher limit for every file
+  // format (see routes/data/transfer.js), so JSON ones are left alone here
+  const jsonBody = express.json({ limit: '1mb' });
+  app.use((req, res, next) =>
+    req.path === '/api/data/import' ? next() : jsonBody(req, res, next)
+  );
+  app.use(cookieParser());
+
+  // Minimal security headers (adjust as needed)
+  app.use((req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    next();
+  });
+
+  // -------- Routes --------
+  app.use('/api/auth', createAuthRouter(deps));
+  app.use('/api/admin', createAdminRouter(deps));
+  app.use('/api/data', createDataRouter(deps));
+  app.use('/api/categories', createCategoryRouter(deps));
+  app.use('/api/fields', createFieldRouter(deps));
+  app.use('/api/teams', createTeamRouter(deps));
+  app.use('/api/events', createEventRouter(deps));
+  app.use('/health', createHealthRouter(deps));
+
+  // The local storage driver serves its own signed links; the signature is
+  // the only credential, so no authentication here
+  if (storage.handleDownload) {
+    app.get('/api/files', storage.handleDownload);
+  }
+
+  // -------- Global error handler --------
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    // Input the route schemas didn't catch: a value Mongoose couldn't cast,
+    // or a body that isn't JSON
+    if (err instanceof mongoose.Error.CastError) {
+      return sendValidationError(res, {
+        [err.path]: `${err.path} is not valid`,
+      });
+    }
+    if (err.type === 'entity.parse.failed') {
+      return sendValidationError(res, {
+        body: 'The request body is not valid JSON',
+      });
+    }
+    console.error(err);
+    const status = err.status || 500;
+    res.status(status).json({ error: err.message || 'Server error' });
+  });
+
+  app.locals.models = models;
+  app.locals.services = services;
+  return app;
+};
+
+module.exports = { createApp };
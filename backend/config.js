@@ -0,0 +1,129 @@
+// backend/config.js
+//
+// Settings read from the environment. createApp() takes the result, so
+// tests can start from loadConfig() and override what they need.
+
+const DEFAULT_ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const loadConfig = (env = process.env) => {
+  const port = env.PORT || 5000;
+  const jwtSecret =
+    env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+  const corsOrigin = env.CORS_ORIGIN || 'http://localhost:3000';
+
+  return {
+    port,
+    mongodbUri: env.MONGODB_URI || 'mongodb://localhost:27017/mern_auth_db',
+    jwtSecret,
+    corsOrigin,
+    // Short-lived access JWTs; long-lived sessions are kept alive by rotating
+    // refresh tokens stored (hashed) in the Session collection.
+    accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: Number(env.REFRESH_TOKEN_TTL_DAYS) || 7,
+    cookieSecure: env.COOKIE_SECURE
+      ? env.COOKIE_SECURE === 'true'
+      : env.NODE_ENV === 'production',
+    // Public URL of the frontend, used for links in outgoing mail
+    appUrl: env.APP_URL || corsOrigin,
+    resetTokenTtlMinutes: Number(env.RESET_TOKEN_TTL_MINUTES) || 30,
+    // Block unverified accounts from the data API (set to "false" to disable)
+    requireEmailVerification: env.REQUIRE_EMAIL_VERIFICATION !== 'false',
+    verificationTokenTtlHours: Number(env.VERIFICATION_TOKEN_TTL_HOURS) || 24,
+    verificationResendCooldownSeconds:
+      Number(env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60,
+    // Two-factor authentication
+    totpIssuer: env.TOTP_ISSUER || 'MERN Auth',
+    mfaChallengeTtl: env.MFA_CHALLENGE_TTL || '5m',
+    // Brute-force protection: per-IP and per-account request limits on the
+    // credential endpoints, plus an exponentially growing lockout after
+    // repeated failed logins. Use RATE_LIMIT_STORE=mongo when running replicas.
+    rateLimitStore: env.RATE_LIMIT_STORE || 'memory',
+    authRateLimitWindowMs:
+      Number(env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    authRateLimitMaxPerIp: Number(env.AUTH_RATE_LIMIT_MAX_PER_IP) || 50,
+    authRateLimitMaxPerAccount:
+      Number(env.AUTH_RATE_LIMIT_MAX_PER_ACCOUNT) || 10,
+    lockoutThreshold: Number(env.LOCKOUT_THRESHOLD) || 5,
+    lockoutBaseSeconds: Number(env.LOCKOUT_BASE_SECONDS) || 30,
+    lockoutMaxSeconds: Number(env.LOCKOUT_MAX_SECONDS) || 3600,
+    // Live updates reach the clients of one process with "memory"; use
+    // "mongo" when running replicas
+    eventBus: env.EVENT_BUS || 'memory',
+    // Deleted data items stay in the trash this long before they are purged
+    trashRetentionDays: Number(env.TRASH_RETENTION_DAYS) || 30,
+    trashPurgeIntervalMinutes: Number(env.TRASH_PURGE_INTERVAL_MINUTES) || 60,
+    mail: {
+      transport: env.MAIL_TRANSPORT || 'file',
+      from: env.MAIL_FROM || 'MERN Auth <no-reply@localhost>',
+      outputDir: env.MAIL_OUTPUT_DIR,
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    },
+    // Attachment storage: "local" keeps files under STORAGE_LOCAL_DIR and
+    // serves them itself; "s3" uses S3 or an S3-compatible store (MinIO, or
+    // `npm run mock-s3` locally)
+    storage: {
+      driver: env.STORAGE_DRIVER || 'local',
+      directory: env.STORAGE_LOCAL_DIR || 'uploads',
+      secret: env.FILE_URL_SECRET || jwtSecret,
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION,
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false',
+    },
+    attachmentMaxBytes: (Number(env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024,
+    attachmentUrlTtlSeconds: Number(env.ATTACHMENT_URL_TTL_SECONDS) || 300,
+    attachmentTypes: (
+      env.ATTACHMENT_TYPES || DEFAULT_ATTACHMENT_TYPES.join(',')
+    )
+      .split(',')
+      .map((type) => type.trim())
+      .filter(Boolean),
+    // Proxies allowed to set X-Forwarded-For (nginx / ingress on private
+    // networks)
+    trustProxy: env.TRUST_PROXY || 'loopback, linklocal, uniquelocal',
+    // Social sign-in. A provider is enabled once its client ID is set;
+    // register <OAUTH_CALLBACK_BASE_URL>/api/auth/oauth/<provider>/callback
+    // with it.
+    oauth: {
+      callbackBaseUrl:
+        env.OAUTH_CALLBACK_BASE_URL || `http://localhost:${port}`,
+      providers: {
+        google: {
+          clientId: env.GOOGLE_CLIENT_ID,
+          clientSecret: env.GOOGLE_CLIENT_SECRET,
+        },
+        github: {
+          clientId: env.GITHUB_CLIENT_ID,
+          clientSecret: env.GITHUB_CLIENT_SECRET,
+        },
+        // Generic OpenID Connect issuer, e.g. `npm run mock-oidc` locally
+        oidc: {
+          issuer: env.OIDC_ISSUER,
+          name: env.OIDC_PROVIDER_NAME,
+          clientId: env.OIDC_CLIENT_ID,
+          clientSecret: env.OIDC_CLIENT_SECRET,
+        },
+      },
+    },
+  };
+};
+
+module.exports = { loadConfig };
@@ -0,0 +1,7 @@
+// backend/middleware/asyncHandler.js
+
+// Passes a rejected promise from an async handler on to the error handler
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+module.exports = { asyncHandler };
@@ -0,0 +1,104 @@
+// backend/middleware/auth.js
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { asyncHandler } = require('./asyncHandler');
+const { hasPermission } = require('../services/roleService');
+
+// How often an active session's lastSeenAt is written back
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+const createAuthMiddleware = ({ config, models, roles }) => {
+  const { User, Session } = models;
+
+  const authenticateToken = asyncHandler(async (req, res, next) => {
+    const authHeader = req.headers['authorization'] || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (err) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    const session = mongoose.isValidObjectId(decoded.sid)
+      ? await Session.findById(decoded.sid)
+      : null;
+    if (
+      !session ||
+      session.revokedAt ||
+      String(session.userId) !== String(decoded.userId)
+    ) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    if (user.disabled) {
+      return res.status(403).json({ error: 'This account has been disabled' });
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { lastSeenAt: new Date(), ip: req.ip } }
+      );
+    }
+
+    req.user = user;
+    req.authSession = session;
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
+    req.permissions = await roles.getPermissions(user.role);
+    next();
+  });
+
+  // Allows the request through if the user holds any of the given permissions
+  const can =
+    (...permissions) =>
+    (req, res, next) => {
+      if (!permissions.some((permission) => hasPermission(req, permission))) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+      next();
+    };
+
+  // Keeps unverified accounts out of routes that need a confirmed address
+  const requireVerifiedEmail = (req, res, next) => {
+    if (config.requireEmailVerification && !req.user.emailVerified) {
+      return res.status(403).json({
+        error: 'Please verify your email address first',
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+    }
+    next();
+  };
+
+  // Sign-in, email verification and data permission checks in one
+  const canReadData = [
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:read:own', 'data:read:any'),
+  ];
+  const canWriteData = [
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+  ];
+
+  return {
+    authenticateToken,
+    can,
+    requireVerifiedEmail,
+    canReadData,
+    canWriteData,
+  };
+};
+
+module.exports = { createAuthMiddleware };
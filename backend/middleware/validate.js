@@ -0,0 +1,24 @@
+// backend/middleware/validate.js
+
+const {
+  validateInput,
+  sendValidationError,
+} = require('../utils/validation');
+
+// Checks req.params, req.query and req.body against the schemas given for
+// them (see utils/validation.js) and replaces them with the normalised
+// values. Invalid requests are answered with 400
+// { error, code: 'VALIDATION_FAILED', fields } before the handler runs.
+const validate = (schemas) => (req, res, next) => {
+  const fields = {};
+  ['params', 'query', 'body'].forEach((part) => {
+    if (!schemas[part]) return;
+    const { values, errors } = validateInput(schemas[part], req[part]);
+    req[part] = values;
+    Object.assign(fields, errors);
+  });
+  if (Object.keys(fields).length) return sendValidationError(res, fields);
+  next();
+};
+
+module.exports = { validate };
@@ -0,0 +1,43 @@
+// backend/models/auditEvent.js
+
+const mongoose = require('mongoose');
+
+// Append-only record of security-relevant events. The model refuses updates
+// and deletes; entries are only ever created through recordAudit().
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Dotted event name, e.g. "auth.login_failed" or "data.updated"
+    action: { type: String, required: true, index: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    // Kept alongside the ID so entries stay readable after a user is deleted
+    actorEmail: { type: String, lowercase: true },
+    targetType: { type: String },
+    targetId: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+    // Values of the changed fields before and after the event
+    changes: {
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((operation) => {
+  auditEventSchema.pre(operation, function (next) {
+    next(new Error('Audit events are append-only'));
+  });
+});
+
+module.exports = { auditEventSchema };
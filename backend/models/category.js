@@ -0,0 +1,25 @@
+// backend/models/category.js
+
+const mongoose = require('mongoose');
+
+// Per-user category tree for data items; top-level categories have no parent
+const categorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 64 },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+categorySchema.index({ userId: 1, parentId: 1, name: 1 }, { unique: true });
+
+module.exports = { categorySchema };
@@ -0,0 +1,25 @@
+// backend/models/customField.js
+
+const mongoose = require('mongoose');
+const { FIELD_TYPES } = require('../utils/customFields');
+
+// Typed fields a user adds to their own data items (see utils/customFields)
+const customFieldSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    key: { type: String, required: true },
+    label: { type: String, required: true, trim: true },
+    type: { type: String, enum: FIELD_TYPES, required: true },
+    // Allowed values for "select" fields
+    options: { type: [String], default: [] },
+    required: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+customFieldSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = { customFieldSchema };
@@ -0,0 +1,103 @@
+// backend/models/dataItem.js
+
+const mongoose = require('mongoose');
+
+// A file attached to a data item; the bytes live in attachment storage
+const attachmentSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  size: { type: Number, required: true },
+  mimeType: { type: String, required: true },
+  storageKey: { type: String, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  uploadedAt: { type: Date, default: Date.now },
+});
+
+// Access to a data item granted to another user or to a whole team
+const SHARE_LEVELS = ['viewer', 'editor'];
+const shareSchema = new mongoose.Schema(
+  {
+    principalType: { type: String, enum: ['user', 'team'], required: true },
+    // A User or Team ID, depending on principalType
+    principalId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    level: { type: String, enum: SHARE_LEVELS, required: true },
+    sharedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sharedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const dataItemSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    description: { type: String, required: true },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tags: { type: [String], default: [] },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+    // Values for the owner's CustomField definitions, keyed by field key
+    customFields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    shares: { type: [shareSchema], default: [] },
+    attachments: { type: [attachmentSchema], default: [] },
+    // Incremented on every change; revision N holds the content at version N
+    version: { type: Number, default: 1 },
+    // Set while the item is in the trash
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+dataItemSchema.index({ userId: 1, tags: 1 });
+dataItemSchema.index({ 'shares.principalId': 1 });
+dataItemSchema.index({ userId: 1, categoryId: 1 });
+// Full-text search for GET /api/data?q=
+dataItemSchema.index(
+  { title: 'text', description: 'text' },
+  { weights: { title: 3, description: 1 } }
+);
+dataItemSchema.index({ userId: 1, createdAt: -1 });
+dataItemSchema.index({ deletedAt: 1 });
+
+// Items in the trash are invisible to ordinary queries. A query reaches them
+// by filtering on deletedAt itself, or with the `withDeleted` option.
+const filtersOnDeletedAt = (filter) =>
+  Object.entries(filter || {}).some(
+    ([key, value]) =>
+      key === 'deletedAt' ||
+      (['$and', '$or', '$nor'].includes(key) && value.some(filtersOnDeletedAt))
+  );
+dataItemSchema.pre(
+  [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'countDocuments',
+    'distinct',
+    'updateMany',
+    'deleteMany',
+  ],
+  function hideTrashedItems() {
+    if (this.getOptions().withDeleted || filtersOnDeletedAt(this.getFilter())) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  }
+);
+dataItemSchema.pre('aggregate', function hideTrashedItems() {
+  const [first] = this.pipeline();
+  if (!first || !first.$match || !filtersOnDeletedAt(first.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+module.exports = { dataItemSchema, SHARE_LEVELS };
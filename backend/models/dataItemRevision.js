@@ -0,0 +1,28 @@
+// backend/models/dataItemRevision.js
+
+const mongoose = require('mongoose');
+
+// A snapshot of a data item's content after a create, update or restore
+const dataItemRevisionSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataItem',
+    required: true,
+  },
+  version: { type: Number, required: true },
+  title: String,
+  description: String,
+  tags: [String],
+  categoryId: mongoose.Schema.Types.ObjectId,
+  customFields: mongoose.Schema.Types.Mixed,
+  // Null for the baseline of items that predate revision history
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Kept so the history stays readable after the author is deleted
+  authorName: String,
+  // Version this one was restored from, if it was a restore
+  restoredFrom: { type: Number, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+dataItemRevisionSchema.index({ itemId: 1, version: -1 }, { unique: true });
+
+module.exports = { dataItemRevisionSchema };
@@ -0,0 +1,37 @@
+// backend/models/index.js
+//
+// Schemas live in their own modules; createModels() compiles them on a
+// Mongoose instance, so an app (or a test) can bring its own connection.
+// Models already compiled on that instance are reused.
+
+const { userSchema } = require('./user');
+const { roleSchema } = require('./role');
+const { dataItemSchema, SHARE_LEVELS } = require('./dataItem');
+const { dataItemRevisionSchema } = require('./dataItemRevision');
+const { sessionSchema } = require('./session');
+const { auditEventSchema } = require('./auditEvent');
+const { categorySchema } = require('./category');
+const { customFieldSchema } = require('./customField');
+const { teamSchema, TEAM_ROLES } = require('./team');
+
+const SCHEMAS = {
+  User: userSchema,
+  Role: roleSchema,
+  DataItem: dataItemSchema,
+  DataItemRevision: dataItemRevisionSchema,
+  Session: sessionSchema,
+  AuditEvent: auditEventSchema,
+  Category: categorySchema,
+  CustomField: customFieldSchema,
+  Team: teamSchema,
+};
+
+const createModels = (db) =>
+  Object.fromEntries(
+    Object.entries(SCHEMAS).map(([name, schema]) => [
+      name,
+      db.models[name] || db.model(name, schema),
+    ])
+  );
+
+module.exports = { createModels, SHARE_LEVELS, TEAM_ROLES };
@@ -0,0 +1,25 @@
+// backend/models/role.js
+
+const mongoose = require('mongoose');
+
+// Named bundles of permissions, editable by admins. A user's access is
+// whatever their role grants; see PERMISSIONS for the catalogue.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: /^[a-z0-9_-]{2,32}$/,
+    },
+    description: { type: String, default: '', trim: true },
+    permissions: { type: [String], default: [] },
+    // Built-in roles are seeded on startup and can't be deleted
+    builtIn: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+module.exports = { roleSchema };
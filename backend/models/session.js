@@ -0,0 +1,30 @@
+// backend/models/session.js
+
+const mongoose = require('mongoose');
+
+// One document per refresh-token family (i.e. per login on a device). The
+// current token hash rotates on every refresh; previously issued hashes are
+// kept so a replayed token can be recognised and the whole family revoked.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastSeenAt: { type: Date, default: Date.now },
+    tokenHash: { type: String, required: true, unique: true },
+    previousTokenHashes: { type: [String], default: [], index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+// Let MongoDB purge sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = { sessionSchema };
@@ -0,0 +1,30 @@
+// backend/models/team.js
+
+const mongoose = require('mongoose');
+
+// A named group of users that data items can be shared with. Owners manage
+// the name and membership; every team keeps at least one owner.
+const TEAM_ROLES = ['owner', 'member'];
+const teamMemberSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: { type: String, enum: TEAM_ROLES, default: 'member' },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const teamSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 64 },
+    members: { type: [teamMemberSchema], default: [] },
+  },
+  { timestamps: true }
+);
+teamSchema.index({ 'members.userId': 1 });
+
+module.exports = { teamSchema, TEAM_ROLES };
@@ -0,0 +1,63 @@
+// backend/models/user.js
+
+const mongoose = require('mongoose');
+
+// An external account (Google, GitHub, ...) the user can sign in with
+const identitySchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    // The provider's stable user ID ("sub" claim)
+    subject: { type: String, required: true },
+    email: { type: String, lowercase: true },
+    linkedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const userSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, unique: true, lowercase: true },
+    password: { type: String, required: true, minlength: 6 },
+    // Name of a document in the Role collection
+    role: { type: String, default: 'user', trim: true, lowercase: true },
+    // Only the SHA-256 of the emailed reset token is stored
+    passwordResetTokenHash: { type: String, select: false, index: true },
+    passwordResetExpiresAt: { type: Date, select: false },
+    emailVerified: { type: Boolean, default: false },
+    emailVerificationTokenHash: { type: String, select: false, index: true },
+    emailVerificationExpiresAt: { type: Date, select: false },
+    verificationEmailSentAt: { type: Date, select: false },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Secret generated during enrollment, promoted once a code is confirmed
+      pendingSecret: { type: String, select: false },
+      recoveryCodeHashes: { type: [String], select: false },
+      // Last accepted TOTP time step, so a code can't be replayed
+      lastUsedStep: { type: Number, select: false },
+    },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    // Set by admins: a disabled account can't sign in or use its tokens
+    disabled: { type: Boolean, default: false },
+    // Set by admins: login is refused until the password has been reset
+    passwordResetRequired: { type: Boolean, default: false },
+    // False for accounts created through social sign-in until the user sets
+    // a password with the reset flow
+    hasPassword: { type: Boolean, default: true },
+    identities: { type: [identitySchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+// One account per provider identity; accounts without any are left out
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  {
+    unique: true,
+    partialFilterExpression: { 'identities.subject': { $exists: true } },
+  }
+);
+
+module.exports = { userSchema };
@@ -0,0 +1,529 @@
+// backend/routes/admin.js
+//
+// Mounted at /api/admin: user accounts, roles and the audit log.
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+const { toCsvRow } = require('../utils/csv');
+const { streamCursorToResponse } = require('../utils/stream');
+const { pickFields, diffFields } = require('../utils/changes');
+const { dateRange, escapeRegex } = require('../utils/query');
+const {
+  string,
+  oneOf,
+  integer,
+  objectId,
+  date,
+  array,
+  sendValidationError,
+} = require('../utils/validation');
+const { userTarget } = require('../services/auditService');
+const { PERMISSIONS } = require('../services/roleService');
+
+const toRoleResponse = (role, userCount) => ({
+  id: role._id,
+  name: role.name,
+  description: role.description,
+  permissions: role.permissions,
+  builtIn: role.builtIn,
+  userCount,
+});
+
+const ROLE_AUDIT_FIELDS = ['description', 'permissions'];
+
+// Returns an error message, or null if every permission is in the catalogue
+const validatePermissionList = (permissions) => {
+  const unknown = permissions.filter((p) => !(p in PERMISSIONS));
+  return unknown.length ? `Unknown permissions: ${unknown.join(', ')}` : null;
+};
+
+const toAuditEventResponse = (event) => ({
+  id: event._id,
+  action: event.action,
+  actorId: event.actorId,
+  actorEmail: event.actorEmail,
+  targetType: event.targetType,
+  targetId: event.targetId,
+  ip: event.ip,
+  userAgent: event.userAgent,
+  changes: event.changes,
+  metadata: event.metadata,
+  createdAt: event.createdAt,
+});
+
+const AUDIT_CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'actorId',
+  'actorEmail',
+  'targetType',
+  'targetId',
+  'ip',
+  'userAgent',
+  'changes',
+  'metadata',
+];
+
+const AUDIT_FILTER_PARAMS = [
+  'action',
+  'actor',
+  'targetType',
+  'targetId',
+  'from',
+  'to',
+];
+
+// -------- Request schemas (see utils/validation.js) --------
+const PAGE_QUERY = { page: integer({ min: 1, default: 1 }) };
+const USER_PARAMS = { id: objectId({ label: 'User ID' }) };
+const USERS_QUERY = {
+  ...PAGE_QUERY,
+  limit: integer({ min: 1, max: 100, default: 20 }),
+  search: string({ max: 100, optional: true }),
+};
+const USER_ROLE_BODY = { role: string({ max: 32, lowercase: true }) };
+const ROLE_PARAMS = { name: string({ max: 32 }) };
+const ROLE_FIELDS = {
+  // Cleared with null or ""
+  description: string({ max: 200, optional: true, nullable: true }),
+  permissions: array(string(), { optional: true }),
+};
+const CREATE_ROLE_BODY = {
+  name: string({
+    lowercase: true,
+    pattern: /^[a-z0-9_-]{2,32}$/,
+    patternMessage: 'must be 2-32 letters, digits, dashes or underscores',
+  }),
+  ...ROLE_FIELDS,
+};
+const AUDIT_QUERY = {
+  ...PAGE_QUERY,
+  limit: integer({ min: 1, max: 100, default: 50 }),
+  format: oneOf(['json', 'csv'], { default: 'json' }),
+  action: string({ max: 500, optional: true }),
+  actor: string({ max: 100, optional: true }),
+  targetType: string({ max: 32, optional: true }),
+  targetId: string({ max: 64, optional: true, label: 'Target ID' }),
+  from: date({ optional: true }),
+  to: date({ optional: true }),
+};
+
+// Validated query -> filter. `action` takes a comma-separated list where an
+// entry ending in "." matches the whole family (e.g. "auth."); `actor`
+// matches part of the actor's email; `from` / `to` bound the date range.
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  const actions = (query.action || '')
+    .split(',')
+    .map((action) => action.trim())
+    .filter(Boolean);
+  if (actions.length) {
+    filter.action = {
+      $in: actions.map((action) =>
+        action.endsWith('.') ? new RegExp(`^${escapeRegex(action)}`) : action
+      ),
+    };
+  }
+  if (query.actor) {
+    filter.actorEmail = new RegExp(escapeRegex(query.actor), 'i');
+  }
+  if (query.targetType) filter.targetType = query.targetType;
+  if (query.targetId) filter.targetId = query.targetId;
+
+  const createdAt = dateRange(query.from, query.to);
+  if (createdAt) filter.createdAt = createdAt;
+  return filter;
+};
+
+const createAdminRouter = ({ models, services, middleware }) => {
+  const router = express.Router();
+  const {
+    User,
+    Role,
+    DataItem,
+    DataItemRevision,
+    Session,
+    Category,
+    CustomField,
+    Team,
+    AuditEvent,
+  } = models;
+  const { recordAudit } = services.audit;
+  const { toUserResponse, revokeAllSessions, sendPasswordResetEmail } =
+    services.auth;
+  const { removeStoredFiles } = services.data;
+  const { authenticateToken, can } = middleware;
+
+  // -------- Users --------
+  const canManageUsers = [authenticateToken, can('users:manage')];
+  const canManageRoles = [authenticateToken, can('roles:manage')];
+
+  // Loads :id into req.targetUser and keeps admins from locking themselves out
+  const loadTargetUser = [
+    validate({ params: USER_PARAMS }),
+    asyncHandler(async (req, res, next) => {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (user._id.equals(req.user._id)) {
+        return res
+          .status(400)
+          .json({ error: 'You cannot change your own account from here' });
+      }
+      req.targetUser = user;
+      next();
+    }),
+  ];
+
+  const toAdminUserResponse = (user) => ({
+    ...toUserResponse(user),
+    disabled: user.disabled,
+    passwordResetRequired: user.passwordResetRequired,
+    lockedUntil: user.lockedUntil,
+    createdAt: user.createdAt,
+  });
+
+  router.get(
+    '/users',
+    canManageUsers,
+    validate({ query: USERS_QUERY }),
+    asyncHandler(async (req, res) => {
+      const { page, limit, search } = req.query;
+
+      const filter = {};
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), 'i');
+        filter.$or = [{ name: pattern }, { email: pattern }];
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        User.countDocuments(filter),
+      ]);
+
+      return res.json({
+        users: users.map(toAdminUserResponse),
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+      });
+    })
+  );
+
+  router.patch(
+    '/users/:id/role',
+    canManageUsers,
+    loadTargetUser,
+    validate({ body: USER_ROLE_BODY }),
+    asyncHandler(async (req, res) => {
+      const { role } = req.body;
+      if (!(await Role.exists({ name: role }))) {
+        return sendValidationError(res, { role: 'Invalid role' });
+      }
+
+      const previousRole = req.targetUser.role;
+      req.targetUser.role = role;
+      await req.targetUser.save();
+      await recordAudit(req, 'user.role_changed', {
+        target: userTarget(req.targetUser),
+        before: { role: previousRole },
+        after: { role },
+      });
+      return res.json({ user: toAdminUserResponse(req.targetUser) });
+    })
+  );
+
+  router.post(
+    '/users/:id/disable',
+    canManageUsers,
+    loadTargetUser,
+    asyncHandler(async (req, res) => {
+      req.targetUser.disabled = true;
+      await req.targetUser.save();
+      await revokeAllSessions(req.targetUser._id, 'user_disabled');
+      await recordAudit(req, 'user.disabled', {
+        target: userTarget(req.targetUser),
+      });
+      return res.json({ user: toAdminUserResponse(req.targetUser) });
+    })
+  );
+
+  router.post(
+    '/users/:id/enable',
+    canManageUsers,
+    loadTargetUser,
+    asyncHandler(async (req, res) => {
+      req.targetUser.disabled = false;
+      await req.targetUser.save();
+      await recordAudit(req, 'user.enabled', {
+        target: userTarget(req.targetUser),
+      });
+      return res.json({ user: toAdminUserResponse(req.targetUser) });
+    })
+  );
+
+  router.post(
+    '/users/:id/force-password-reset',
+    canManageUsers,
+    loadTargetUser,
+    asyncHandler(async (req, res) => {
+      req.targetUser.passwordResetRequired = true;
+      await req.targetUser.save();
+      await revokeAllSessions(req.targetUser._id, 'password_reset_required');
+      await recordAudit(req, 'user.password_reset_forced', {
+        target: userTarget(req.targetUser),
+      });
+
+      try {
+        await sendPasswordResetEmail(
+          req.targetUser,
+          'An administrator has asked you to choose a new password before ' +
+            'signing in again.'
+        );
+      } catch (error) {
+        console.error('Forced password reset mail error:', error);
+      }
+
+      return res.json({ user: toAdminUserResponse(req.targetUser) });
+    })
+  );
+
+  router.delete(
+    '/users/:id',
+    canManageUsers,
+    loadTargetUser,
+    asyncHandler(async (req, res) => {
+      const userId = req.targetUser._id;
+      const items = await DataItem.find({ userId })
+        .setOptions({ withDeleted: true })
+        .select('attachments.storageKey')
+        .lean();
+      const itemIds = items.map((item) => item._id);
+      await Promise.all([
+        DataItemRevision.deleteMany({ itemId: { $in: itemIds } }),
+        DataItem.deleteMany({ userId }, { withDeleted: true }),
+        Session.deleteMany({ userId }),
+        Category.deleteMany({ userId }),
+        CustomField.deleteMany({ userId }),
+        Team.updateMany(
+          { 'members.userId': userId },
+          { $pull: { members: { userId } } }
+        ),
+        DataItem.updateMany(
+          { 'shares.principalId': userId },
+          { $pull: { shares: { principalId: userId } } },
+          { withDeleted: true }
+        ),
+      ]);
+      await Team.deleteMany({ members: { $size: 0 } });
+      await removeStoredFiles(
+        items.flatMap((item) => item.attachments.map((a) => a.storageKey))
+      );
+      await User.deleteOne({ _id: userId });
+      await recordAudit(req, 'user.deleted', {
+        target: userTarget(req.targetUser),
+        before: pickFields(req.targetUser, ['name', 'email', 'role']),
+        metadata: { deletedItems: itemIds.length },
+      });
+      return res.json({
+        message: 'User deleted',
+        deletedItems: itemIds.length,
+      });
+    })
+  );
+
+  // -------- Roles --------
+  router.get(
+    '/permissions',
+    authenticateToken,
+    can('users:manage', 'roles:manage'),
+    (req, res) => {
+      res.json({
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+          name,
+          description,
+        })),
+      });
+    }
+  );
+
+  router.get(
+    '/roles',
+    authenticateToken,
+    can('users:manage', 'roles:manage'),
+    asyncHandler(async (req, res) => {
+      const [roles, counts] = await Promise.all([
+        Role.find().sort({ builtIn: -1, name: 1 }),
+        User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+      ]);
+      const countByRole = Object.fromEntries(
+        counts.map(({ _id, count }) => [_id, count])
+      );
+      return res.json({
+        roles: roles.map((role) =>
+          toRoleResponse(role, countByRole[role.name] || 0)
+        ),
+      });
+    })
+  );
+
+  router.post(
+    '/roles',
+    canManageRoles,
+    validate({ body: CREATE_ROLE_BODY }),
+    asyncHandler(async (req, res) => {
+      const { name, description, permissions = [] } = req.body;
+      const permissionError = validatePermissionList(permissions);
+      if (permissionError) {
+        return sendValidationError(res, { permissions: permissionError });
+      }
+      if (await Role.exists({ name })) {
+        return sendValidationError(res, {
+          name: 'A role with that name exists',
+        });
+      }
+
+      const role = new Role({
+        name,
+        description: description || '',
+        permissions: [...new Set(permissions)],
+      });
+      await role.save();
+      await recordAudit(req, 'role.created', {
+        target: { type: 'role', id: role.name },
+        after: pickFields(role, ROLE_AUDIT_FIELDS),
+      });
+      return res.status(201).json({ role: toRoleResponse(role, 0) });
+    })
+  );
+
+  router.put(
+    '/roles/:name',
+    canManageRoles,
+    validate({ params: ROLE_PARAMS, body: ROLE_FIELDS }),
+    asyncHandler(async (req, res) => {
+      const { description, permissions } = req.body;
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+      if (role.name === 'admin') {
+        return res
+          .status(400)
+          .json({ error: 'The admin role always has every permission' });
+      }
+
+      const before = pickFields(role.toObject(), ROLE_AUDIT_FIELDS);
+      if (permissions !== undefined) {
+        const permissionError = validatePermissionList(permissions);
+        if (permissionError) {
+          return sendValidationError(res, { permissions: permissionError });
+        }
+        role.permissions = [...new Set(permissions)];
+      }
+      if (description !== undefined) {
+        role.description = description || '';
+      }
+      await role.save();
+      await recordAudit(req, 'role.updated', {
+        target: { type: 'role', id: role.name },
+        ...diffFields(before, role.toObject(), ROLE_AUDIT_FIELDS),
+      });
+
+      const userCount = await User.countDocuments({ role: role.name });
+      return res.json({ role: toRoleResponse(role, userCount) });
+    })
+  );
+
+  router.delete(
+    '/roles/:name',
+    canManageRoles,
+    validate({ params: ROLE_PARAMS }),
+    asyncHandler(async (req, res) => {
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({ error: 'Role not found' });
+      }
+      if (role.builtIn) {
+        return res
+          .status(400)
+          .json({ error: 'Built-in roles cannot be deleted' });
+      }
+      const userCount = await User.countDocuments({ role: role.name });
+      if (userCount > 0) {
+        return res.status(409).json({
+          error: `Role is assigned to ${userCount} user(s); reassign them first`,
+        });
+      }
+
+      await role.deleteOne();
+      await recordAudit(req, 'role.deleted', {
+        target: { type: 'role', id: role.name },
+        before: pickFields(role, ROLE_AUDIT_FIELDS),
+      });
+      return res.json({ message: 'Role deleted' });
+    })
+  );
+
+  // -------- Audit log --------
+  router.get(
+    '/audit',
+    authenticateToken,
+    can('audit:read'),
+    validate({ query: AUDIT_QUERY }),
+    asyncHandler(async (req, res) => {
+      const filter = buildAuditFilter(req.query);
+
+      if (req.query.format === 'csv') {
+        await recordAudit(req, 'audit.exported', {
+          metadata: pickFields(req.query, AUDIT_FILTER_PARAMS),
+        });
+        const date = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="audit-${date}.csv"`
+        );
+        // Stream straight from a cursor so large exports stay out of memory
+        const cursor = AuditEvent.find(filter)
+          .sort({ createdAt: -1 })
+          .lean()
+          .cursor();
+        async function* csvRows() {
+          yield toCsvRow(AUDIT_CSV_COLUMNS);
+          for await (const event of cursor) {
+            yield toCsvRow(AUDIT_CSV_COLUMNS.map((column) => event[column]));
+          }
+        }
+        return streamCursorToResponse(res, cursor, csvRows());
+      }
+
+      const { page, limit } = req.query;
+      const [events, total] = await Promise.all([
+        AuditEvent.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AuditEvent.countDocuments(filter),
+      ]);
+
+      return res.json({
+        events: events.map(toAuditEventResponse),
+        total,
+        page,
+        pages: Math.max(1, Math.ceil(total / limit)),
+      });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
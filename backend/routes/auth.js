@@ -0,0 +1,1149 @@
+// backend/routes/auth.js
+//
+// Mounted at /api/auth: registration and sign-in, refresh-token rotation,
+// email verification and password resets, two-factor authentication,
+// social sign-in, and the user's sessions and activity.
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { isDuplicateKeyError } = require('../utils/errors');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require('../utils/totp');
+const { pickFields } = require('../utils/changes');
+const {
+  string,
+  emailAddress,
+  integer,
+  objectId,
+  sendValidationError,
+} = require('../utils/validation');
+const { userTarget } = require('../services/auditService');
+const { TWO_FACTOR_SECRETS } = require('../services/authService');
+
+const REFRESH_COOKIE_NAME = 'refreshToken';
+const OAUTH_STATE_COOKIE_NAME = 'oauthState';
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+// -------- Request schemas (see utils/validation.js) --------
+const PASSWORD = string({ min: 6, max: 128, trim: false });
+// A one-time code from the authenticator app, or one of the recovery codes;
+// routes that take either check that at least one was sent
+const SECOND_FACTOR = {
+  code: string({ max: 16, optional: true, label: 'Authentication code' }),
+  recoveryCode: string({ max: 32, optional: true }),
+};
+
+const REGISTER_BODY = {
+  name: string({ max: 100 }),
+  email: emailAddress(),
+  password: PASSWORD,
+};
+const LOGIN_BODY = {
+  email: emailAddress(),
+  password: string({ trim: false }),
+};
+const LOGIN_2FA_BODY = {
+  mfaToken: string({ label: 'Challenge token' }),
+  ...SECOND_FACTOR,
+};
+const FORGOT_PASSWORD_BODY = { email: emailAddress() };
+const RESET_PASSWORD_BODY = {
+  token: string({ label: 'Reset token' }),
+  password: PASSWORD,
+};
+const VERIFY_EMAIL_BODY = { token: string({ label: 'Verification token' }) };
+const TOTP_CODE_BODY = {
+  code: string({ max: 16, label: 'Authentication code' }),
+};
+const DISABLE_2FA_BODY = {
+  password: string({ trim: false }),
+  ...SECOND_FACTOR,
+};
+const SESSION_PARAMS = { id: objectId({ label: 'Session ID' }) };
+const ACTIVITY_QUERY = { limit: integer({ min: 1, max: 50, default: 20 }) };
+
+// 400 unless a code or a recovery code came with the request
+const requireSecondFactor = (req, res, next) => {
+  if (!req.body.code && !req.body.recoveryCode) {
+    return sendValidationError(res, {
+      code: 'Enter an authentication code or a recovery code',
+    });
+  }
+  next();
+};
+
+const createAuthRouter = ({
+  config,
+  models,
+  services,
+  middleware,
+  oauthProviders,
+  rateLimitStore,
+}) => {
+  const router = express.Router();
+  const { User, Session, AuditEvent } = models;
+  const { recordAudit } = services.audit;
+  const {
+    toUserResponse,
+    toSessionUserResponse,
+    toSessionResponse,
+    hashToken,
+    generateRefreshToken,
+    refreshExpiry,
+    signAccessToken,
+    signMfaChallenge,
+    createSession,
+    revokeSession,
+    revokeAllSessions,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    verifySecondFactor,
+    lockoutSecondsRemaining,
+    recordFailedLogin,
+    clearFailedLogins,
+  } = services.auth;
+  const { authenticateToken } = middleware;
+
+  const authIpLimiter = createRateLimiter({
+    store: rateLimitStore,
+    windowMs: config.authRateLimitWindowMs,
+    max: config.authRateLimitMaxPerIp,
+    prefix: 'auth-ip',
+    message: 'Too many attempts from this network.',
+  });
+
+  const authAccountLimiter = createRateLimiter({
+    store: rateLimitStore,
+    windowMs: config.authRateLimitWindowMs,
+    max: config.authRateLimitMaxPerAccount,
+    prefix: 'auth-account',
+    keyGenerator: (req) =>
+      typeof req.body?.email === 'string'
+        ? req.body.email.trim().toLowerCase()
+        : null,
+    message: 'Too many attempts for this account.',
+  });
+
+  // The user a sign-in challenge was issued for, if it is one of ours
+  const challengeUserId = (mfaToken) => {
+    try {
+      const decoded = jwt.verify(mfaToken, config.jwtSecret);
+      return decoded.purpose === 'mfa' ? String(decoded.userId) : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  // Per account for the checks after the password: the 2FA login step, keyed
+  // by its challenge, and changes a signed-in user must confirm
+  const authUserLimiter = createRateLimiter({
+    store: rateLimitStore,
+    windowMs: config.authRateLimitWindowMs,
+    max: config.authRateLimitMaxPerAccount,
+    prefix: 'auth-user',
+    keyGenerator: (req) =>
+      req.user ? String(req.user._id) : challengeUserId(req.body?.mfaToken),
+    message: 'Too many attempts for this account.',
+  });
+
+  const refreshCookieOptions = {
+    httpOnly: true,
+    secure: config.cookieSecure,
+    sameSite: 'strict',
+    path: '/api/auth',
+  };
+
+  const setRefreshCookie = (res, refreshToken) => {
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+      ...refreshCookieOptions,
+      maxAge: config.refreshTokenTtlDays * 24 * 60 * 60 * 1000,
+    });
+  };
+
+  const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions);
+  };
+
+  const sendLockedResponse = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Too many failed attempts, this account is temporarily locked.',
+      code: 'ACCOUNT_LOCKED',
+      retryAfter,
+    });
+  };
+
+  // The PKCE verifier, nonce and state of a social sign-in travel between
+  // /start and the provider's callback in a signed cookie. It has to be
+  // SameSite=Lax to survive the top-level redirect back from the provider.
+  const oauthStateCookieOptions = {
+    httpOnly: true,
+    secure: config.cookieSecure,
+    sameSite: 'lax',
+    path: '/api/auth/oauth',
+  };
+
+  const startOAuthFlow = async (res, provider, flow) => {
+    const { url, state, nonce, codeVerifier } =
+      await provider.createAuthorizationRequest();
+    const stateToken = jwt.sign(
+      {
+        purpose: 'oauth',
+        provider: provider.id,
+        state,
+        nonce,
+        codeVerifier,
+        ...flow,
+      },
+      config.jwtSecret,
+      { expiresIn: OAUTH_STATE_TTL_SECONDS }
+    );
+    res.cookie(OAUTH_STATE_COOKIE_NAME, stateToken, {
+      ...oauthStateCookieOptions,
+      maxAge: OAUTH_STATE_TTL_SECONDS * 1000,
+    });
+    return res.json({ url });
+  };
+
+  // Sends the browser back to the app with the outcome in the URL fragment,
+  // which is never sent to a server or written to access logs
+  const redirectToApp = (res, params) =>
+    res.redirect(
+      `${config.appUrl}/oauth/callback#${new URLSearchParams(params)}`
+    );
+
+  router.post(
+    '/register',
+    authIpLimiter,
+    validate({ body: REGISTER_BODY }),
+    asyncHandler(async (req, res) => {
+      const { name, email, password } = req.body;
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(400).json({ error: 'User already exists' });
+      }
+
+      const saltRounds = 12;
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+      const user = new User({ name, email, password: hashedPassword });
+      await user.save();
+      await recordAudit(req, 'user.registered', {
+        actor: user,
+        target: userTarget(user),
+        after: pickFields(user, ['name', 'email', 'role']),
+      });
+
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification mail error:', error);
+      }
+
+      const { session, refreshToken } = await createSession(user, req);
+      setRefreshCookie(res, refreshToken);
+
+      return res.status(201).json({
+        message: 'User created successfully',
+        token: signAccessToken(user, session),
+        user: await toSessionUserResponse(user),
+      });
+    })
+  );
+
+  router.post(
+    '/login',
+    authIpLimiter,
+    authAccountLimiter,
+    validate({ body: LOGIN_BODY }),
+    asyncHandler(async (req, res) => {
+      const { email, password } = req.body;
+
+      const user = await User.findOne({ email });
+      // Failed attempts have no trustworthy actor; they target the account
+      const auditFailure = (reason) =>
+        recordAudit(req, 'auth.login_failed', {
+          actor: null,
+          target: user ? userTarget(user) : undefined,
+          metadata: { email, reason },
+        });
+
+      if (!user) {
+        await auditFailure('unknown_user');
+        return res.status(400).json({ error: 'Invalid credentials' });
+      }
+
+      // Locked accounts are rejected before the password is even checked
+      const lockedFor = lockoutSecondsRemaining(user);
+      if (lockedFor > 0) {
+        await auditFailure('locked');
+        return sendLockedResponse(res, lockedFor);
+      }
+
+      const isPasswordValid = await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        await auditFailure('bad_password');
+        const lockSeconds = await recordFailedLogin(user);
+        if (lockSeconds > 0) return sendLockedResponse(res, lockSeconds);
+        return res.status(400).json({ error: 'Invalid credentials' });
+      }
+
+      if (user.disabled) {
+        await auditFailure('disabled');
+        return res
+          .status(403)
+          .json({ error: 'This account has been disabled' });
+      }
+      if (user.passwordResetRequired) {
+        return res.status(403).json({
+          error:
+            'A password reset is required. Check your email for a reset link.',
+          code: 'PASSWORD_RESET_REQUIRED',
+        });
+      }
+
+      // With 2FA on, the password only earns a short-lived challenge token that
+      // must be exchanged at /api/auth/login/2fa together with a code.
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          message: 'Two-factor authentication required',
+          mfaRequired: true,
+          mfaToken: signMfaChallenge(user),
+        });
+      }
+
+      await clearFailedLogins(user);
+      const { session, refreshToken } = await createSession(user, req);
+      setRefreshCookie(res, refreshToken);
+      await recordAudit(req, 'auth.login', {
+        actor: user,
+        target: userTarget(user),
+        metadata: { method: 'password' },
+      });
+
+      return res.json({
+        message: 'Login successful',
+        token: signAccessToken(user, session),
+        user: await toSessionUserResponse(user),
+      });
+    })
+  );
+
+  router.post(
+    '/login/2fa',
+    authIpLimiter,
+    authUserLimiter,
+    validate({ body: LOGIN_2FA_BODY }),
+    requireSecondFactor,
+    asyncHandler(async (req, res) => {
+      const { mfaToken, code, recoveryCode } = req.body;
+
+      let decoded;
+      try {
+        decoded = jwt.verify(mfaToken, config.jwtSecret);
+      } catch (err) {
+        return res
+          .status(401)
+          .json({ error: 'Sign-in challenge expired, please log in again' });
+      }
+      if (decoded.purpose !== 'mfa') {
+        return res.status(401).json({ error: 'Invalid challenge token' });
+      }
+
+      const user = await User.findById(decoded.userId).select(
+        TWO_FACTOR_SECRETS
+      );
+      if (!user || !user.twoFactor?.enabled) {
+        return res.status(401).json({ error: 'Invalid challenge token' });
+      }
+
+      const auditFailure = (reason) =>
+        recordAudit(req, 'auth.login_failed', {
+          actor: null,
+          target: userTarget(user),
+          metadata: { email: user.email, reason },
+        });
+
+      const lockedFor = lockoutSecondsRemaining(user);
+      if (lockedFor > 0) {
+        await auditFailure('locked');
+        return sendLockedResponse(res, lockedFor);
+      }
+
+      const isValid = await verifySecondFactor(user, { code, recoveryCode });
+      if (!isValid) {
+        await auditFailure('bad_2fa_code');
+        const lockSeconds = await recordFailedLogin(user);
+        if (lockSeconds > 0) return sendLockedResponse(res, lockSeconds);
+        return res.status(400).json({ error: 'Invalid authentication code' });
+      }
+
+      await clearFailedLogins(user);
+      const { session, refreshToken } = await createSession(user, req);
+      setRefreshCookie(res, refreshToken);
+      await recordAudit(req, 'auth.login', {
+        actor: user,
+        target: userTarget(user),
+        metadata: { method: recoveryCode ? 'recovery_code' : 'totp' },
+      });
+
+      return res.json({
+        message: 'Login successful',
+        token: signAccessToken(user, session),
+        user: await toSessionUserResponse(user),
+      });
+    })
+  );
+
+  router.post(
+    '/refresh',
+    asyncHandler(async (req, res) => {
+      const presented = req.cookies?.[REFRESH_COOKIE_NAME];
+      if (!presented) {
+        return res.status(401).json({ error: 'Refresh token required' });
+      }
+
+      const tokenHash = hashToken(presented);
+      const nextToken = generateRefreshToken();
+
+      // Rotate atomically so two concurrent refreshes can't both succeed
+      const session = await Session.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+          $set: {
+            tokenHash: hashToken(nextToken),
+            expiresAt: refreshExpiry(),
+            lastSeenAt: new Date(),
+            ip: req.ip,
+          },
+          $push: { previousTokenHashes: { $each: [tokenHash], $slice: -100 } },
+        },
+        { new: true }
+      );
+
+      if (!session) {
+        // A token that was already rotated out is being replayed: assume it
+        // was stolen and kill the whole family.
+        const reused = await revokeSession(
+          { previousTokenHashes: tokenHash },
+          'reuse_detected'
+        );
+        if (reused) {
+          console.warn(
+            `Refresh token reuse detected; revoked session ${reused._id}`
+          );
+        }
+        clearRefreshCookie(res);
+        return res
+          .status(401)
+          .json({ error: 'Invalid or expired refresh token' });
+      }
+
+      const user = await User.findById(session.userId);
+      if (!user || user.disabled) {
+        await revokeSession(
+          { _id: session._id },
+          user ? 'user_disabled' : 'user_deleted'
+        );
+        clearRefreshCookie(res);
+        return res
+          .status(401)
+          .json({ error: 'Invalid or expired refresh token' });
+      }
+
+      setRefreshCookie(res, nextToken);
+      return res.json({
+        token: signAccessToken(user, session),
+        user: await toSessionUserResponse(user),
+      });
+    })
+  );
+
+  router.post(
+    '/logout',
+    asyncHandler(async (req, res) => {
+      const presented = req.cookies?.[REFRESH_COOKIE_NAME];
+      if (presented) {
+        await revokeSession({ tokenHash: hashToken(presented) }, 'logout');
+      }
+      clearRefreshCookie(res);
+      return res.json({ message: 'Logged out successfully' });
+    })
+  );
+
+  router.get(
+    '/me',
+    authenticateToken,
+    asyncHandler(async (req, res) => {
+      return res.json({
+        user: await toSessionUserResponse(req.user, req.permissions),
+      });
+    })
+  );
+
+  router.post(
+    '/forgot-password',
+    authIpLimiter,
+    authAccountLimiter,
+    validate({ body: FORGOT_PASSWORD_BODY }),
+    asyncHandler(async (req, res) => {
+      const { email } = req.body;
+
+      // Same response whether or not the account exists, so this endpoint
+      // can't be used to discover registered addresses.
+      const response = {
+        message: 'If that account exists, a password reset link has been sent',
+      };
+
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.json(response);
+      }
+
+      try {
+        await sendPasswordResetEmail(
+          user,
+          "Someone asked to reset your password. If it wasn't you, you can " +
+            'ignore this email.'
+        );
+      } catch (error) {
+        console.error('Password reset mail error:', error);
+      }
+
+      return res.json(response);
+    })
+  );
+
+  router.post(
+    '/reset-password',
+    authIpLimiter,
+    validate({ body: RESET_PASSWORD_BODY }),
+    asyncHandler(async (req, res) => {
+      const { token, password } = req.body;
+
+      const saltRounds = 12;
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+      // Matching and clearing the token in one update makes it single-use
+      const user = await User.findOneAndUpdate(
+        {
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpiresAt: { $gt: new Date() },
+        },
+        {
+          $set: {
+            password: hashedPassword,
+            failedLoginAttempts: 0,
+            lockedUntil: null,
+            passwordResetRequired: false,
+            hasPassword: true,
+          },
+          $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 },
+        }
+      );
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: 'Reset link is invalid or has expired' });
+      }
+
+      // A password change signs the account out everywhere
+      await revokeAllSessions(user._id, 'password_reset');
+      await recordAudit(req, 'auth.password_changed', {
+        actor: user,
+        target: userTarget(user),
+        metadata: { method: 'reset_link' },
+      });
+
+      return res.json({ message: 'Password has been reset, please sign in' });
+    })
+  );
+
+  router.post(
+    '/verify-email',
+    authIpLimiter,
+    validate({ body: VERIFY_EMAIL_BODY }),
+    asyncHandler(async (req, res) => {
+      const { token } = req.body;
+
+      const user = await User.findOneAndUpdate(
+        {
+          emailVerificationTokenHash: hashToken(token),
+          emailVerificationExpiresAt: { $gt: new Date() },
+        },
+        {
+          $set: { emailVerified: true },
+          $unset: {
+            emailVerificationTokenHash: 1,
+            emailVerificationExpiresAt: 1,
+          },
+        },
+        { new: true }
+      );
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: 'Verification link is invalid or has expired' });
+      }
+
+      return res.json({
+        message: 'Email address verified',
+        user: toUserResponse(user),
+      });
+    })
+  );
+
+  router.post(
+    '/resend-verification',
+    authenticateToken,
+    asyncHandler(async (req, res) => {
+      if (req.user.emailVerified) {
+        return res
+          .status(400)
+          .json({ error: 'Email address is already verified' });
+      }
+
+      const { verificationEmailSentAt } = await User.findById(
+        req.user._id
+      ).select('+verificationEmailSentAt');
+      const waitMs = verificationEmailSentAt
+        ? verificationEmailSentAt.getTime() +
+          config.verificationResendCooldownSeconds * 1000 -
+          Date.now()
+        : 0;
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: `Please wait ${retryAfter}s before requesting another email`,
+          retryAfter,
+        });
+      }
+
+      await sendVerificationEmail(req.user);
+      return res.json({ message: 'Verification email sent' });
+    })
+  );
+
+  // -------- Two-factor authentication --------
+  router.post(
+    '/2fa/setup',
+    authenticateToken,
+    asyncHandler(async (req, res) => {
+      if (req.user.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ error: 'Two-factor authentication is already enabled' });
+      }
+
+      const secret = generateSecret();
+      await User.updateOne(
+        { _id: req.user._id },
+        { $set: { 'twoFactor.pendingSecret': secret } }
+      );
+
+      return res.json({
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: req.user.email,
+          issuer: config.totpIssuer,
+        }),
+      });
+    })
+  );
+
+  router.post(
+    '/2fa/enable',
+    authenticateToken,
+    validate({ body: TOTP_CODE_BODY }),
+    asyncHandler(async (req, res) => {
+      const { code } = req.body;
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+      if (user.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ error: 'Two-factor authentication is already enabled' });
+      }
+      if (!user.twoFactor?.pendingSecret) {
+        return res.status(400).json({ error: 'Start two-factor setup first' });
+      }
+
+      const step = verifyTotp(user.twoFactor.pendingSecret, code);
+      if (step === null) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.twoFactor = {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+        lastUsedStep: step,
+      };
+      await user.save();
+      await recordAudit(req, 'auth.2fa_enabled', { target: userTarget(user) });
+
+      return res.json({
+        message: 'Two-factor authentication enabled',
+        // Shown to the user exactly once
+        recoveryCodes,
+        user: toUserResponse(user),
+      });
+    })
+  );
+
+  router.post(
+    '/2fa/disable',
+    authIpLimiter,
+    authenticateToken,
+    authUserLimiter,
+    validate({ body: DISABLE_2FA_BODY }),
+    requireSecondFactor,
+    asyncHandler(async (req, res) => {
+      const { password, code, recoveryCode } = req.body;
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+      if (!user.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      // Wrong guesses count towards the same lockout as failed logins, so a
+      // stolen access token can't be used to try passwords and codes
+      const lockedFor = lockoutSecondsRemaining(user);
+      if (lockedFor > 0) return sendLockedResponse(res, lockedFor);
+      const rejectAttempt = async (error) => {
+        const lockSeconds = await recordFailedLogin(user);
+        if (lockSeconds > 0) return sendLockedResponse(res, lockSeconds);
+        return res.status(400).json({ error });
+      };
+
+      const isPasswordValid = await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return rejectAttempt('Invalid password');
+      }
+      if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+        return rejectAttempt('Invalid authentication code');
+      }
+
+      await clearFailedLogins(user);
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: { 'twoFactor.enabled': false },
+          $unset: {
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.recoveryCodeHashes': 1,
+            'twoFactor.lastUsedStep': 1,
+          },
+        }
+      );
+      user.twoFactor.enabled = false;
+      await recordAudit(req, 'auth.2fa_disabled', { target: userTarget(user) });
+
+      return res.json({
+        message: 'Two-factor authentication disabled',
+        user: toUserResponse(user),
+      });
+    })
+  );
+
+  router.post(
+    '/2fa/recovery-codes',
+    authenticateToken,
+    validate({ body: TOTP_CODE_BODY }),
+    asyncHandler(async (req, res) => {
+      const { code } = req.body;
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+      if (!user.twoFactor?.enabled) {
+        return res
+          .status(400)
+          .json({ error: 'Two-factor authentication is not enabled' });
+      }
+      if (!(await verifySecondFactor(user, { code }))) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'twoFactor.recoveryCodeHashes': recoveryCodes.map(hashRecoveryCode),
+          },
+        }
+      );
+
+      return res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+    })
+  );
+
+  // -------- Social sign-in --------
+  const loadOAuthProvider = (req, res, next) => {
+    req.oauthProvider = oauthProviders[req.params.provider];
+    if (!req.oauthProvider) {
+      return res.status(404).json({ error: 'Unknown sign-in provider' });
+    }
+    next();
+  };
+
+  router.get('/oauth/providers', (req, res) => {
+    res.json({
+      providers: Object.values(oauthProviders).map(({ id, name }) => ({
+        id,
+        name,
+      })),
+    });
+  });
+
+  router.post(
+    '/oauth/:provider/start',
+    authIpLimiter,
+    loadOAuthProvider,
+    asyncHandler(async (req, res) =>
+      startOAuthFlow(res, req.oauthProvider, { mode: 'login' })
+    )
+  );
+
+  router.post(
+    '/oauth/:provider/link',
+    authenticateToken,
+    loadOAuthProvider,
+    asyncHandler(async (req, res) => {
+      const { id, name } = req.oauthProvider;
+      if (req.user.identities.some((identity) => identity.provider === id)) {
+        return res.status(409).json({ error: `${name} is already connected` });
+      }
+      return startOAuthFlow(res, req.oauthProvider, {
+        mode: 'link',
+        userId: req.user._id,
+      });
+    })
+  );
+
+  // The provider redirects the browser here, so every outcome is a redirect
+  // back to the app rather than a JSON response
+  router.get(
+    '/oauth/:provider/callback',
+    asyncHandler(async (req, res) => {
+      const provider = oauthProviders[req.params.provider];
+      const stateToken = req.cookies[OAUTH_STATE_COOKIE_NAME];
+      res.clearCookie(OAUTH_STATE_COOKIE_NAME, oauthStateCookieOptions);
+
+      let flow = null;
+      try {
+        flow = jwt.verify(stateToken || '', config.jwtSecret);
+      } catch (err) {
+        flow = null;
+      }
+      if (
+        !provider ||
+        !flow ||
+        flow.purpose !== 'oauth' ||
+        flow.provider !== provider.id ||
+        flow.state !== req.query.state
+      ) {
+        return redirectToApp(res, {
+          error: 'Sign-in request expired or is invalid, please try again',
+        });
+      }
+
+      const fail = (error) => redirectToApp(res, { mode: flow.mode, error });
+      if (req.query.error || !req.query.code) {
+        return fail(`${provider.name} sign-in was cancelled`);
+      }
+
+      let profile;
+      try {
+        profile = await provider.handleCallback({
+          code: String(req.query.code),
+          codeVerifier: flow.codeVerifier,
+          nonce: flow.nonce,
+        });
+      } catch (error) {
+        console.error('OAuth callback error:', error);
+        return fail(`Could not complete sign-in with ${provider.name}`);
+      }
+
+      const identity = {
+        provider: provider.id,
+        subject: profile.subject,
+        email: profile.email,
+      };
+      const owner = await User.findOne({
+        identities: {
+          $elemMatch: { provider: provider.id, subject: profile.subject },
+        },
+      });
+      const failAlreadyConnected = () =>
+        fail(
+          `This ${provider.name} account is already connected to another user`
+        );
+      // Adds the identity unless the user has one for this provider. Another
+      // callback may have connected it elsewhere since the lookup above, in
+      // which case the unique index refuses it and this resolves to null.
+      const connectIdentity = async (userId) => {
+        try {
+          const result = await User.updateOne(
+            { _id: userId, 'identities.provider': { $ne: provider.id } },
+            { $push: { identities: identity } }
+          );
+          return result.modifiedCount > 0;
+        } catch (error) {
+          if (isDuplicateKeyError(error)) return null;
+          throw error;
+        }
+      };
+
+      if (flow.mode === 'link') {
+        if (owner && String(owner._id) !== String(flow.userId)) {
+          return failAlreadyConnected();
+        }
+        if (!owner) {
+          const connected = await connectIdentity(flow.userId);
+          if (connected === null) return failAlreadyConnected();
+          if (!connected) {
+            return fail(`Could not connect ${provider.name}`);
+          }
+          await recordAudit(req, 'auth.identity_linked', {
+            actor: { _id: flow.userId },
+            target: { type: 'user', id: flow.userId },
+            metadata: { provider: provider.id, email: profile.email },
+          });
+        }
+        return redirectToApp(res, { mode: 'link', linked: provider.id });
+      }
+
+      let user = owner;
+      if (!user) {
+        // Matching by email is only safe when the provider vouches for it
+        if (!profile.email || !profile.emailVerified) {
+          return fail(
+            `Your ${provider.name} account has no verified email address`
+          );
+        }
+
+        user = await User.findOne({ email: profile.email });
+        if (user && !user.emailVerified) {
+          // Someone may have registered this address without owning it
+          return fail(
+            `An account with this email already exists. Sign in with your password and verify your email, then connect ${provider.name} from the security settings.`
+          );
+        }
+
+        if (user) {
+          const connected = await connectIdentity(user._id);
+          if (connected === null) return failAlreadyConnected();
+          if (connected) {
+            await recordAudit(req, 'auth.identity_linked', {
+              actor: user,
+              target: userTarget(user),
+              metadata: { provider: provider.id, email: profile.email },
+            });
+          }
+        } else {
+          // The random password can't be used; the user may set a real one
+          // through the reset flow
+          const saltRounds = 12;
+          try {
+            user = await User.create({
+              name: profile.name || profile.email,
+              email: profile.email,
+              password: await bcrypt.hash(
+                crypto.randomBytes(32).toString('hex'),
+                saltRounds
+              ),
+              hasPassword: false,
+              emailVerified: true,
+              identities: [identity],
+            });
+          } catch (error) {
+            // A concurrent callback got there first with this identity
+            if (isDuplicateKeyError(error)) return failAlreadyConnected();
+            throw error;
+          }
+          await recordAudit(req, 'user.registered', {
+            actor: user,
+            target: userTarget(user),
+            after: pickFields(user, ['name', 'email', 'role']),
+            metadata: { provider: provider.id },
+          });
+        }
+      }
+
+      if (user.disabled) {
+        return fail('This account has been disabled');
+      }
+      if (user.passwordResetRequired) {
+        return fail(
+          'A password reset is required. Check your email for a reset link.'
+        );
+      }
+      if (user.twoFactor?.enabled) {
+        return redirectToApp(res, { mfaToken: signMfaChallenge(user) });
+      }
+
+      // The app picks the session up by calling /api/auth/refresh
+      const { refreshToken } = await createSession(user, req);
+      setRefreshCookie(res, refreshToken);
+      await recordAudit(req, 'auth.login', {
+        actor: user,
+        target: userTarget(user),
+        metadata: { method: provider.id },
+      });
+      return redirectToApp(res, { status: 'success' });
+    })
+  );
+
+  router.delete(
+    '/identities/:provider',
+    authenticateToken,
+    asyncHandler(async (req, res) => {
+      const { provider } = req.params;
+      if (
+        !req.user.identities.some((identity) => identity.provider === provider)
+      ) {
+        return res
+          .status(404)
+          .json({ error: 'That provider is not connected' });
+      }
+
+      // Refuse to remove the last way of signing in
+      const user = await User.findOneAndUpdate(
+        {
+          _id: req.user._id,
+          $or: [
+            { hasPassword: { $ne: false } },
+            { 'identities.1': { $exists: true } },
+          ],
+        },
+        { $pull: { identities: { provider } } },
+        { new: true }
+      );
+      if (!user) {
+        return res.status(400).json({
+          error:
+            'Set a password with "Forgot your password?" before disconnecting your only sign-in method',
+        });
+      }
+
+      await recordAudit(req, 'auth.identity_unlinked', {
+        target: userTarget(user),
+        metadata: { provider },
+      });
+
+      return res.json({
+        message: 'Provider disconnected',
+        user: await toSessionUserResponse(user, req.permissions),
+      });
+    })
+  );
+
+  // -------- Sessions --------
+  router.get(
+    '/sessions',
+    authenticateToken,
+    asyncHandler(async (req, res) => {
+      const sessions = await Session.find({
+        userId: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastSeenAt: -1 });
+      return res.json({
+        sessions: sessions.map((session) =>
+          toSessionResponse(session, req.authSession._id)
+        ),
+      });
+    })
+  );
+
+  router.post(
+    '/sessions/revoke-others',
+    authenticateToken,
+    asyncHandler(async (req, res) => {
+      const result = await Session.updateMany(
+        {
+          userId: req.user._id,
+          _id: { $ne: req.authSession._id },
+          revokedAt: null,
+        },
+        { $set: { revokedAt: new Date(), revokedReason: 'revoked_by_user' } }
+      );
+      return res.json({
+        message: 'Signed out of all other sessions',
+        revoked: result.modifiedCount,
+      });
+    })
+  );
+
+  router.delete(
+    '/sessions/:id',
+    authenticateToken,
+    validate({ params: SESSION_PARAMS }),
+    asyncHandler(async (req, res) => {
+      const session = await revokeSession(
+        { _id: req.params.id, userId: req.user._id },
+        'revoked_by_user'
+      );
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (String(session._id) === String(req.authSession._id)) {
+        clearRefreshCookie(res);
+      }
+      return res.json({ message: 'Session revoked' });
+    })
+  );
+
+  // The signed-in user's own recent activity, including things done to their
+  // account by others (failed sign-ins, admin changes)
+  router.get(
+    '/activity',
+    authenticateToken,
+    validate({ query: ACTIVITY_QUERY }),
+    asyncHandler(async (req, res) => {
+      const { limit } = req.query;
+      const events = await AuditEvent.find({
+        $or: [
+          { actorId: req.user._id },
+          { targetType: 'user', targetId: String(req.user._id) },
+        ],
+      })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      return res.json({
+        events: events.map((event) => ({
+          id: event._id,
+          action: event.action,
+          createdAt: event.createdAt,
+          ip: event.ip,
+          userAgent: event.userAgent,
+          byYou: String(event.actorId) === String(req.user._id),
+          metadata: event.metadata,
+        })),
+      });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
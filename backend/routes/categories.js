@@ -0,0 +1,192 @@
+// backend/routes/categories.js
+//
+// Mounted at /api/categories: each user's tree of item categories.
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+const { isDuplicateKeyError } = require('../utils/errors');
+const {
+  string,
+  objectId,
+  sendValidationError,
+} = require('../utils/validation');
+
+const toCategoryResponse = (category, itemCount = 0) => ({
+  id: category._id,
+  name: category.name,
+  parentId: category.parentId,
+  itemCount,
+});
+
+// -------- Request schemas (see utils/validation.js) --------
+const CATEGORY_PARAMS = { id: objectId({ label: 'Category ID' }) };
+// null places the category at the top level
+const PARENT_ID = { nullable: true, label: 'Parent category' };
+const CREATE_CATEGORY_BODY = {
+  name: string({ max: 64 }),
+  parentId: objectId({ ...PARENT_ID, default: null }),
+};
+const UPDATE_CATEGORY_BODY = {
+  name: string({ max: 64, optional: true }),
+  parentId: objectId({ ...PARENT_ID, optional: true }),
+};
+
+const categoryConflict = (res) =>
+  res
+    .status(409)
+    .json({ error: 'A category with that name already exists here' });
+
+const createCategoryRouter = ({ models, middleware }) => {
+  const router = express.Router();
+  const { DataItem, Category } = models;
+  const { canReadData, canWriteData } = middleware;
+
+  // Loads one of the user's categories from :id into req.category
+  const loadCategory = [
+    validate({ params: CATEGORY_PARAMS }),
+    asyncHandler(async (req, res, next) => {
+      const category = await Category.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      req.category = category;
+      next();
+    }),
+  ];
+
+  // Error message if `parentId` can't hold `categoryId` (unknown, another
+  // user's, or the category itself / one of its descendants), else null
+  const validateCategoryParent = async (userId, parentId, categoryId) => {
+    if (parentId === null) return null;
+    const categories = await Category.find({ userId })
+      .select('parentId')
+      .lean();
+    const parents = new Map(
+      categories.map((category) => [String(category._id), category.parentId])
+    );
+    if (!parents.has(String(parentId))) return 'Unknown parent category';
+
+    // Walk up from the new parent; meeting the category itself means a cycle
+    for (let id = parentId; id; id = parents.get(String(id))) {
+      if (categoryId && String(id) === String(categoryId)) {
+        return 'A category cannot be moved inside itself';
+      }
+    }
+    return null;
+  };
+
+  router.get(
+    '/',
+    canReadData,
+    asyncHandler(async (req, res) => {
+      const [categories, counts] = await Promise.all([
+        Category.find({ userId: req.user._id }).sort({ name: 1 }),
+        DataItem.aggregate([
+          { $match: { userId: req.user._id, categoryId: { $ne: null } } },
+          { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+        ]),
+      ]);
+      const countByCategory = Object.fromEntries(
+        counts.map(({ _id, count }) => [String(_id), count])
+      );
+      return res.json({
+        categories: categories.map((category) =>
+          toCategoryResponse(category, countByCategory[String(category._id)])
+        ),
+      });
+    })
+  );
+
+  router.post(
+    '/',
+    canWriteData,
+    validate({ body: CREATE_CATEGORY_BODY }),
+    asyncHandler(async (req, res) => {
+      const { name, parentId } = req.body;
+      const error = await validateCategoryParent(req.user._id, parentId);
+      if (error) {
+        return sendValidationError(res, { parentId: error });
+      }
+
+      try {
+        const category = await Category.create({
+          userId: req.user._id,
+          name,
+          parentId,
+        });
+        return res.status(201).json({ category: toCategoryResponse(category) });
+      } catch (err) {
+        if (isDuplicateKeyError(err)) return categoryConflict(res);
+        throw err;
+      }
+    })
+  );
+
+  // Rename and/or move a category
+  router.put(
+    '/:id',
+    canWriteData,
+    loadCategory,
+    validate({ body: UPDATE_CATEGORY_BODY }),
+    asyncHandler(async (req, res) => {
+      const { name, parentId } = req.body;
+      const error =
+        parentId !== undefined &&
+        (await validateCategoryParent(
+          req.user._id,
+          parentId,
+          req.category._id
+        ));
+      if (error) {
+        return sendValidationError(res, { parentId: error });
+      }
+
+      if (name !== undefined) req.category.name = name;
+      if (parentId !== undefined) req.category.parentId = parentId;
+      try {
+        await req.category.save();
+      } catch (err) {
+        if (isDuplicateKeyError(err)) return categoryConflict(res);
+        throw err;
+      }
+
+      const itemCount = await DataItem.countDocuments({
+        categoryId: req.category._id,
+      });
+      return res.json({
+        category: toCategoryResponse(req.category, itemCount),
+      });
+    })
+  );
+
+  // Subcategories and items move up to the deleted category's parent
+  router.delete(
+    '/:id',
+    canWriteData,
+    loadCategory,
+    asyncHandler(async (req, res) => {
+      const { _id: id, parentId } = req.category;
+      await Promise.all([
+        Category.updateMany(
+          { userId: req.user._id, parentId: id },
+          { $set: { parentId } }
+        ),
+        DataItem.updateMany(
+          { categoryId: id },
+          { $set: { categoryId: parentId } },
+          { withDeleted: true }
+        ),
+      ]);
+      await req.category.deleteOne();
+      return res.json({ message: 'Category deleted' });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createCategoryRouter };
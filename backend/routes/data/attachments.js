@@ -0,0 +1,246 @@
+// backend/routes/data/attachments.js
+//
+// Files attached to an item. They are stored under
+// "<owner>/<item>/<attachment>", never under a name the client chose. Only
+// the owner can add, remove or download them; everyone else who can read
+// the item sees the list.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { validate } = require('../../middleware/validate');
+const { contentMatchesType } = require('../../utils/fileTypes');
+const { objectId } = require('../../utils/validation');
+const { ITEM_PARAMS } = require('../../services/dataService');
+
+const MAX_ATTACHMENTS_PER_ITEM = 10;
+
+// -------- Request schemas (see utils/validation.js) --------
+
+const ATTACHMENT_PARAMS = {
+  ...ITEM_PARAMS,
+  attachmentId: objectId({ label: 'Attachment ID' }),
+};
+
+// A plain file name: no directories or control characters, at most 255
+// characters
+const cleanFileName = (name) =>
+  String(name || '')
+    .split(/[\\/]/)
+    .pop()
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .trim()
+    .slice(0, 255) || 'file';
+
+const createAttachmentRouter = ({
+  config,
+  models,
+  services,
+  middleware,
+  storage,
+}) => {
+  const router = express.Router();
+  const { DataItem } = models;
+  const { recordAudit } = services.audit;
+  const {
+    denyItemAccess,
+    toAttachmentResponse,
+    removeStoredFiles,
+    publishItemEvent,
+  } = services.data;
+  const { authenticateToken, can, requireVerifiedEmail } = middleware;
+
+  const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.attachmentMaxBytes,
+      files: MAX_ATTACHMENTS_PER_ITEM,
+    },
+    // Keep non-ASCII file names intact
+    defParamCharset: 'utf8',
+  }).array('files', MAX_ATTACHMENTS_PER_ITEM);
+
+  // Multer reports broken limits as errors; answer them instead of a 500
+  const parseAttachmentUpload = (req, res, next) =>
+    attachmentUpload(req, res, (error) => {
+      if (!error) return next();
+      if (!(error instanceof multer.MulterError)) return next(error);
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          error: `Files can be at most ${config.attachmentMaxBytes / (1024 * 1024)} MB`,
+        });
+      }
+      return res.status(400).json({
+        error: `Send up to ${MAX_ATTACHMENTS_PER_ITEM} files in the "files" field`,
+      });
+    });
+
+  // Loads the item into req.item, if the user owns it
+  const loadOwnedItem = [
+    validate({ params: ITEM_PARAMS }),
+    asyncHandler(async (req, res, next) => {
+      const { id } = req.params;
+      const item = await DataItem.findOne({ _id: id, userId: req.user._id });
+      if (!item) {
+        return denyItemAccess(
+          req,
+          res,
+          id,
+          'Only the owner can manage attachments'
+        );
+      }
+      req.item = item;
+      next();
+    }),
+  ];
+
+  router.post(
+    '/:id/attachments',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    loadOwnedItem,
+    parseAttachmentUpload,
+    asyncHandler(async (req, res) => {
+      const { item } = req;
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'Choose at least one file' });
+      }
+      if (item.attachments.length + files.length > MAX_ATTACHMENTS_PER_ITEM) {
+        return res.status(400).json({
+          error: `An item can have at most ${MAX_ATTACHMENTS_PER_ITEM} attachments`,
+        });
+      }
+      for (const file of files) {
+        const name = cleanFileName(file.originalname);
+        if (!config.attachmentTypes.includes(file.mimetype)) {
+          return res.status(415).json({
+            error: `"${name}" is not a file type that can be attached`,
+          });
+        }
+        if (!contentMatchesType(file.buffer, file.mimetype)) {
+          return res
+            .status(415)
+            .json({ error: `"${name}" is not really a ${file.mimetype} file` });
+        }
+      }
+
+      const attachments = files.map((file) => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+          _id,
+          name: cleanFileName(file.originalname),
+          size: file.size,
+          mimeType: file.mimetype,
+          storageKey: `${item.userId}/${item._id}/${_id}`,
+          uploadedBy: req.user._id,
+        };
+      });
+      try {
+        await Promise.all(
+          attachments.map((attachment, index) =>
+            storage.put(attachment.storageKey, files[index].buffer, {
+              contentType: attachment.mimeType,
+            })
+          )
+        );
+      } catch (error) {
+        await removeStoredFiles(attachments.map((a) => a.storageKey));
+        throw error;
+      }
+
+      // Re-check the count in the update itself in case of parallel uploads
+      const updated = await DataItem.findOneAndUpdate(
+        {
+          _id: item._id,
+          userId: req.user._id,
+          [`attachments.${MAX_ATTACHMENTS_PER_ITEM - files.length}`]: {
+            $exists: false,
+          },
+        },
+        { $push: { attachments: { $each: attachments } } },
+        { new: true }
+      );
+      if (!updated) {
+        await removeStoredFiles(attachments.map((a) => a.storageKey));
+        return res.status(409).json({
+          error: `An item can have at most ${MAX_ATTACHMENTS_PER_ITEM} attachments`,
+        });
+      }
+      await recordAudit(req, 'data.attachments_added', {
+        target: { type: 'dataItem', id: item._id },
+        metadata: { files: attachments.map((a) => a.name) },
+      });
+      await publishItemEvent(req, 'updated', updated);
+      return res
+        .status(201)
+        .json({ attachments: updated.attachments.map(toAttachmentResponse) });
+    })
+  );
+
+  router.delete(
+    '/:id/attachments/:attachmentId',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ params: ATTACHMENT_PARAMS }),
+    loadOwnedItem,
+    asyncHandler(async (req, res) => {
+      const attachment = req.item.attachments.find(
+        (a) => String(a._id) === req.params.attachmentId
+      );
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+      const updated = await DataItem.findOneAndUpdate(
+        { _id: req.item._id },
+        { $pull: { attachments: { _id: attachment._id } } },
+        { new: true }
+      );
+      await removeStoredFiles([attachment.storageKey]);
+      await recordAudit(req, 'data.attachment_removed', {
+        target: { type: 'dataItem', id: req.item._id },
+        metadata: { file: attachment.name },
+      });
+      if (updated) await publishItemEvent(req, 'updated', updated);
+      return res.json({
+        attachments: (updated ? updated.attachments : []).map(
+          toAttachmentResponse
+        ),
+      });
+    })
+  );
+
+  // A short-lived download link; see ATTACHMENT_URL_TTL_SECONDS
+  router.get(
+    '/:id/attachments/:attachmentId/url',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:read:own', 'data:read:any'),
+    validate({ params: ATTACHMENT_PARAMS }),
+    loadOwnedItem,
+    asyncHandler(async (req, res) => {
+      const attachment = req.item.attachments.find(
+        (a) => String(a._id) === req.params.attachmentId
+      );
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+      const url = await storage.signedUrl(attachment.storageKey, {
+        expiresIn: config.attachmentUrlTtlSeconds,
+        fileName: attachment.name,
+        contentType: attachment.mimeType,
+      });
+      return res.json({
+        url,
+        expiresAt: new Date(Date.now() + config.attachmentUrlTtlSeconds * 1000),
+      });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createAttachmentRouter };
@@ -0,0 +1,329 @@
+// backend/routes/data/bulk.js
+//
+// POST /api/data/bulk: many creates, updates and deletes in one request.
+
+const express = require('express');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { validate } = require('../../middleware/validate');
+const { pickFields, diffFields } = require('../../utils/changes');
+const {
+  oneOf,
+  array,
+  object,
+  partial,
+  validateInput,
+} = require('../../utils/validation');
+const {
+  DATA_AUDIT_FIELDS,
+  ITEM_PARAMS,
+  ITEM_FIELDS,
+} = require('../../services/dataService');
+
+const MAX_BULK_OPERATIONS = 100;
+// "atomic" applies every operation or none (needs MongoDB transactions);
+// "best-effort" applies what it can and reports on each operation
+const BULK_MODES = ['atomic', 'best-effort'];
+const BULK_OPS = ['create', 'update', 'delete'];
+
+// -------- Request schemas (see utils/validation.js) --------
+
+// Each operation's own fields are checked as it runs, so that in
+// best-effort mode one bad operation doesn't hold up the rest
+const BULK_BODY = {
+  mode: oneOf(BULK_MODES, { default: 'best-effort' }),
+  operations: array(object({ op: oneOf(BULK_OPS, { label: 'Operation' }) }), {
+    min: 1,
+    max: MAX_BULK_OPERATIONS,
+  }),
+};
+
+const ITEM_CHANGES = partial(ITEM_FIELDS);
+
+const bulkError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  return Object.assign(error, extra);
+};
+
+const BULK_SUCCESS_STATUS = { create: 201, update: 200, delete: 200 };
+
+// The operation's values checked against `schema`; throws a 400 bulkError
+// with the field messages otherwise
+const checkOperation = (schema, input) => {
+  const { values, errors } = validateInput(schema, input);
+  if (Object.keys(errors).length) {
+    throw bulkError(400, Object.values(errors)[0], { fields: errors });
+  }
+  return values;
+};
+
+// The per-operation result sent back to the client
+const toBulkResult = (operation, index, outcome, responses) => {
+  if (outcome instanceof Error) {
+    return {
+      index,
+      op: operation.op,
+      status: outcome.status || 500,
+      error: outcome.status ? outcome.message : 'Server error',
+      fields: outcome.fields,
+      current: outcome.current && responses.get(outcome.current),
+    };
+  }
+  return {
+    index,
+    op: operation.op,
+    status: BULK_SUCCESS_STATUS[operation.op],
+    ...(outcome.item
+      ? { item: responses.get(outcome.item) }
+      : { id: outcome.id, purgeAt: outcome.purgeAt }),
+  };
+};
+
+const createBulkRouter = ({ db, models, services, middleware }) => {
+  const router = express.Router();
+  const { DataItem } = models;
+  const { recordAudit } = services.audit;
+  const {
+    dataScope,
+    ownerScope,
+    itemDenial,
+    toDataItemResponses,
+    parseItemExtras,
+    parseNewItem,
+    saveRevision,
+    ensureBaselineRevision,
+    purgeDate,
+    publishItemEvent,
+  } = services.data;
+  const { authenticateToken, can, requireVerifiedEmail } = middleware;
+
+  const bulkDenial = async (req, id, message) => {
+    const { status, error } = await itemDenial(req, id, message);
+    return bulkError(status, error);
+  };
+
+  // Each runner takes one operation, applies it inside `session` (if any) and
+  // returns { item } or { id, purgeAt } plus a `finish` callback that writes
+  // revisions and audit entries and publishes the change. Those run only once
+  // the change is certain, i.e. after the transaction in atomic mode.
+  // Failures throw a bulkError.
+  const BULK_RUNNERS = {
+    create: async (req, { data = {} }, session) => {
+      const parsed = await parseNewItem(data, req.user._id);
+      if (parsed.error) {
+        throw bulkError(400, parsed.error, { fields: parsed.fields });
+      }
+
+      const [item] = await DataItem.create([parsed.values], { session });
+      return {
+        item,
+        finish: async () => {
+          await saveRevision(item, req.user);
+          await recordAudit(req, 'data.created', {
+            target: { type: 'dataItem', id: item._id },
+            after: pickFields(item, DATA_AUDIT_FIELDS),
+            metadata: { bulk: true },
+          });
+          await publishItemEvent(req, 'created', item);
+        },
+      };
+    },
+
+    // Unlike PUT, only the fields present in `data` change, so a batch can
+    // retag items without resending their content. `version` is required
+    // just the same.
+    update: async (req, operation, session) => {
+      const { id, version } = checkOperation(ITEM_PARAMS, operation);
+      const data = checkOperation(ITEM_CHANGES, operation.data);
+      if (!Number.isInteger(version)) {
+        throw bulkError(428, 'Send the item version you edited as "version"');
+      }
+      const writeScope = await dataScope(req, 'write');
+      const existing = await DataItem.findOne({
+        _id: id,
+        ...writeScope,
+      }).session(session);
+      if (!existing) {
+        throw await bulkDenial(
+          req,
+          id,
+          'You have view-only access to this item'
+        );
+      }
+      if (existing.version !== version) {
+        throw bulkError(409, 'This item was changed since you loaded it', {
+          current: existing,
+        });
+      }
+
+      const changes = {};
+      for (const field of ['title', 'description']) {
+        if (data[field] !== undefined) changes[field] = data[field];
+      }
+      const extras = await parseItemExtras(data, existing.userId);
+      if (extras.error) {
+        throw bulkError(400, extras.error, { fields: extras.fields });
+      }
+      Object.assign(changes, extras.values);
+      if (!Object.keys(changes).length) {
+        throw bulkError(400, 'Nothing to update');
+      }
+
+      const before = await DataItem.findOneAndUpdate(
+        { _id: id, ...writeScope, version },
+        { ...changes, $inc: { version: 1 } },
+        { new: false, session }
+      );
+      if (!before) {
+        throw bulkError(409, 'This item was changed since you loaded it', {
+          current: await DataItem.findById(id),
+        });
+      }
+      const item = await DataItem.findById(id).session(session);
+      return {
+        item,
+        finish: async () => {
+          await ensureBaselineRevision(before);
+          await saveRevision(item, req.user);
+          await recordAudit(req, 'data.updated', {
+            target: { type: 'dataItem', id: item._id },
+            ...diffFields(before, item, DATA_AUDIT_FIELDS),
+            metadata: { bulk: true },
+          });
+          await publishItemEvent(req, 'updated', item);
+        },
+      };
+    },
+
+    // Moves the item to the trash, like DELETE /api/data/:id
+    delete: async (req, operation, session) => {
+      const { id } = checkOperation(ITEM_PARAMS, operation);
+      const item = await DataItem.findOneAndUpdate(
+        { _id: id, ...ownerScope(req) },
+        { deletedAt: new Date(), deletedBy: req.user._id },
+        { new: true, session }
+      );
+      if (!item) {
+        throw await bulkDenial(req, id, 'Only the owner can delete this item');
+      }
+      return {
+        id: item._id,
+        purgeAt: purgeDate(item),
+        finish: async () => {
+          await recordAudit(req, 'data.trashed', {
+            target: { type: 'dataItem', id: item._id },
+            metadata: { title: item.title, bulk: true },
+          });
+          await publishItemEvent(req, 'deleted', item);
+        },
+      };
+    },
+  };
+
+  // Runs every operation in one transaction. Returns the outcomes, or throws
+  // the first failure with its `index`.
+  const runBulkAtomic = async (req, operations) => {
+    const session = await db.startSession();
+    let outcomes;
+    try {
+      await session.withTransaction(async () => {
+        // withTransaction may retry, so start over each time
+        outcomes = [];
+        for (const [index, operation] of operations.entries()) {
+          try {
+            outcomes.push(
+              await BULK_RUNNERS[operation.op](req, operation, session)
+            );
+          } catch (error) {
+            error.index = index;
+            throw error;
+          }
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+    return outcomes;
+  };
+
+  // Response JSON for every item the outcomes mention, keyed by document
+  const bulkResponses = async (req, outcomes) => {
+    const items = outcomes
+      .map((outcome) => outcome.item || outcome.current)
+      .filter(Boolean);
+    const responses = await toDataItemResponses(req, items);
+    return new Map(items.map((item, index) => [item, responses[index]]));
+  };
+
+  // Body: { mode, operations: [{ op: "create", data },
+  //   { op: "update", id, version, data }, { op: "delete", id }] }
+  // Responds { results, succeeded, failed } with one result per operation in
+  // request order. In atomic mode a failure changes nothing; the response
+  // carries the failing operation's status and only its result.
+  router.post(
+    '/bulk',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ body: BULK_BODY }),
+    asyncHandler(async (req, res) => {
+      const { operations, mode } = req.body;
+
+      let outcomes;
+      if (mode === 'atomic') {
+        try {
+          outcomes = await runBulkAtomic(req, operations);
+        } catch (error) {
+          // Transactions need a replica set; a standalone server says so
+          // with IllegalOperation
+          if (error.code === 20) {
+            return res.status(501).json({
+              error: 'Atomic mode needs MongoDB to run as a replica set',
+            });
+          }
+          if (error.index === undefined || !error.status) throw error;
+          const responses = await bulkResponses(req, [error]);
+          const result = toBulkResult(
+            operations[error.index],
+            error.index,
+            error,
+            responses
+          );
+          return res.status(error.status).json({
+            error: `Nothing was changed: operation ${error.index} failed (${error.message})`,
+            results: [result],
+            succeeded: 0,
+            failed: 1,
+          });
+        }
+        for (const outcome of outcomes) await outcome.finish();
+      } else {
+        outcomes = [];
+        for (const operation of operations) {
+          try {
+            const outcome = await BULK_RUNNERS[operation.op](req, operation);
+            await outcome.finish();
+            outcomes.push(outcome);
+          } catch (error) {
+            if (!error.status) console.error('Bulk operation error:', error);
+            outcomes.push(error);
+          }
+        }
+      }
+
+      const responses = await bulkResponses(req, outcomes);
+      const results = operations.map((operation, index) =>
+        toBulkResult(operation, index, outcomes[index], responses)
+      );
+      const failed = results.filter((result) => result.error).length;
+      await recordAudit(req, 'data.bulk', {
+        metadata: { mode, operations: operations.length, failed },
+      });
+      return res.json({ results, succeeded: results.length - failed, failed });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createBulkRouter };
@@ -0,0 +1,25 @@
+// backend/routes/data/index.js
+//
+// Mounted at /api/data. Each part of the data API is its own router under
+// the same prefix.
+
+const express = require('express');
+const { createItemRouter } = require('./items');
+const { createBulkRouter } = require('./bulk');
+const { createTransferRouter } = require('./transfer');
+const { createRevisionRouter } = require('./revisions');
+const { createAttachmentRouter } = require('./attachments');
+const { createShareRouter } = require('./shares');
+
+const createDataRouter = (deps) => {
+  const router = express.Router();
+  router.use(createItemRouter(deps));
+  router.use(createBulkRouter(deps));
+  router.use(createTransferRouter(deps));
+  router.use(createRevisionRouter(deps));
+  router.use(createAttachmentRouter(deps));
+  router.use(createShareRouter(deps));
+  return router;
+};
+
+module.exports = { createDataRouter };
@@ -0,0 +1,370 @@
+// backend/routes/data/items.js
+//
+// Listing, creating, editing and trashing data items, and tag suggestions.
+
+const express = require('express');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { validate } = require('../../middleware/validate');
+const { paginate } = require('../../utils/cursorPagination');
+const { buildCustomFieldFilter } = require('../../utils/customFields');
+const { pickFields, diffFields } = require('../../utils/changes');
+const { dateRange, escapeRegex } = require('../../utils/query');
+const {
+  string,
+  oneOf,
+  integer,
+  date,
+  object,
+  sendValidationError,
+} = require('../../utils/validation');
+const {
+  DATA_AUDIT_FIELDS,
+  ITEM_PARAMS,
+  ITEM_FIELDS,
+  versionETag,
+  expectedVersion,
+} = require('../../services/dataService');
+
+const DATA_SORT_FIELDS = ['createdAt', 'updatedAt', 'title'];
+const DATA_DATE_FIELDS = ['createdAt', 'updatedAt'];
+const DATA_SCOPES = ['shared', 'trash', 'all'];
+
+// -------- Request schemas (see utils/validation.js) --------
+
+const LIST_QUERY = {
+  q: string({ max: 200, optional: true, label: 'Search' }),
+  from: date({ optional: true }),
+  to: date({ optional: true }),
+  dateField: oneOf(DATA_DATE_FIELDS, { default: 'createdAt' }),
+  sort: oneOf(DATA_SORT_FIELDS, { default: 'createdAt' }),
+  order: oneOf(['asc', 'desc'], { default: 'desc' }),
+  limit: integer({ min: 1, max: 100, default: 20 }),
+  cursor: string({ optional: true }),
+  tags: string({ optional: true }),
+  category: string({
+    optional: true,
+    pattern: /^(none|[a-fA-F\d]{24})$/,
+    patternMessage: 'must be a category ID or "none"',
+  }),
+  scope: oneOf(DATA_SCOPES, { optional: true }),
+  cf: object(null, { optional: true, label: 'Custom field filter' }),
+};
+
+const UPDATE_ITEM_BODY = {
+  ...ITEM_FIELDS,
+  version: integer({ min: 1, optional: true }),
+};
+
+const TAGS_QUERY = {
+  prefix: string({ max: 32, lowercase: true, optional: true }),
+  limit: integer({ min: 1, max: 50, default: 10 }),
+};
+
+const createItemRouter = ({ models, services, middleware }) => {
+  const router = express.Router();
+  const { DataItem, CustomField } = models;
+  const { recordAudit } = services.audit;
+  const {
+    principalIdsFor,
+    dataScope,
+    ownerScope,
+    denyItemAccess,
+    toDataItemResponses,
+    sendVersionConflict,
+    normalizeTags,
+    categoryWithDescendants,
+    parseItemExtras,
+    parseNewItem,
+    saveRevision,
+    ensureBaselineRevision,
+    purgeDate,
+    purgeItems,
+    publishItemEvent,
+  } = services.data;
+  const { authenticateToken, can, requireVerifiedEmail } = middleware;
+
+  // Query parameters:
+  //   q               full-text search over title and description
+  //   from, to        ISO date range on `dateField`, createdAt by default
+  //   sort, order     one of DATA_SORT_FIELDS, "asc" or "desc" (default desc)
+  //   limit, cursor   page size and a nextCursor / prevCursor from a response
+  //   tags            comma-separated; items must carry all of them
+  //   category        a category ID (includes its subcategories) or "none"
+  //   cf[key]         custom field value, or cf[key][min] / cf[key][max]
+  //   scope           "shared" for items others shared with the user, "trash"
+  //                   for their deleted items, "all" for everything they may
+  //                   read; their own items by default
+  router.get(
+    '/',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:read:own', 'data:read:any'),
+    validate({ query: LIST_QUERY }),
+    asyncHandler(async (req, res) => {
+      const { q, from, to, dateField, sort, order, limit, cursor } = req.query;
+      const { tags: tagList, category, cf, scope } = req.query;
+      let filter = { userId: req.user._id };
+      if (scope === 'all') {
+        filter = await dataScope(req, 'read');
+      } else if (scope === 'trash') {
+        filter = { userId: req.user._id, deletedAt: { $ne: null } };
+      } else if (scope === 'shared') {
+        filter = {
+          userId: { $ne: req.user._id },
+          'shares.principalId': { $in: await principalIdsFor(req) },
+        };
+      }
+
+      if (q) filter.$text = { $search: q };
+
+      const range = dateRange(from, to);
+      if (range) filter[dateField] = range;
+
+      const tags = normalizeTags((tagList || '').split(','));
+      if (tags && tags.length) filter.tags = { $all: tags };
+
+      if (category === 'none') {
+        filter.categoryId = null;
+      } else if (category) {
+        filter.categoryId = { $in: await categoryWithDescendants(category) };
+      }
+
+      if (cf) {
+        const definitions = await CustomField.find({
+          userId: req.user._id,
+        }).lean();
+        const { filter: fieldFilter, errors } = buildCustomFieldFilter(
+          definitions,
+          cf
+        );
+        if (Object.keys(errors).length) {
+          return sendValidationError(
+            res,
+            Object.fromEntries(
+              Object.entries(errors).map(([key, message]) => [
+                `cf.${key}`,
+                message,
+              ])
+            ),
+            'Invalid custom field filter'
+          );
+        }
+        Object.assign(filter, fieldFilter);
+      }
+
+      const [page, total] = await Promise.all([
+        paginate(DataItem, filter, {
+          sortField: sort,
+          order,
+          limit,
+          cursor,
+        }),
+        DataItem.countDocuments(filter),
+      ]);
+
+      return res.json({
+        items: await toDataItemResponses(req, page.items),
+        total,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      });
+    })
+  );
+
+  router.post(
+    '/',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ body: ITEM_FIELDS }),
+    asyncHandler(async (req, res) => {
+      const parsed = await parseNewItem(req.body, req.user._id);
+      if (parsed.error) {
+        return sendValidationError(res, parsed.fields, parsed.error);
+      }
+
+      const item = new DataItem(parsed.values);
+      await item.save();
+      await saveRevision(item, req.user);
+      await recordAudit(req, 'data.created', {
+        target: { type: 'dataItem', id: item._id },
+        after: pickFields(item, DATA_AUDIT_FIELDS),
+      });
+      await publishItemEvent(req, 'created', item);
+      const [response] = await toDataItemResponses(req, [item]);
+      return res.status(201).json(response);
+    })
+  );
+
+  // Updates must say which version they were based on; a write against an
+  // older version fails with 409 instead of overwriting the newer changes
+  router.put(
+    '/:id',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ params: ITEM_PARAMS, body: UPDATE_ITEM_BODY }),
+    asyncHandler(async (req, res) => {
+      const { title, description } = req.body;
+      const { id } = req.params;
+
+      const version = expectedVersion(req);
+      if (!version) {
+        return res.status(428).json({
+          error: 'Send the item version you edited as If-Match or "version"',
+        });
+      }
+
+      // Owners and editors may change an item. Tags, category and custom
+      // fields are checked against the owner's taxonomy, which may not be
+      // the current user's.
+      const writeScope = await dataScope(req, 'write');
+      const existing = await DataItem.findOne({ _id: id, ...writeScope });
+      if (!existing) {
+        return denyItemAccess(
+          req,
+          res,
+          id,
+          'You have view-only access to this item'
+        );
+      }
+      if (existing.version !== version) {
+        return sendVersionConflict(req, res, existing);
+      }
+      const extras = await parseItemExtras(req.body, existing.userId);
+      if (extras.error) {
+        return sendValidationError(res, extras.fields, extras.error);
+      }
+
+      // Take the pre-update document so the audit entry has exact "before"
+      // values, then read back the result. Matching on the version as well
+      // catches a write that landed after the check above.
+      const before = await DataItem.findOneAndUpdate(
+        { _id: id, ...writeScope, version },
+        { title, description, ...extras.values, $inc: { version: 1 } },
+        { new: false }
+      );
+
+      if (!before) {
+        const current = await DataItem.findOne({ _id: id, ...writeScope });
+        return current
+          ? sendVersionConflict(req, res, current)
+          : res.status(404).json({ error: 'Data item not found' });
+      }
+      const item = await DataItem.findById(before._id);
+      await ensureBaselineRevision(before);
+      await saveRevision(item, req.user);
+      await recordAudit(req, 'data.updated', {
+        target: { type: 'dataItem', id: item._id },
+        ...diffFields(before, item, DATA_AUDIT_FIELDS),
+      });
+      await publishItemEvent(req, 'updated', item);
+      const [response] = await toDataItemResponses(req, [item]);
+      return res.set('ETag', versionETag(item)).json(response);
+    })
+  );
+
+  // Empties the user's trash for good. Registered before /api/data/:id so
+  // "trash" isn't taken for an item ID.
+  router.delete(
+    '/trash',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    asyncHandler(async (req, res) => {
+      const purged = await purgeItems({ userId: req.user._id }, req);
+      await recordAudit(req, 'data.purged', {
+        metadata: { count: purged, reason: 'emptied' },
+      });
+      return res.json({ message: 'Trash emptied', purged });
+    })
+  );
+
+  // Moves the item to the trash; it is purged after TRASH_RETENTION_DAYS
+  // unless restored first
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ params: ITEM_PARAMS }),
+    asyncHandler(async (req, res) => {
+      const { id } = req.params;
+      const item = await DataItem.findOneAndUpdate(
+        { _id: id, ...ownerScope(req) },
+        { deletedAt: new Date(), deletedBy: req.user._id },
+        { new: true }
+      );
+      if (!item) {
+        return denyItemAccess(
+          req,
+          res,
+          id,
+          'Only the owner can delete this item'
+        );
+      }
+      await recordAudit(req, 'data.trashed', {
+        target: { type: 'dataItem', id: item._id },
+        metadata: { title: item.title },
+      });
+      await publishItemEvent(req, 'deleted', item);
+      return res.json({
+        message: 'Data item moved to the trash',
+        purgeAt: purgeDate(item),
+      });
+    })
+  );
+
+  router.post(
+    '/:id/restore',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ params: ITEM_PARAMS }),
+    asyncHandler(async (req, res) => {
+      const item = await DataItem.findOneAndUpdate(
+        { _id: req.params.id, ...ownerScope(req), deletedAt: { $ne: null } },
+        { deletedAt: null, $unset: { deletedBy: 1 } },
+        { new: true }
+      );
+      if (!item) {
+        return res.status(404).json({ error: 'Data item not found in trash' });
+      }
+      await recordAudit(req, 'data.untrashed', {
+        target: { type: 'dataItem', id: item._id },
+      });
+      await publishItemEvent(req, 'created', item);
+      const [response] = await toDataItemResponses(req, [item]);
+      return res.json(response);
+    })
+  );
+
+  // Tag autocomplete: the user's tags starting with ?prefix=, most used first
+  router.get(
+    '/tags',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:read:own', 'data:read:any'),
+    validate({ query: TAGS_QUERY }),
+    asyncHandler(async (req, res) => {
+      const { prefix, limit } = req.query;
+      const tags = await DataItem.aggregate([
+        { $match: { userId: req.user._id } },
+        { $unwind: '$tags' },
+        ...(prefix
+          ? [{ $match: { tags: new RegExp(`^${escapeRegex(prefix)}`) } }]
+          : []),
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+      ]);
+      return res.json({
+        tags: tags.map(({ _id, count }) => ({ name: _id, count })),
+      });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createItemRouter };
@@ -0,0 +1,193 @@
+// backend/routes/data/revisions.js
+//
+// An item's revision history, and restoring an old revision.
+
+const express = require('express');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { validate } = require('../../middleware/validate');
+const { validateCustomFields } = require('../../utils/customFields');
+const { diffFields } = require('../../utils/changes');
+const { integer } = require('../../utils/validation');
+const {
+  DATA_AUDIT_FIELDS,
+  ITEM_PARAMS,
+  versionETag,
+  expectedVersion,
+} = require('../../services/dataService');
+
+const MAX_REVISIONS_LISTED = 100;
+
+// -------- Request schemas (see utils/validation.js) --------
+
+const REVISION_PARAMS = {
+  ...ITEM_PARAMS,
+  version: integer({ min: 1 }),
+};
+
+// The item's current version, as for an update; the revision to restore is
+// in the path
+const RESTORE_BODY = {
+  version: integer({ min: 1, optional: true }),
+};
+
+const toRevisionResponse = (revision) => ({
+  version: revision.version,
+  title: revision.title,
+  description: revision.description,
+  tags: revision.tags,
+  categoryId: revision.categoryId,
+  customFields: revision.customFields || {},
+  author: revision.authorId
+    ? { id: revision.authorId, name: revision.authorName }
+    : null,
+  restoredFrom: revision.restoredFrom,
+  createdAt: revision.createdAt,
+});
+
+const createRevisionRouter = ({ models, services, middleware }) => {
+  const router = express.Router();
+  const { DataItem, DataItemRevision, Category, CustomField } = models;
+  const { recordAudit } = services.audit;
+  const {
+    dataScope,
+    denyItemAccess,
+    toDataItemResponses,
+    sendVersionConflict,
+    saveRevision,
+    ensureBaselineRevision,
+    publishItemEvent,
+  } = services.data;
+  const { authenticateToken, can, requireVerifiedEmail } = middleware;
+
+  // Newest first; anyone who can read the item can read its history
+  router.get(
+    '/:id/revisions',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:read:own', 'data:read:any'),
+    validate({ params: ITEM_PARAMS }),
+    asyncHandler(async (req, res) => {
+      const item = await DataItem.findOne({
+        _id: req.params.id,
+        ...(await dataScope(req, 'read')),
+      }).select('version');
+      if (!item) {
+        return res.status(404).json({ error: 'Data item not found' });
+      }
+
+      const revisions = await DataItemRevision.find({ itemId: item._id })
+        .sort({ version: -1 })
+        .limit(MAX_REVISIONS_LISTED);
+      return res.json({
+        currentVersion: item.version,
+        revisions: revisions.map(toRevisionResponse),
+      });
+    })
+  );
+
+  // Restoring copies an old revision's content into the item as a new
+  // version, so the restore itself can be undone too. A category or custom
+  // fields deleted since that revision are left out. Like an update, it must
+  // say which version of the item it was based on.
+  router.post(
+    '/:id/revisions/:version/restore',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ params: REVISION_PARAMS, body: RESTORE_BODY }),
+    asyncHandler(async (req, res) => {
+      const { id, version } = req.params;
+      const currentVersion = expectedVersion(req);
+      if (!currentVersion) {
+        return res.status(428).json({
+          error:
+            'Send the item version you are restoring over as If-Match or "version"',
+        });
+      }
+
+      const writeScope = await dataScope(req, 'write');
+      const existing = await DataItem.findOne({ _id: id, ...writeScope });
+      if (!existing) {
+        return denyItemAccess(
+          req,
+          res,
+          id,
+          'You have view-only access to this item'
+        );
+      }
+
+      const revision = await DataItemRevision.findOne({
+        itemId: existing._id,
+        version,
+      });
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      if (existing.version !== currentVersion) {
+        return sendVersionConflict(req, res, existing);
+      }
+      if (version === existing.version) {
+        return res
+          .status(400)
+          .json({ error: 'That revision is already the current version' });
+      }
+
+      const [category, definitions] = await Promise.all([
+        revision.categoryId
+          ? Category.exists({
+              _id: revision.categoryId,
+              userId: existing.userId,
+            })
+          : null,
+        CustomField.find({ userId: existing.userId }).lean(),
+      ]);
+      // Values that no longer fit their field are dropped rather than failing
+      // the restore, and fields made required since aren't enforced
+      const storedValues = revision.customFields || {};
+      const { values: customFields } = validateCustomFields(
+        definitions.map((definition) => ({ ...definition, required: false })),
+        Object.fromEntries(
+          definitions
+            .filter((definition) => storedValues[definition.key] !== undefined)
+            .map((definition) => [definition.key, storedValues[definition.key]])
+        )
+      );
+
+      // Matching on the version catches a write since the check above
+      const before = await DataItem.findOneAndUpdate(
+        { _id: existing._id, ...writeScope, version: currentVersion },
+        {
+          title: revision.title,
+          description: revision.description,
+          tags: revision.tags,
+          categoryId: category ? revision.categoryId : null,
+          customFields,
+          $inc: { version: 1 },
+        },
+        { new: false }
+      );
+      if (!before) {
+        const current = await DataItem.findOne({ _id: id, ...writeScope });
+        return current
+          ? sendVersionConflict(req, res, current)
+          : res.status(404).json({ error: 'Data item not found' });
+      }
+      const item = await DataItem.findById(before._id);
+      await ensureBaselineRevision(before);
+      await saveRevision(item, req.user, { restoredFrom: version });
+      await recordAudit(req, 'data.restored', {
+        target: { type: 'dataItem', id: item._id },
+        ...diffFields(before, item, DATA_AUDIT_FIELDS),
+        metadata: { restoredFrom: version, version: item.version },
+      });
+      await publishItemEvent(req, 'updated', item);
+
+      const [response] = await toDataItemResponses(req, [item]);
+      return res.set('ETag', versionETag(item)).json(response);
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createRevisionRouter };
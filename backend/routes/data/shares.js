@@ -0,0 +1,207 @@
+// backend/routes/data/shares.js
+//
+// Sharing an item. Only its owner (or a holder of data:write:any) manages
+// its shares; items can be shared with any user by email, or with a team
+// the sharer belongs to.
+
+const express = require('express');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { validate } = require('../../middleware/validate');
+const { SHARE_LEVELS } = require('../../models');
+const {
+  emailAddress,
+  oneOf,
+  objectId,
+  sendValidationError,
+} = require('../../utils/validation');
+const { ITEM_PARAMS } = require('../../services/dataService');
+
+// -------- Request schemas (see utils/validation.js) --------
+
+// `email` is needed to share with a user, `teamId` with a team
+const SHARE_BODY = {
+  type: oneOf(['user', 'team']),
+  email: emailAddress({ optional: true }),
+  teamId: objectId({ optional: true, label: 'Team' }),
+  level: oneOf(SHARE_LEVELS),
+};
+
+const PRINCIPAL_PARAMS = {
+  ...ITEM_PARAMS,
+  principalId: objectId({ label: 'Principal ID' }),
+};
+
+const shareMetadata = (share) => ({
+  principalType: share.principalType,
+  principalId: String(share.principalId),
+  level: share.level,
+});
+
+const createShareRouter = ({ models, services, middleware }) => {
+  const router = express.Router();
+  const { User, DataItem, Team } = models;
+  const { recordAudit } = services.audit;
+  const { ownerScope, denyItemAccess, publishItemEvent } = services.data;
+  const { authenticateToken, can, requireVerifiedEmail } = middleware;
+
+  // Loads the item at :id into req.item if the user may manage its shares
+  const loadSharableItem = [
+    validate({ params: ITEM_PARAMS }),
+    asyncHandler(async (req, res, next) => {
+      const { id } = req.params;
+      const item = await DataItem.findOne({ _id: id, ...ownerScope(req) });
+      if (!item) {
+        return denyItemAccess(
+          req,
+          res,
+          id,
+          'Only the owner can share this item'
+        );
+      }
+      req.item = item;
+      next();
+    }),
+  ];
+
+  // Share list with the name (and email, for users) of each principal
+  const describeShares = async (shares) => {
+    const idsOf = (type) =>
+      shares
+        .filter((share) => share.principalType === type)
+        .map((share) => share.principalId);
+    const [users, teams] = await Promise.all([
+      User.find({ _id: { $in: idsOf('user') } }).select('name email'),
+      Team.find({ _id: { $in: idsOf('team') } }).select('name'),
+    ]);
+    const names = new Map([
+      ...users.map((user) => [
+        String(user._id),
+        { name: user.name, email: user.email },
+      ]),
+      ...teams.map((team) => [String(team._id), { name: team.name }]),
+    ]);
+
+    return shares.map((share) => ({
+      type: share.principalType,
+      id: share.principalId,
+      level: share.level,
+      sharedAt: share.sharedAt,
+      ...names.get(String(share.principalId)),
+    }));
+  };
+
+  router.get(
+    '/:id/shares',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    loadSharableItem,
+    asyncHandler(async (req, res) => {
+      return res.json({ shares: await describeShares(req.item.shares) });
+    })
+  );
+
+  // Share with { type: 'user', email } or { type: 'team', teamId } at
+  // `level`; sharing again with the same principal changes the level
+  router.post(
+    '/:id/shares',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    loadSharableItem,
+    validate({ body: SHARE_BODY }),
+    asyncHandler(async (req, res) => {
+      const { type, email, teamId, level } = req.body;
+      if (type === 'user' && !email) {
+        return sendValidationError(res, { email: 'Email is required' });
+      }
+      if (type === 'team' && !teamId) {
+        return sendValidationError(res, { teamId: 'Team is required' });
+      }
+
+      let principalId;
+      if (type === 'user') {
+        const user = await User.findOne({ email });
+        if (!user) {
+          return res.status(404).json({ error: 'No user with that email' });
+        }
+        if (String(user._id) === String(req.item.userId)) {
+          return res
+            .status(400)
+            .json({ error: 'The owner already has full access' });
+        }
+        principalId = user._id;
+      } else {
+        const team = await Team.findOne({
+          _id: teamId,
+          'members.userId': req.user._id,
+        });
+        if (!team) {
+          return res.status(404).json({ error: 'Team not found' });
+        }
+        principalId = team._id;
+      }
+
+      const existing = req.item.shares.find(
+        (share) => String(share.principalId) === String(principalId)
+      );
+      if (existing) {
+        existing.level = level;
+      } else {
+        req.item.shares.push({
+          principalType: type,
+          principalId,
+          level,
+          sharedBy: req.user._id,
+        });
+      }
+      await req.item.save();
+      await recordAudit(req, 'data.shared', {
+        target: { type: 'dataItem', id: req.item._id },
+        metadata: shareMetadata({ principalType: type, principalId, level }),
+      });
+      // New to the people it was just shared with; changed (access level,
+      // share count) for everyone else
+      if (!existing) {
+        await publishItemEvent(req, 'created', req.item, {
+          to: [{ principalType: type, principalId }],
+        });
+      }
+      await publishItemEvent(req, 'updated', req.item);
+
+      return res.json({ shares: await describeShares(req.item.shares) });
+    })
+  );
+
+  router.delete(
+    '/:id/shares/:principalId',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    validate({ params: PRINCIPAL_PARAMS }),
+    loadSharableItem,
+    asyncHandler(async (req, res) => {
+      const share = req.item.shares.find(
+        (s) => String(s.principalId) === req.params.principalId
+      );
+      if (!share) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      req.item.shares = req.item.shares.filter((s) => s !== share);
+      await req.item.save();
+      await recordAudit(req, 'data.unshared', {
+        target: { type: 'dataItem', id: req.item._id },
+        metadata: shareMetadata(share),
+      });
+      await publishItemEvent(req, 'deleted', req.item, { to: [share] });
+      await publishItemEvent(req, 'updated', req.item);
+
+      return res.json({ shares: await describeShares(req.item.shares) });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createShareRouter };
@@ -0,0 +1,325 @@
+// backend/routes/data/transfer.js
+//
+// Exporting the user's items as JSON, NDJSON or CSV, and importing them
+// back.
+
+const express = require('express');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { validate } = require('../../middleware/validate');
+const { toCsvRow, parseCsv } = require('../../utils/csv');
+const { streamCursorToResponse } = require('../../utils/stream');
+const { pickFields } = require('../../utils/changes');
+const { oneOf, boolean } = require('../../utils/validation');
+const { REVISION_FIELDS } = require('../../services/dataService');
+
+const EXPORT_FORMATS = {
+  json: { type: 'application/json', extension: 'json' },
+  ndjson: { type: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { type: 'text/csv', extension: 'csv' },
+};
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_PREVIEW = 20;
+const CATEGORY_PATH_SEPARATOR = ' / ';
+
+// -------- Request schemas (see utils/validation.js) --------
+
+const EXPORT_QUERY = {
+  format: oneOf(Object.keys(EXPORT_FORMATS), { default: 'json' }),
+};
+
+const IMPORT_QUERY = {
+  ...EXPORT_QUERY,
+  dryRun: boolean({ default: false }),
+};
+
+const toExportRecord = (item, paths) => ({
+  id: String(item._id),
+  title: item.title,
+  description: item.description,
+  tags: item.tags || [],
+  category: (item.categoryId && paths.get(String(item.categoryId))) || '',
+  customFields:
+    item.customFields instanceof Map
+      ? Object.fromEntries(item.customFields)
+      : item.customFields || {},
+  createdAt: item.createdAt,
+  updatedAt: item.updatedAt,
+});
+
+// CSV has one column per custom field, named "cf.<key>"
+const exportCsvColumns = (definitions) => [
+  'id',
+  'title',
+  'description',
+  'tags',
+  'category',
+  ...definitions.map((definition) => `cf.${definition.key}`),
+  'createdAt',
+  'updatedAt',
+];
+
+const toExportCsvRow = (record, columns) =>
+  toCsvRow(
+    columns.map((column) => {
+      if (column.startsWith('cf.')) return record.customFields[column.slice(3)];
+      if (column === 'tags') return record.tags.join(',');
+      return record[column];
+    })
+  );
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Request body -> list of raw records. A JSON body may be an array or
+// { items: [...] }; an NDJSON line that doesn't parse becomes a record
+// with `parseError` so it's reported with its row number.
+const parseImportRecords = (format, body) => {
+  if (format === 'json') {
+    let data = body;
+    if (typeof body === 'string') {
+      try {
+        data = JSON.parse(body);
+      } catch (error) {
+        throw importError('The file is not valid JSON');
+      }
+    }
+    const records = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(records)) {
+      throw importError('Expected a JSON array of items');
+    }
+    return records;
+  }
+
+  const text = typeof body === 'string' ? body : '';
+  if (format === 'ndjson') {
+    return text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return { parseError: 'This line is not valid JSON' };
+        }
+      });
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const columns = header.map((column) => column.trim());
+  return rows.map((row) => {
+    const record = { customFields: {} };
+    columns.forEach((column, index) => {
+      const value = row[index] ?? '';
+      if (column.startsWith('cf.')) {
+        if (value !== '') record.customFields[column.slice(3)] = value;
+      } else if (column === 'tags') {
+        record.tags = value.split(',').filter((tag) => tag.trim());
+      } else {
+        record[column] = value;
+      }
+    });
+    return record;
+  });
+};
+
+// Raw record -> the body POST /api/data would take. Categories are named by
+// path; an exported `id` and timestamps are ignored.
+const toImportBody = (record, categoryIdsByPath) => {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Each item must be an object' };
+  }
+  if (record.parseError) return { error: record.parseError };
+
+  const body = {
+    title: typeof record.title === 'string' ? record.title.trim() : '',
+    description:
+      typeof record.description === 'string' ? record.description.trim() : '',
+  };
+  if (record.tags !== undefined) body.tags = record.tags;
+  if (record.customFields !== undefined) {
+    body.customFields = record.customFields;
+  }
+  if (record.categoryId !== undefined) {
+    body.categoryId = record.categoryId;
+  } else if (record.category) {
+    const categoryId = categoryIdsByPath.get(String(record.category).trim());
+    if (!categoryId) {
+      const error = `Unknown category "${record.category}"`;
+      return { error, fields: { category: error } };
+    }
+    body.categoryId = categoryId;
+  }
+  return { body };
+};
+
+const createTransferRouter = ({ models, services, middleware }) => {
+  const router = express.Router();
+  const { DataItem, DataItemRevision, Category, CustomField } = models;
+  const { recordAudit } = services.audit;
+  const { parseNewItem, publishReload } = services.data;
+  const { authenticateToken, can, requireVerifiedEmail } = middleware;
+
+  // Every category of the user by ID, with its full path ("Work / Clients")
+  // as exports and imports name categories that way
+  const categoryPaths = async (userId) => {
+    const categories = await Category.find({ userId }).lean();
+    const byId = new Map(
+      categories.map((category) => [String(category._id), category])
+    );
+    const pathOf = (category) => {
+      const parent = category.parentId && byId.get(String(category.parentId));
+      return parent
+        ? `${pathOf(parent)}${CATEGORY_PATH_SEPARATOR}${category.name}`
+        : category.name;
+    };
+    return new Map(
+      categories.map((category) => [String(category._id), pathOf(category)])
+    );
+  };
+
+  // Streams the user's items (not the trash, not items shared with them)
+  router.get(
+    '/export',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:read:own', 'data:read:any'),
+    validate({ query: EXPORT_QUERY }),
+    asyncHandler(async (req, res) => {
+      const { format } = req.query;
+      const [paths, definitions] = await Promise.all([
+        categoryPaths(req.user._id),
+        CustomField.find({ userId: req.user._id }).sort({ key: 1 }).lean(),
+      ]);
+      await recordAudit(req, 'data.exported', { metadata: { format } });
+
+      const { type, extension } = EXPORT_FORMATS[format];
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', `${type}; charset=utf-8`);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="data-items-${date}.${extension}"`
+      );
+
+      const columns = exportCsvColumns(definitions);
+      // Stream straight from a cursor so large exports stay out of memory
+      const cursor = DataItem.find({ userId: req.user._id })
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor();
+      async function* exportChunks() {
+        if (format === 'csv') yield toCsvRow(columns);
+        if (format === 'json') yield '[';
+        let first = true;
+        for await (const item of cursor) {
+          const record = toExportRecord(item, paths);
+          if (format === 'csv') {
+            yield toExportCsvRow(record, columns);
+          } else if (format === 'ndjson') {
+            yield `${JSON.stringify(record)}\n`;
+          } else {
+            yield `${first ? '' : ','}\n${JSON.stringify(record)}`;
+          }
+          first = false;
+        }
+        if (format === 'json') yield first ? ']' : '\n]\n';
+      }
+      await streamCursorToResponse(res, cursor, exportChunks());
+    })
+  );
+  // Validates every record with the rules of POST /api/data and creates the
+  // valid ones, unless `dryRun` is set. Rows with errors are skipped and
+  // reported: { dryRun, total, valid, imported, errors: [{ row, error,
+  // fields }], preview }. `row` counts records from 1, not counting a CSV
+  // header. The body is the file as sent, with `format` taken from the query
+  // (json by default).
+  router.post(
+    '/import',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:write:own', 'data:write:any'),
+    express.text({ type: '*/*', limit: '5mb' }),
+    validate({ query: IMPORT_QUERY }),
+    asyncHandler(async (req, res) => {
+      const { format, dryRun } = req.query;
+      const records = parseImportRecords(format, req.body);
+      if (records.length === 0) {
+        return res.status(400).json({ error: 'The file has no items' });
+      }
+      if (records.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          error: `Import at most ${MAX_IMPORT_ROWS} items at a time`,
+        });
+      }
+
+      const [paths, definitions] = await Promise.all([
+        categoryPaths(req.user._id),
+        CustomField.find({ userId: req.user._id }).lean(),
+      ]);
+      const categoryIdsByPath = new Map(
+        [...paths].map(([id, path]) => [path, id])
+      );
+
+      const valid = [];
+      const errors = [];
+      for (const [index, record] of records.entries()) {
+        const converted = toImportBody(record, categoryIdsByPath);
+        const parsed = converted.error
+          ? converted
+          : await parseNewItem(converted.body, req.user._id, { definitions });
+        if (parsed.error) {
+          errors.push({
+            row: index + 1,
+            error: parsed.error,
+            fields: parsed.fields,
+          });
+        } else {
+          valid.push(parsed.values);
+        }
+      }
+
+      let imported = 0;
+      if (!dryRun && valid.length) {
+        const items = await DataItem.insertMany(valid);
+        await DataItemRevision.insertMany(
+          items.map((item) => ({
+            itemId: item._id,
+            version: item.version,
+            ...pickFields(item, REVISION_FIELDS),
+            authorId: req.user._id,
+            authorName: req.user.name,
+          }))
+        );
+        imported = items.length;
+        await recordAudit(req, 'data.imported', {
+          metadata: { format, imported, skipped: errors.length },
+        });
+        await publishReload(req, [req.user._id]);
+      }
+
+      return res.json({
+        dryRun,
+        total: records.length,
+        valid: valid.length,
+        imported,
+        errors,
+        preview: valid
+          .slice(0, MAX_IMPORT_PREVIEW)
+          .map(({ title, description, tags, categoryId, customFields }) => ({
+            title,
+            description,
+            tags: tags || [],
+            category: categoryId ? paths.get(String(categoryId)) : '',
+            customFields: customFields || {},
+          })),
+      });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createTransferRouter };
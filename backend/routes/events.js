@@ -0,0 +1,110 @@
+// backend/routes/events.js
+//
+// Mounted at /api/events: a server-sent event stream of changes to the
+// items the user can see, open for as long as their access token is valid
+// and their session isn't revoked; the client then reconnects with a fresh
+// token. Events are "created" and
+// "updated" with the item as GET /api/data would return it, "deleted" with
+// its ID (plus the item, when it went to the user's own trash), and
+// "reload" when the list changed too much to patch. Each carries the
+// `origin` tab's client ID.
+
+const express = require('express');
+
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+// setTimeout's longest delay; a stream open that long is simply closed early
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+const createEventRouter = ({ models, services, middleware, eventBus }) => {
+  const router = express.Router();
+  const { DataItem, Session } = models;
+  const { dataScope, toDataItemResponses } = services.data;
+  const { authenticateToken, can, requireVerifiedEmail } = middleware;
+
+  // Re-reads the item with the subscriber's own access, so they never get
+  // more than they could fetch. Once they can't read it, it's "deleted".
+  const toLiveEvent = async (req, { type, id, origin }) => {
+    if (type === 'reload') return { event: 'reload', data: { origin } };
+
+    if (type !== 'deleted') {
+      // Team memberships may have changed since the stream opened
+      req.principalIds = undefined;
+      const item = await DataItem.findOne({
+        _id: id,
+        ...(await dataScope(req, 'read')),
+      });
+      if (item) {
+        const [response] = await toDataItemResponses(req, [item]);
+        return { event: type, data: { item: response, origin } };
+      }
+    }
+    const trashed = await DataItem.findOne({
+      _id: id,
+      userId: req.user._id,
+      deletedAt: { $ne: null },
+    });
+    const [item] = trashed ? await toDataItemResponses(req, [trashed]) : [];
+    return { event: 'deleted', data: { id, item, origin } };
+  };
+
+  router.get(
+    '/',
+    authenticateToken,
+    requireVerifiedEmail,
+    can('data:read:own', 'data:read:any'),
+    (req, res) => {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      const send = (event, data) =>
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      send('ready', {});
+
+      // One event at a time, so they arrive in the order they happened
+      let queue = Promise.resolve();
+      const unsubscribe = eventBus.subscribe(
+        String(req.user._id),
+        (message) => {
+          queue = queue
+            .then(() => toLiveEvent(req, message))
+            .then(({ event, data }) => send(event, data))
+            .catch((error) => console.error('Live update error:', error));
+        }
+      );
+      // Signing out, "sign out everywhere" and a replayed refresh token all
+      // revoke the session, which the heartbeat notices
+      const checkSession = async () => {
+        const session = await Session.findById(req.authSession._id).select(
+          'revokedAt'
+        );
+        if (!session || session.revokedAt) res.end();
+      };
+      const heartbeat = setInterval(() => {
+        if (res.writableEnded) return;
+        res.write(': keep-alive\n\n');
+        checkSession().catch((error) =>
+          console.error('Live update session check error:', error)
+        );
+      }, EVENT_HEARTBEAT_MS);
+      const expiry = setTimeout(
+        () => res.end(),
+        Math.min(req.tokenExpiresAt.getTime() - Date.now(), MAX_TIMER_DELAY_MS)
+      );
+
+      res.on('close', () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+      });
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createEventRouter };
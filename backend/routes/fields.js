@@ -0,0 +1,166 @@
+// backend/routes/fields.js
+//
+// Mounted at /api/fields: the custom fields a user adds to their items.
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+const {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  MAX_LABEL_LENGTH,
+  MAX_OPTIONS,
+} = require('../utils/customFields');
+const { isDuplicateKeyError } = require('../utils/errors');
+const {
+  string,
+  oneOf,
+  boolean,
+  array,
+  sendValidationError,
+} = require('../utils/validation');
+
+const toCustomFieldResponse = (field) => ({
+  key: field.key,
+  label: field.label,
+  type: field.type,
+  options: field.options,
+  required: field.required,
+});
+
+const normalizeOptions = (options) => [...new Set(options)];
+
+// -------- Request schemas (see utils/validation.js) --------
+const FIELD_PARAMS = { key: string({ max: 32 }) };
+// The choices of a select field; other types have none
+const FIELD_OPTIONS = array(string({ max: 100 }), {
+  max: MAX_OPTIONS,
+  optional: true,
+});
+const CREATE_FIELD_BODY = {
+  key: string({
+    pattern: FIELD_KEY_PATTERN,
+    patternMessage:
+      'must start with a letter and use up to 32 lowercase letters, digits or underscores',
+  }),
+  label: string({ max: MAX_LABEL_LENGTH }),
+  type: oneOf(FIELD_TYPES),
+  options: FIELD_OPTIONS,
+  required: boolean({ default: false }),
+};
+// The key and type are fixed once created
+const UPDATE_FIELD_BODY = {
+  label: string({ max: MAX_LABEL_LENGTH, optional: true }),
+  options: FIELD_OPTIONS,
+  required: boolean({ optional: true }),
+};
+
+const sendMissingOptions = (res) =>
+  sendValidationError(res, {
+    options: 'Select fields need at least one option',
+  });
+
+const createFieldRouter = ({ models, middleware }) => {
+  const router = express.Router();
+  const { DataItem, CustomField } = models;
+  const { canReadData, canWriteData } = middleware;
+
+  router.get(
+    '/',
+    canReadData,
+    asyncHandler(async (req, res) => {
+      const fields = await CustomField.find({ userId: req.user._id }).sort({
+        createdAt: 1,
+      });
+      return res.json({ fields: fields.map(toCustomFieldResponse) });
+    })
+  );
+
+  router.post(
+    '/',
+    canWriteData,
+    validate({ body: CREATE_FIELD_BODY }),
+    asyncHandler(async (req, res) => {
+      const { key, label, type, options = [], required } = req.body;
+      if (type === 'select' && options.length === 0) {
+        return sendMissingOptions(res);
+      }
+
+      try {
+        const field = await CustomField.create({
+          userId: req.user._id,
+          key,
+          label,
+          type,
+          options: type === 'select' ? normalizeOptions(options) : [],
+          required,
+        });
+        return res.status(201).json({ field: toCustomFieldResponse(field) });
+      } catch (err) {
+        if (isDuplicateKeyError(err)) {
+          return res
+            .status(409)
+            .json({ error: 'A field with that key already exists' });
+        }
+        throw err;
+      }
+    })
+  );
+
+  // The key and type are fixed once created since stored values depend on
+  // them; delete and re-create the field to change either
+  router.put(
+    '/:key',
+    canWriteData,
+    validate({ params: FIELD_PARAMS, body: UPDATE_FIELD_BODY }),
+    asyncHandler(async (req, res) => {
+      const field = await CustomField.findOne({
+        userId: req.user._id,
+        key: req.params.key,
+      });
+      if (!field) {
+        return res.status(404).json({ error: 'Field not found' });
+      }
+
+      const { label, options, required } = req.body;
+      if (field.type === 'select' && options && options.length === 0) {
+        return sendMissingOptions(res);
+      }
+
+      if (label !== undefined) field.label = label;
+      if (field.type === 'select' && options) {
+        field.options = normalizeOptions(options);
+      }
+      if (required !== undefined) field.required = required;
+      await field.save();
+      return res.json({ field: toCustomFieldResponse(field) });
+    })
+  );
+
+  router.delete(
+    '/:key',
+    canWriteData,
+    validate({ params: FIELD_PARAMS }),
+    asyncHandler(async (req, res) => {
+      const { key } = req.params;
+      const field = await CustomField.findOneAndDelete({
+        userId: req.user._id,
+        key,
+      });
+      if (!field) {
+        return res.status(404).json({ error: 'Field not found' });
+      }
+      // Drop stored values too, so the key can be reused with another type
+      await DataItem.updateMany(
+        { userId: req.user._id },
+        { $unset: { [`customFields.${key}`]: 1 } },
+        { withDeleted: true }
+      );
+      return res.json({ message: 'Field deleted' });
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createFieldRouter };
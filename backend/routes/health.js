@@ -0,0 +1,17 @@
+// backend/routes/health.js
+//
+// Mounted at /health for container and load balancer probes.
+
+const express = require('express');
+
+const createHealthRouter = ({ services }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json(services.health.check());
+  });
+
+  return router;
+};
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,269 @@
+// backend/routes/teams.js
+//
+// Mounted at /api/teams: teams and their members.
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { validate } = require('../middleware/validate');
+const { TEAM_ROLES } = require('../models');
+const {
+  string,
+  emailAddress,
+  oneOf,
+  objectId,
+} = require('../utils/validation');
+
+const teamTarget = (team) => ({ type: 'team', id: team._id });
+
+const memberOf = (team, userId) =>
+  team.members.find((member) => String(member.userId) === String(userId));
+
+const ownerCount = (team) =>
+  team.members.filter((member) => member.role === 'owner').length;
+
+// -------- Request schemas (see utils/validation.js) --------
+const TEAM_PARAMS = { id: objectId({ label: 'Team ID' }) };
+const MEMBER_PARAMS = {
+  ...TEAM_PARAMS,
+  userId: objectId({ label: 'Member ID' }),
+};
+const TEAM_BODY = { name: string({ max: 64 }) };
+const ADD_MEMBER_BODY = {
+  email: emailAddress(),
+  role: oneOf(TEAM_ROLES, { default: 'member' }),
+};
+const MEMBER_ROLE_BODY = { role: oneOf(TEAM_ROLES) };
+
+const createTeamRouter = ({ models, services, middleware }) => {
+  const router = express.Router();
+  const { User, DataItem, Team } = models;
+  const { recordAudit } = services.audit;
+  const { authenticateToken, requireVerifiedEmail } = middleware;
+
+  const toTeamResponse = async (team, userId) => {
+    await team.populate('members.userId', 'name email');
+    const members = team.members.filter((member) => member.userId);
+    return {
+      id: team._id,
+      name: team.name,
+      role: members.find(
+        (member) => String(member.userId._id) === String(userId)
+      )?.role,
+      members: members.map((member) => ({
+        id: member.userId._id,
+        name: member.userId.name,
+        email: member.userId.email,
+        role: member.role,
+        addedAt: member.addedAt,
+      })),
+      createdAt: team.createdAt,
+    };
+  };
+
+  // Loads a team the user belongs to from :id into req.team
+  const loadTeam = [
+    validate({ params: TEAM_PARAMS }),
+    asyncHandler(async (req, res, next) => {
+      const team = await Team.findOne({
+        _id: req.params.id,
+        'members.userId': req.user._id,
+      });
+      if (!team) {
+        return res.status(404).json({ error: 'Team not found' });
+      }
+      req.team = team;
+      next();
+    }),
+  ];
+
+  const requireTeamOwner = (req, res, next) => {
+    if (memberOf(req.team, req.user._id).role !== 'owner') {
+      return res
+        .status(403)
+        .json({ error: 'Only team owners can manage this team' });
+    }
+    next();
+  };
+
+  const canUseTeams = [authenticateToken, requireVerifiedEmail];
+
+  router.get(
+    '/',
+    canUseTeams,
+    asyncHandler(async (req, res) => {
+      const teams = await Team.find({ 'members.userId': req.user._id }).sort({
+        name: 1,
+      });
+      return res.json({
+        teams: await Promise.all(
+          teams.map((team) => toTeamResponse(team, req.user._id))
+        ),
+      });
+    })
+  );
+
+  router.post(
+    '/',
+    canUseTeams,
+    validate({ body: TEAM_BODY }),
+    asyncHandler(async (req, res) => {
+      const team = await Team.create({
+        name: req.body.name,
+        members: [{ userId: req.user._id, role: 'owner' }],
+      });
+      await recordAudit(req, 'team.created', {
+        target: teamTarget(team),
+        after: { name: team.name },
+      });
+      return res
+        .status(201)
+        .json({ team: await toTeamResponse(team, req.user._id) });
+    })
+  );
+
+  router.put(
+    '/:id',
+    canUseTeams,
+    loadTeam,
+    requireTeamOwner,
+    validate({ body: TEAM_BODY }),
+    asyncHandler(async (req, res) => {
+      const before = { name: req.team.name };
+      req.team.name = req.body.name;
+      await req.team.save();
+      await recordAudit(req, 'team.updated', {
+        target: teamTarget(req.team),
+        before,
+        after: { name: req.team.name },
+      });
+      return res.json({ team: await toTeamResponse(req.team, req.user._id) });
+    })
+  );
+
+  // Deleting a team also revokes everything that was shared with it
+  router.delete(
+    '/:id',
+    canUseTeams,
+    loadTeam,
+    requireTeamOwner,
+    asyncHandler(async (req, res) => {
+      const teamId = req.team._id;
+      await DataItem.updateMany(
+        { 'shares.principalId': teamId },
+        { $pull: { shares: { principalId: teamId } } },
+        { withDeleted: true }
+      );
+      await req.team.deleteOne();
+      await recordAudit(req, 'team.deleted', {
+        target: teamTarget(req.team),
+        before: { name: req.team.name },
+      });
+      return res.json({ message: 'Team deleted' });
+    })
+  );
+
+  router.post(
+    '/:id/members',
+    canUseTeams,
+    loadTeam,
+    requireTeamOwner,
+    validate({ body: ADD_MEMBER_BODY }),
+    asyncHandler(async (req, res) => {
+      const { email, role } = req.body;
+      const user = await User.findOne({ email });
+      if (!user) {
+        return res.status(404).json({ error: 'No user with that email' });
+      }
+      if (memberOf(req.team, user._id)) {
+        return res.status(409).json({ error: 'Already a member of this team' });
+      }
+
+      req.team.members.push({ userId: user._id, role });
+      await req.team.save();
+      await recordAudit(req, 'team.member_added', {
+        target: teamTarget(req.team),
+        metadata: { userId: String(user._id), email: user.email, role },
+      });
+      return res
+        .status(201)
+        .json({ team: await toTeamResponse(req.team, req.user._id) });
+    })
+  );
+
+  router.patch(
+    '/:id/members/:userId',
+    canUseTeams,
+    validate({ params: MEMBER_PARAMS }),
+    loadTeam,
+    requireTeamOwner,
+    validate({ body: MEMBER_ROLE_BODY }),
+    asyncHandler(async (req, res) => {
+      const { role } = req.body;
+      const member = memberOf(req.team, req.params.userId);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      if (
+        member.role === 'owner' &&
+        role !== 'owner' &&
+        ownerCount(req.team) === 1
+      ) {
+        return res
+          .status(400)
+          .json({ error: 'A team needs at least one owner' });
+      }
+
+      const before = { role: member.role };
+      member.role = role;
+      await req.team.save();
+      await recordAudit(req, 'team.member_role_changed', {
+        target: teamTarget(req.team),
+        before,
+        after: { role },
+        metadata: { userId: req.params.userId },
+      });
+      return res.json({ team: await toTeamResponse(req.team, req.user._id) });
+    })
+  );
+
+  // Owners remove members; any member may remove themselves to leave
+  router.delete(
+    '/:id/members/:userId',
+    canUseTeams,
+    validate({ params: MEMBER_PARAMS }),
+    loadTeam,
+    asyncHandler(async (req, res) => {
+      const leaving = req.params.userId === String(req.user._id);
+      if (!leaving && memberOf(req.team, req.user._id).role !== 'owner') {
+        return res
+          .status(403)
+          .json({ error: 'Only team owners can manage this team' });
+      }
+      const member = memberOf(req.team, req.params.userId);
+      if (!member) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+      if (member.role === 'owner' && ownerCount(req.team) === 1) {
+        return res.status(400).json({
+          error: 'A team needs at least one owner; delete the team instead',
+        });
+      }
+
+      req.team.members = req.team.members.filter((m) => m !== member);
+      await req.team.save();
+      await recordAudit(req, 'team.member_removed', {
+        target: teamTarget(req.team),
+        metadata: { userId: req.params.userId },
+      });
+      return res.json(
+        leaving
+          ? { message: 'You left the team' }
+          : { team: await toTeamResponse(req.team, req.user._id) }
+      );
+    })
+  );
+
+  return router;
+};
+
+module.exports = { createTeamRouter };
@@ -0,0 +1,211 @@
+// backend/scripts/mockOidcIssuer.js
+//
+// Minimal OpenID Connect issuer for local development and tests. It signs
+// in a fixed user without prompting, so the social sign-in flow can be
+// exercised end to end without Google or GitHub credentials:
+//
+//   npm run mock-oidc
+//   OIDC_ISSUER=http://localhost:4011 OIDC_CLIENT_ID=mock-client \
+//     OIDC_CLIENT_SECRET=mock-secret npm run dev
+//
+// Pass `login_hint=<email>` on the authorize URL to sign in as someone
+// else. Tests can require the module and call startMockOidcIssuer().
+
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const KEY_ID = 'mock-key';
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const startMockOidcIssuer = ({
+  port = 0,
+  clientId = 'mock-client',
+  clientSecret = 'mock-secret',
+  user = {},
+} = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+  });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID };
+  jwk.use = 'sig';
+  jwk.alg = 'RS256';
+
+  const defaultUser = {
+    email: 'mock.user@example.com',
+    name: 'Mock User',
+    emailVerified: true,
+    ...user,
+  };
+  // Pending authorization codes and issued access tokens, both single-use
+  // or short-lived in practice; a dev server can keep them in memory
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer = '';
+
+  const claimsFor = (email) => {
+    const account =
+      email && email !== defaultUser.email
+        ? { ...defaultUser, email, name: email.split('@')[0] }
+        : defaultUser;
+    return {
+      sub:
+        account.sub ||
+        crypto.createHash('sha256').update(account.email).digest('hex'),
+      email: account.email,
+      email_verified: account.emailVerified,
+      name: account.name,
+    };
+  };
+
+  const handlers = {
+    'GET /.well-known/openid-configuration': (req, res) =>
+      sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+      }),
+
+    'GET /jwks': (req, res) => sendJson(res, 200, { keys: [jwk] }),
+
+    'GET /authorize': (req, res, url) => {
+      const params = url.searchParams;
+      if (
+        params.get('client_id') !== clientId ||
+        params.get('response_type') !== 'code' ||
+        params.get('code_challenge_method') !== 'S256' ||
+        !params.get('code_challenge') ||
+        !params.get('redirect_uri')
+      ) {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        claims: claimsFor(params.get('login_hint')),
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      if (params.get('state')) {
+        redirect.searchParams.set('state', params.get('state'));
+      }
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    },
+
+    'POST /token': async (req, res) => {
+      const body = await readBody(req);
+      const grant = codes.get(body.get('code'));
+      codes.delete(body.get('code'));
+
+      if (
+        body.get('client_id') !== clientId ||
+        body.get('client_secret') !== clientSecret
+      ) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+      const challenge = crypto
+        .createHash('sha256')
+        .update(body.get('code_verifier') || '')
+        .digest('base64url');
+      if (
+        body.get('grant_type') !== 'authorization_code' ||
+        !grant ||
+        grant.redirectUri !== body.get('redirect_uri') ||
+        grant.codeChallenge !== challenge
+      ) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const accessToken = crypto.randomBytes(24).toString('hex');
+      accessTokens.set(accessToken, grant.claims);
+      const idToken = jwt.sign(
+        { ...grant.claims, nonce: grant.nonce },
+        privateKey,
+        {
+          algorithm: 'RS256',
+          keyid: KEY_ID,
+          issuer,
+          audience: clientId,
+          expiresIn: '5m',
+        }
+      );
+
+      return sendJson(res, 200, {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: 3600,
+        id_token: idToken,
+      });
+    },
+
+    'GET /userinfo': (req, res) => {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const claims = accessTokens.get(token);
+      if (!claims) return sendJson(res, 401, { error: 'invalid_token' });
+      return sendJson(res, 200, claims);
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    const handler = handlers[`${req.method} ${url.pathname}`];
+    if (!handler) return sendJson(res, 404, { error: 'not_found' });
+
+    return Promise.resolve(handler(req, res, url)).catch((error) => {
+      console.error('Mock OIDC issuer error:', error);
+      sendJson(res, 500, { error: 'server_error' });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      issuer = `http://localhost:${server.address().port}`;
+      resolve({
+        issuer,
+        clientId,
+        clientSecret,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  startMockOidcIssuer({
+    port: Number(process.env.MOCK_OIDC_PORT) || 4011,
+    user: process.env.MOCK_OIDC_EMAIL
+      ? { email: process.env.MOCK_OIDC_EMAIL }
+      : undefined,
+  }).then(({ issuer, clientId, clientSecret }) => {
+    console.log(`Mock OIDC issuer listening on ${issuer}`);
+    console.log(`Client ID: ${clientId}, client secret: ${clientSecret}`);
+  });
+}
+
+module.exports = { startMockOidcIssuer };
@@ -0,0 +1,201 @@
+// backend/scripts/mockS3Server.js
+//
+// In-memory stand-in for an S3-compatible object store, enough for the s3
+// storage driver: path-style PUT, GET, HEAD and DELETE of objects, with
+// Signature Version 4 checked on both signed requests and presigned URLs.
+//
+//   npm run mock-s3
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:4012 S3_BUCKET=attachments \
+//     S3_ACCESS_KEY_ID=mock-access-key S3_SECRET_ACCESS_KEY=mock-secret-key npm run dev
+//
+// Tests can require the module and call startMockS3Server(); `objects` is
+// the live Map of stored objects keyed by "<bucket>/<key>".
+
+const http = require('http');
+const crypto = require('crypto');
+
+const sha256Hex = (data) =>
+  crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) =>
+  crypto.createHmac('sha256', key).update(data).digest();
+
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+const sendError = (res, status, code) => {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(
+    `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`
+  );
+};
+
+const startMockS3Server = ({
+  port = 0,
+  region = 'us-east-1',
+  accessKeyId = 'mock-access-key',
+  secretAccessKey = 'mock-secret-key',
+} = {}) => {
+  const objects = new Map();
+
+  // Recomputes the request's signature from its own parts. Returns an
+  // error code, or null when it checks out.
+  const checkSignature = (req, url, body) => {
+    const presigned = url.searchParams.has('X-Amz-Signature');
+    let credential;
+    let signedHeaders;
+    let signature;
+    let amzDate;
+    let payloadHash;
+
+    if (presigned) {
+      credential = url.searchParams.get('X-Amz-Credential');
+      signedHeaders = url.searchParams.get('X-Amz-SignedHeaders');
+      signature = url.searchParams.get('X-Amz-Signature');
+      amzDate = url.searchParams.get('X-Amz-Date');
+      payloadHash = 'UNSIGNED-PAYLOAD';
+      const issued = Date.parse(
+        amzDate.replace(
+          /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+          '$1-$2-$3T$4:$5:$6Z'
+        )
+      );
+      const expires = Number(url.searchParams.get('X-Amz-Expires'));
+      if (!issued || Date.now() > issued + expires * 1000) {
+        return 'AccessDenied';
+      }
+    } else {
+      const match =
+        /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=(\w+)$/.exec(
+          req.headers.authorization || ''
+        );
+      if (!match) return 'AccessDenied';
+      [, credential, signedHeaders, signature] = match;
+      amzDate = req.headers['x-amz-date'];
+      payloadHash = req.headers['x-amz-content-sha256'];
+      if (payloadHash !== sha256Hex(body)) return 'XAmzContentSHA256Mismatch';
+    }
+
+    const [keyId, shortDate, credentialRegion] = (credential || '').split('/');
+    if (keyId !== accessKeyId || credentialRegion !== region) {
+      return 'InvalidAccessKeyId';
+    }
+
+    const query = [...url.searchParams]
+      .filter(([name]) => name !== 'X-Amz-Signature')
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+      .join('&');
+    const headerNames = signedHeaders.split(';');
+    const canonicalRequest = [
+      req.method,
+      url.pathname,
+      query,
+      headerNames
+        .map((name) => `${name}:${String(req.headers[name] || '').trim()}\n`)
+        .join(''),
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const scope = `${shortDate}/${region}/s3/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      sha256Hex(canonicalRequest),
+    ].join('\n');
+    let key = hmac(`AWS4${secretAccessKey}`, shortDate);
+    key = hmac(hmac(hmac(key, region), 's3'), 'aws4_request');
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(stringToSign)
+      .digest('hex');
+    return expected === signature ? null : 'SignatureDoesNotMatch';
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const body = await readBody(req);
+      const error = checkSignature(req, url, body);
+      if (error) return sendError(res, 403, error);
+
+      // "/<bucket>/<key>"; keys keep their slashes
+      const objectKey = decodeURIComponent(url.pathname.slice(1));
+      const stored = objects.get(objectKey);
+
+      if (req.method === 'PUT') {
+        objects.set(objectKey, {
+          body,
+          contentType:
+            req.headers['content-type'] || 'application/octet-stream',
+        });
+        res.writeHead(200, {
+          ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"`,
+        });
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(objectKey);
+        res.writeHead(204);
+        return res.end();
+      }
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        if (!stored) return sendError(res, 404, 'NoSuchKey');
+        res.writeHead(200, {
+          'Content-Type':
+            url.searchParams.get('response-content-type') || stored.contentType,
+          'Content-Length': stored.body.length,
+          ...(url.searchParams.has('response-content-disposition') && {
+            'Content-Disposition': url.searchParams.get(
+              'response-content-disposition'
+            ),
+          }),
+        });
+        return res.end(req.method === 'GET' ? stored.body : undefined);
+      }
+      return sendError(res, 405, 'MethodNotAllowed');
+    } catch (error) {
+      console.error('Mock S3 error:', error);
+      return sendError(res, 500, 'InternalError');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      resolve({
+        endpoint: `http://localhost:${server.address().port}`,
+        region,
+        accessKeyId,
+        secretAccessKey,
+        objects,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+};
+
+if (require.main === module) {
+  startMockS3Server({ port: Number(process.env.MOCK_S3_PORT) || 4012 }).then(
+    ({ endpoint, accessKeyId, secretAccessKey }) => {
+      console.log(
+        `Mock S3 server listening on ${endpoint} (any bucket name works)`
+      );
+      console.log(`Access key: ${accessKeyId}, secret key: ${secretAccessKey}`);
+    }
+  );
+}
+
+module.exports = { startMockS3Server };
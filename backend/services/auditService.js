@@ -0,0 +1,38 @@
+// backend/services/auditService.js
+
+const userTarget = (user) => ({ type: 'user', id: user._id });
+
+const createAuditService = ({ models }) => {
+  const { AuditEvent } = models;
+
+  // Append an entry to the audit log. `actor` defaults to the signed-in user;
+  // `before` / `after` hold the affected fields. Auditing must never break the
+  // request it describes, so failures are only logged.
+  const recordAudit = async (
+    req,
+    action,
+    { actor = req?.user, target, before, after, metadata } = {}
+  ) => {
+    try {
+      await AuditEvent.create({
+        action,
+        actorId: actor?._id,
+        actorEmail: actor?.email,
+        targetType: target?.type,
+        targetId: target?.id ? String(target.id) : undefined,
+        ip: req?.ip,
+        userAgent: req
+          ? (req.get('user-agent') || '').slice(0, 512)
+          : undefined,
+        changes: before || after ? { before, after } : undefined,
+        metadata,
+      });
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  };
+
+  return { recordAudit };
+};
+
+module.exports = { createAuditService, userTarget };
@@ -0,0 +1,250 @@
+// backend/services/authService.js
+//
+// Accounts, sessions and sign-in factors: refresh-token families, access
+// tokens, verification and reset mail, two-factor codes and lockouts.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { verifyTotp } = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SECRETS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes';
+
+const toUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  hasPassword: user.hasPassword !== false,
+  identities: (user.identities || []).map(({ provider, email, linkedAt }) => ({
+    provider,
+    email,
+    linkedAt,
+  })),
+});
+
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: String(session._id) === String(currentSessionId),
+});
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+// Recovery codes look like "3f9a1-0c2be"; only their hashes are stored
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+const hashRecoveryCode = (code) =>
+  hashToken(
+    String(code)
+      .toLowerCase()
+      .replace(/[^a-f0-9]/g, '')
+  );
+
+const lockoutSecondsRemaining = (user) =>
+  user.lockedUntil
+    ? Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000)
+    : 0;
+
+const createAuthService = ({ config, models, mailer, roles }) => {
+  const { User, Session } = models;
+
+  const refreshExpiry = () =>
+    new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+  const signAccessToken = (user, session) =>
+    jwt.sign({ userId: user._id, sid: session._id }, config.jwtSecret, {
+      expiresIn: config.accessTokenTtl,
+    });
+
+  // Start a new refresh-token family for the user's device and return its
+  // first token
+  const createSession = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+      userId: user._id,
+      tokenHash: hashToken(refreshToken),
+      userAgent: (req.get('user-agent') || '').slice(0, 512),
+      ip: req.ip,
+      expiresAt: refreshExpiry(),
+    });
+    return { session, refreshToken };
+  };
+
+  const revokeSession = (filter, reason) =>
+    Session.findOneAndUpdate(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+  const revokeAllSessions = (userId, reason) =>
+    Session.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+  // Issue a fresh verification token (invalidating any earlier one) and mail it
+  const sendVerificationEmail = async (user) => {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          emailVerificationTokenHash: hashToken(verificationToken),
+          emailVerificationExpiresAt: new Date(
+            Date.now() + config.verificationTokenTtlHours * 60 * 60 * 1000
+          ),
+          verificationEmailSentAt: new Date(),
+        },
+      }
+    );
+
+    const verifyUrl = `${config.appUrl}/verify-email/${verificationToken}`;
+    await mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text:
+        `Hi ${user.name},\n\n` +
+        `Please confirm your email address by opening the link below. It ` +
+        `expires in ${config.verificationTokenTtlHours} hours.\n\n` +
+        `${verifyUrl}`,
+    });
+  };
+
+  // Check a TOTP code or a recovery code for a user whose twoFactor secrets
+  // were selected. Accepted codes are consumed atomically: recovery codes are
+  // pulled from the list and TOTP steps can't be reused.
+  const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    if (recoveryCode) {
+      const codeHash = hashRecoveryCode(recoveryCode);
+      const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodeHashes': codeHash },
+        { $pull: { 'twoFactor.recoveryCodeHashes': codeHash } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+        ],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+  };
+
+  // Count a failed password or 2FA attempt. From LOCKOUT_THRESHOLD failures
+  // on, the account locks for LOCKOUT_BASE_SECONDS, doubling with every
+  // further failure up to LOCKOUT_MAX_SECONDS. Returns the lock length in
+  // seconds, or 0 if the account is still open.
+  const recordFailedLogin = async (user) => {
+    const { failedLoginAttempts } = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true, projection: { failedLoginAttempts: 1 } }
+    );
+    if (failedLoginAttempts < config.lockoutThreshold) return 0;
+
+    const lockSeconds = Math.min(
+      config.lockoutBaseSeconds *
+        2 ** (failedLoginAttempts - config.lockoutThreshold),
+      config.lockoutMaxSeconds
+    );
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { lockedUntil: new Date(Date.now() + lockSeconds * 1000) } }
+    );
+    return lockSeconds;
+  };
+
+  const clearFailedLogins = (user) =>
+    User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0, lockedUntil: null } }
+    );
+
+  // Issue a single-use reset token and mail the link. `intro` explains why the
+  // user is getting the message.
+  const sendPasswordResetEmail = async (user, intro) => {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          passwordResetTokenHash: hashToken(resetToken),
+          passwordResetExpiresAt: new Date(
+            Date.now() + config.resetTokenTtlMinutes * 60 * 1000
+          ),
+        },
+      }
+    );
+
+    const resetUrl = `${config.appUrl}/reset-password/${resetToken}`;
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text:
+        `Hi ${user.name},\n\n` +
+        `${intro} Use the link below to choose a new password. It expires in ` +
+        `${config.resetTokenTtlMinutes} minutes and can only be used once.\n\n` +
+        `${resetUrl}`,
+    });
+  };
+
+  // Short-lived token proving the first sign-in factor; it is exchanged at
+  // /api/auth/login/2fa together with a code
+  const signMfaChallenge = (user) =>
+    jwt.sign({ userId: user._id, purpose: 'mfa' }, config.jwtSecret, {
+      expiresIn: config.mfaChallengeTtl,
+    });
+
+  // User payload for responses the client keeps as its session state
+  const toSessionUserResponse = async (user, permissions) => ({
+    ...toUserResponse(user),
+    permissions: permissions || (await roles.getPermissions(user.role)),
+  });
+
+  return {
+    toUserResponse,
+    toSessionUserResponse,
+    toSessionResponse,
+    hashToken,
+    generateRefreshToken,
+    refreshExpiry,
+    signAccessToken,
+    signMfaChallenge,
+    createSession,
+    revokeSession,
+    revokeAllSessions,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    verifySecondFactor,
+    lockoutSecondsRemaining,
+    recordFailedLogin,
+    clearFailedLogins,
+  };
+};
+
+module.exports = { createAuthService, TWO_FACTOR_SECRETS };
@@ -0,0 +1,528 @@
+// backend/services/dataService.js
+//
+// Data items: who may read or change them, how they are validated, their
+// revision history, the trash, and telling open dashboards about changes.
+
+const mongoose = require('mongoose');
+const { hasPermission } = require('./roleService');
+const { SHARE_LEVELS } = require('../models');
+const { pickFields } = require('../utils/changes');
+const { validateCustomFields } = require('../utils/customFields');
+const {
+  string,
+  objectId,
+  array,
+  object,
+  validateInput,
+} = require('../utils/validation');
+
+const DATA_AUDIT_FIELDS = [
+  'title',
+  'description',
+  'userId',
+  'tags',
+  'categoryId',
+  'customFields',
+];
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+// -------- Request schemas (see utils/validation.js) --------
+
+const ITEM_PARAMS = { id: objectId({ label: 'Item ID' }) };
+
+// The fields of an item body, as the item form in the frontend checks them.
+// Tags, the category and custom fields are checked further against the
+// owner's own by parseItemExtras.
+const ITEM_FIELDS = {
+  title: string({ min: 3, max: MAX_TITLE_LENGTH }),
+  description: string({ min: 10, max: MAX_DESCRIPTION_LENGTH }),
+  // Blank tags are dropped, as normalizeTags does
+  tags: array(string({ max: MAX_TAG_LENGTH, optional: true, label: 'Tag' }), {
+    max: MAX_TAGS,
+    optional: true,
+  }),
+  categoryId: objectId({ optional: true, nullable: true, label: 'Category' }),
+  customFields: object(null, { optional: true }),
+};
+
+// An item's version doubles as its ETag
+const versionETag = (item) => `"${item.version}"`;
+
+// The version a write was based on: an If-Match header ("3" or W/"3") or
+// a `version` field in the body. Returns null when neither is usable.
+const expectedVersion = (req) => {
+  const header = req.get('if-match');
+  const raw = header
+    ? header.trim().replace(/^W\//, '').replace(/^"|"$/g, '')
+    : req.body?.version;
+  const version = Number(raw);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// Lower-cased, trimmed, de-duplicated tags with inner spaces turned into
+// dashes, or null if the list is unusable
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) return null;
+  const normalized = [
+    ...new Set(
+      tags
+        .filter((tag) => typeof tag === 'string')
+        .map((tag) => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean)
+    ),
+  ];
+  if (
+    normalized.length > MAX_TAGS ||
+    normalized.some((tag) => tag.length > MAX_TAG_LENGTH)
+  ) {
+    return null;
+  }
+  return normalized;
+};
+
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'tags',
+  'categoryId',
+  'customFields',
+];
+
+// Storage keys stay on the server
+const toAttachmentResponse = (attachment) => ({
+  id: attachment._id,
+  name: attachment.name,
+  size: attachment.size,
+  mimeType: attachment.mimeType,
+  uploadedAt: attachment.uploadedAt,
+});
+
+const createDataService = ({ config, models, storage, eventBus, audit }) => {
+  const { User, DataItem, DataItemRevision, Category, CustomField, Team } =
+    models;
+  const trashRetentionMs = config.trashRetentionDays * 24 * 60 * 60 * 1000;
+
+  // When an item in the trash will be purged
+  const purgeDate = (item) =>
+    new Date(item.deletedAt.getTime() + trashRetentionMs);
+
+  // Deletes attachment files. A file that can't be removed only wastes
+  // space, so failures are logged rather than failing the request.
+  const removeStoredFiles = async (keys) => {
+    const results = await Promise.allSettled(
+      keys.map((key) => storage.remove(key))
+    );
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) =>
+        console.error('Storage remove error:', result.reason)
+      );
+  };
+
+  // IDs of the users who can see `item`: its owner and everyone it is shared
+  // with, directly or through a team. Given `shares`, just the users of those.
+  const itemAudience = async (item, shares) => {
+    const grants = shares || item.shares || [];
+    const idsOf = (type) =>
+      grants
+        .filter((share) => share.principalType === type)
+        .map((share) => share.principalId);
+    const teams = idsOf('team').length
+      ? await Team.find({ _id: { $in: idsOf('team') } })
+          .select('members.userId')
+          .lean()
+      : [];
+    const userIds = [
+      ...(shares ? [] : [item.userId]),
+      ...idsOf('user'),
+      ...teams.flatMap((team) => team.members.map((member) => member.userId)),
+    ];
+    return [...new Set(userIds.map(String))];
+  };
+
+  // The X-Client-Id the changing request came with
+  const eventOrigin = (req) =>
+    String(req?.get('x-client-id') || '').slice(0, 64);
+
+  // Tells the open dashboards of everyone who can see the item that it was
+  // "created", "updated" or "deleted" (see GET /api/events), or only the
+  // users of the shares in `to`. The origin lets the tab that made the change
+  // skip its own news. Like auditing, this never
+  // breaks the request.
+  const publishItemEvent = async (req, type, item, { to } = {}) => {
+    try {
+      const origin = eventOrigin(req);
+      const userIds = await itemAudience(item, to);
+      await Promise.all(
+        userIds.map((userId) =>
+          eventBus.publish(userId, { type, id: String(item._id), origin })
+        )
+      );
+    } catch (error) {
+      console.error('Publish event error:', error);
+    }
+  };
+
+  // Asks the users' dashboards to reload their list, for changes too large to
+  // send item by item
+  const publishReload = async (req, userIds) => {
+    try {
+      const origin = eventOrigin(req);
+      await Promise.all(
+        [...new Set(userIds.map(String))].map((userId) =>
+          eventBus.publish(userId, { type: 'reload', origin })
+        )
+      );
+    } catch (error) {
+      console.error('Publish event error:', error);
+    }
+  };
+
+  // The user's own ID plus the IDs of their teams, i.e. every principal an
+  // item can be shared with on their behalf. Cached on the request.
+  const principalIdsFor = async (req) => {
+    if (!req.principalIds) {
+      const teams = await Team.find({ 'members.userId': req.user._id })
+        .select('_id')
+        .lean();
+      req.principalIds = [req.user._id, ...teams.map((team) => team._id)];
+    }
+    return req.principalIds;
+  };
+
+  // Query filter limiting data items to the ones the user may `action`
+  // ("read" or "write"): everything with the :any permission, otherwise
+  // their own plus those shared with them or one of their teams at a level
+  // that allows it. Deleting and sharing are for owners only; see ownerScope.
+  const dataScope = async (req, action) => {
+    if (hasPermission(req, `data:${action}:any`)) return {};
+    const levels = action === 'write' ? ['editor'] : SHARE_LEVELS;
+    return {
+      $or: [
+        { userId: req.user._id },
+        {
+          shares: {
+            $elemMatch: {
+              principalId: { $in: await principalIdsFor(req) },
+              level: { $in: levels },
+            },
+          },
+        },
+      ],
+    };
+  };
+
+  const ownerScope = (req) =>
+    hasPermission(req, 'data:write:any') ? {} : { userId: req.user._id };
+
+  // "owner", "editor" or "viewer": what the user may do with an item they
+  // can read. Needs principalIdsFor(req) to have run.
+  const itemAccess = (req, item) => {
+    if (String(item.userId) === String(req.user._id)) return 'owner';
+    const ids = (req.principalIds || [req.user._id]).map(String);
+    const isEditor = item.shares.some(
+      (share) =>
+        share.level === 'editor' && ids.includes(String(share.principalId))
+    );
+    return isEditor || hasPermission(req, 'data:write:any')
+      ? 'editor'
+      : 'viewer';
+  };
+
+  // Item JSON plus the requester's access level. The share list itself is
+  // only served by /api/data/:id/shares; items owned by someone else carry
+  // the owner's name and email.
+  const toDataItemResponses = async (req, items) => {
+    await principalIdsFor(req);
+    const ownerIds = [
+      ...new Set(
+        items
+          .map((item) => String(item.userId))
+          .filter((id) => id !== String(req.user._id))
+      ),
+    ];
+    const owners = ownerIds.length
+      ? await User.find({ _id: { $in: ownerIds } }).select('name email')
+      : [];
+    const ownerById = new Map(
+      owners.map((owner) => [
+        String(owner._id),
+        { name: owner.name, email: owner.email },
+      ])
+    );
+
+    return items.map((item) => {
+      const { shares, attachments, ...fields } = item.toJSON();
+      return {
+        ...fields,
+        attachments: (attachments || []).map(toAttachmentResponse),
+        purgeAt: item.deletedAt ? purgeDate(item) : undefined,
+        shareCount: shares.length,
+        access: itemAccess(req, item),
+        owner: ownerById.get(String(item.userId)),
+      };
+    });
+  };
+
+  // Answers a stale write with the server's copy, so the client can merge
+  const sendVersionConflict = async (req, res, item) => {
+    const [current] = await toDataItemResponses(req, [item]);
+    return res.status(409).set('ETag', versionETag(item)).json({
+      error: 'This item was changed by someone else since you loaded it',
+      current,
+    });
+  };
+
+  // 404 when the user can't see the item at all, 403 with `message` when
+  // they can see it but not do what they asked
+  const itemDenial = async (req, id, message) => {
+    const visible = await DataItem.exists({
+      _id: id,
+      ...(await dataScope(req, 'read')),
+    });
+    return visible
+      ? { status: 403, error: message }
+      : { status: 404, error: 'Data item not found' };
+  };
+
+  const denyItemAccess = async (req, res, id, message) => {
+    const { status, error } = await itemDenial(req, id, message);
+    return res.status(status).json({ error });
+  };
+
+  // The category and every category below it in its owner's tree
+  const categoryWithDescendants = async (categoryId) => {
+    const root = await Category.findById(categoryId).lean();
+    if (!root) return [];
+    const categories = await Category.find({ userId: root.userId })
+      .select('parentId')
+      .lean();
+
+    const ids = [root._id];
+    for (let i = 0; i < ids.length; i += 1) {
+      categories
+        .filter((category) => String(category.parentId) === String(ids[i]))
+        .forEach((category) => ids.push(category._id));
+    }
+    return ids;
+  };
+
+  // Store the item's current content as revision number `item.version`
+  const saveRevision = (item, author, { restoredFrom = null } = {}) =>
+    DataItemRevision.create({
+      itemId: item._id,
+      version: item.version,
+      ...pickFields(item, REVISION_FIELDS),
+      authorId: author._id,
+      authorName: author.name,
+      restoredFrom,
+    });
+
+  // Items created before revision history have no revisions. Before their
+  // first change, keep what they looked like as an author-less baseline.
+  const ensureBaselineRevision = async (before) => {
+    if (
+      await DataItemRevision.exists({
+        itemId: before._id,
+        version: before.version,
+      })
+    ) {
+      return;
+    }
+    await DataItemRevision.create({
+      itemId: before._id,
+      version: before.version,
+      ...pickFields(before, REVISION_FIELDS),
+      authorId: null,
+      createdAt: before.updatedAt,
+    });
+  };
+
+  // Permanently delete the trashed items matching `filter` together with
+  // their revisions and attachments. Returns how many items were removed.
+  const purgeItems = async (filter, req = null) => {
+    const trashed = await DataItem.find({
+      ...filter,
+      deletedAt: { $ne: null },
+    })
+      .select('userId attachments.storageKey')
+      .lean();
+    const ids = trashed.map((item) => item._id);
+    if (!ids.length) return 0;
+
+    const { deletedCount } = await DataItem.deleteMany({
+      _id: { $in: ids },
+      deletedAt: { $ne: null },
+    });
+    // Anything restored in the meantime survives, and keeps its history
+    const survivors = (
+      await DataItem.find({ _id: { $in: ids } })
+        .setOptions({ withDeleted: true })
+        .distinct('_id')
+    ).map(String);
+    const purged = trashed.filter(
+      (item) => !survivors.includes(String(item._id))
+    );
+    await DataItemRevision.deleteMany({
+      itemId: { $in: purged.map((item) => item._id) },
+    });
+    await removeStoredFiles(
+      purged.flatMap((item) => item.attachments.map((a) => a.storageKey))
+    );
+    await publishReload(
+      req,
+      purged.map((item) => item.userId)
+    );
+    return deletedCount;
+  };
+
+  // Items saved before the version counter existed start at version 1
+  const backfillItemVersions = () =>
+    DataItem.updateMany(
+      { version: { $exists: false } },
+      { $set: { version: 1 } },
+      { withDeleted: true }
+    );
+
+  // Validate the optional tags / categoryId / customFields of an item body
+  // against the owner's categories and field definitions. Returns { values }
+  // with the fields to set, or { error, fields }. New items are checked for
+  // required custom fields even when none are sent. Pass the owner's field
+  // `definitions` to save loading them again for each of many items.
+  const parseItemExtras = async (
+    body,
+    ownerId,
+    { isNew = false, definitions } = {}
+  ) => {
+    const values = {};
+
+    if (body.tags !== undefined) {
+      const tags = normalizeTags(body.tags);
+      if (!tags) {
+        const error = `Tags must be a list of up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters`;
+        return { error, fields: { tags: error } };
+      }
+      values.tags = tags;
+    }
+
+    if (body.categoryId !== undefined) {
+      if (body.categoryId === null || body.categoryId === '') {
+        values.categoryId = null;
+      } else if (
+        !mongoose.isValidObjectId(body.categoryId) ||
+        !(await Category.exists({ _id: body.categoryId, userId: ownerId }))
+      ) {
+        return {
+          error: 'Unknown category',
+          fields: { categoryId: 'Unknown category' },
+        };
+      } else {
+        values.categoryId = body.categoryId;
+      }
+    }
+
+    const customFields =
+      body.customFields !== undefined ? body.customFields : isNew ? {} : null;
+    if (customFields !== null) {
+      const { values: fieldValues, errors } = validateCustomFields(
+        definitions || (await CustomField.find({ userId: ownerId }).lean()),
+        customFields
+      );
+      if (Object.keys(errors).length) {
+        return {
+          error: 'Some custom fields are invalid',
+          fields: Object.fromEntries(
+            Object.entries(errors).map(([key, message]) => [
+              `customFields.${key}`,
+              message,
+            ])
+          ),
+        };
+      }
+      values.customFields = fieldValues;
+    }
+
+    return { values };
+  };
+
+  // The checks POST /api/data makes on a new item, shared with bulk creates
+  // and imports. Returns { values } for new DataItem(), or { error, fields }.
+  const parseNewItem = async (body, ownerId, options = {}) => {
+    const { values, errors } = validateInput(ITEM_FIELDS, body);
+    if (Object.keys(errors).length) {
+      return { error: Object.values(errors)[0], fields: errors };
+    }
+    const { title, description } = values;
+    const extras = await parseItemExtras(values, ownerId, {
+      ...options,
+      isNew: true,
+    });
+    if (extras.error) return extras;
+    return {
+      values: { title, description, userId: ownerId, ...extras.values },
+    };
+  };
+
+  // Purges items that have been in the trash longer than
+  // TRASH_RETENTION_DAYS. Several instances running it at once is harmless.
+  const purgeExpiredTrash = async () => {
+    try {
+      const purged = await purgeItems({
+        deletedAt: { $lt: new Date(Date.now() - trashRetentionMs) },
+      });
+      if (purged) {
+        await audit.recordAudit(null, 'data.purged', {
+          metadata: {
+            count: purged,
+            reason: 'retention',
+            retentionDays: config.trashRetentionDays,
+          },
+        });
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  return {
+    principalIdsFor,
+    dataScope,
+    ownerScope,
+    itemAccess,
+    itemDenial,
+    denyItemAccess,
+    toAttachmentResponse,
+    toDataItemResponses,
+    sendVersionConflict,
+    normalizeTags,
+    categoryWithDescendants,
+    parseItemExtras,
+    parseNewItem,
+    saveRevision,
+    ensureBaselineRevision,
+    purgeDate,
+    purgeItems,
+    purgeExpiredTrash,
+    backfillItemVersions,
+    removeStoredFiles,
+    publishItemEvent,
+    publishReload,
+  };
+};
+
+module.exports = {
+  createDataService,
+  DATA_AUDIT_FIELDS,
+  REVISION_FIELDS,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  ITEM_PARAMS,
+  ITEM_FIELDS,
+  versionETag,
+  expectedVersion,
+};
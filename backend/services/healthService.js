@@ -0,0 +1,24 @@
+// backend/services/healthService.js
+
+// Mongoose connection.readyState values
+const DATABASE_STATES = {
+  0: 'disconnected',
+  1: 'connected',
+  2: 'connecting',
+  3: 'disconnecting',
+};
+
+const createHealthService = ({ db }) => {
+  // The process is up if it can answer at all; the database state is
+  // reported alongside, so a MongoDB outage doesn't get the container
+  // restarted
+  const check = () => ({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    database: DATABASE_STATES[db.connection.readyState] || 'unknown',
+  });
+
+  return { check };
+};
+
+module.exports = { createHealthService };
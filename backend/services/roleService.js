@@ -0,0 +1,68 @@
+// backend/services/roleService.js
+//
+// The permission catalogue and the roles that bundle permissions. A user's
+// access is whatever their role grants.
+
+const PERMISSIONS = {
+  'data:read:own': 'Read own data items',
+  'data:read:any': "Read any user's data items",
+  'data:write:own': 'Create, edit and delete own data items',
+  'data:write:any': "Edit and delete any user's data items",
+  'users:manage': 'Manage user accounts',
+  'roles:manage': 'Create and edit roles',
+  'audit:read': 'View and export the audit log',
+};
+
+const BUILT_IN_ROLES = [
+  {
+    name: 'user',
+    description: 'Default role for new accounts',
+    permissions: ['data:read:own', 'data:write:own'],
+  },
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: Object.keys(PERMISSIONS),
+  },
+];
+
+// Whether the signed-in user's role grants `permission`; needs
+// authenticateToken to have run
+const hasPermission = (req, permission) =>
+  Boolean(req.permissions && req.permissions.includes(permission));
+
+const createRoleService = ({ models }) => {
+  const { Role } = models;
+
+  // Create any missing built-in role. Existing ones are left alone so admin
+  // edits survive restarts; "admin" always gets the full catalogue so new
+  // permissions reach it and nobody can lock themselves out.
+  const ensureBuiltInRoles = async () => {
+    for (const role of BUILT_IN_ROLES) {
+      await Role.updateOne(
+        { name: role.name },
+        {
+          $setOnInsert: {
+            description: role.description,
+            permissions: role.permissions,
+          },
+          $set: { builtIn: true },
+        },
+        { upsert: true }
+      );
+    }
+    await Role.updateOne(
+      { name: 'admin' },
+      { $set: { permissions: Object.keys(PERMISSIONS) } }
+    );
+  };
+
+  const getPermissions = async (roleName) => {
+    const role = await Role.findOne({ name: roleName }).lean();
+    return role ? role.permissions : [];
+  };
+
+  return { ensureBuiltInRoles, getPermissions };
+};
+
+module.exports = { createRoleService, hasPermission, PERMISSIONS };
@@ -0,0 +1,245 @@
+// backend/tests/auth.test.js
+
+const request = require('supertest');
+const { useTestApp, registerUser, bearer } = require('./helpers');
+const { generateTotp } = require('../utils/totp');
+
+const context = useTestApp();
+
+describe('POST /api/auth/register', () => {
+  it('creates the account and signs it in', async () => {
+    const res = await request(context.app).post('/api/auth/register').send({
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      password: 'analytical',
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user).toMatchObject({
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      role: 'user',
+      emailVerified: false,
+    });
+    expect(res.body.user).not.toHaveProperty('password');
+    expect(res.headers['set-cookie'].join(';')).toMatch(/refreshToken=/);
+
+    const stored = await context.models.User.findOne({
+      email: 'ada@example.com',
+    });
+    expect(stored.password).not.toBe('analytical');
+  });
+
+  it('requires a name, email and password', async () => {
+    const res = await request(context.app)
+      .post('/api/auth/register')
+      .send({ email: 'ada@example.com', password: 'analytical' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      error: 'Name is required',
+      code: 'VALIDATION_FAILED',
+      fields: { name: 'Name is required' },
+    });
+  });
+
+  it('rejects passwords shorter than 6 characters', async () => {
+    const res = await request(context.app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'ada@example.com', password: '12345' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Password must be at least 6 characters');
+  });
+
+  it('rejects an email that is already registered', async () => {
+    const { user } = await registerUser(context.app);
+
+    const res = await request(context.app)
+      .post('/api/auth/register')
+      .send({ name: 'Someone else', email: user.email, password: 'whatever' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('User already exists');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('signs in with the right password', async () => {
+    const { user, password } = await registerUser(context.app);
+
+    const res = await request(context.app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.user).toMatchObject({ id: user.id, email: user.email });
+  });
+
+  it('rejects a wrong password', async () => {
+    const { user } = await registerUser(context.app);
+
+    const res = await request(context.app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: 'not-the-password' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid credentials');
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it('gives an unknown email the same answer as a wrong password', async () => {
+    const res = await request(context.app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'whatever' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid credentials');
+  });
+
+  it('requires an email and a password', async () => {
+    const res = await request(context.app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.fields).toEqual({ password: 'Password is required' });
+  });
+
+  it('turns away disabled accounts', async () => {
+    const { user, password } = await registerUser(context.app);
+    await context.models.User.updateOne(
+      { _id: user.id },
+      { $set: { disabled: true } }
+    );
+
+    const res = await request(context.app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  const refresh = (cookies) => {
+    const req = request(context.app).post('/api/auth/refresh');
+    return cookies ? req.set('Cookie', cookies) : req;
+  };
+  const getMe = (token) =>
+    request(context.app)
+      .get('/api/auth/me')
+      .set('Authorization', bearer(token));
+
+  it('requires the refresh cookie', async () => {
+    const res = await refresh();
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Refresh token required');
+  });
+
+  it('issues a new access token and rotates the refresh token', async () => {
+    const { user, cookies } = await registerUser(context.app);
+
+    const res = await refresh(cookies);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: user.id });
+    expect((await getMe(res.body.token)).status).toBe(200);
+    const [rotated] = res.headers['set-cookie'];
+    expect(rotated).toMatch(/^refreshToken=/);
+    expect(rotated.split(';')[0]).not.toBe(cookies[0].split(';')[0]);
+    expect((await refresh(res.headers['set-cookie'])).status).toBe(200);
+  });
+
+  it('revokes the whole session when a rotated token is replayed', async () => {
+    const { user, cookies } = await registerUser(context.app);
+    const rotated = await refresh(cookies).expect(200);
+
+    const replay = await refresh(cookies);
+
+    expect(replay.status).toBe(401);
+    // The thief and the rightful owner are both signed out
+    expect((await refresh(rotated.headers['set-cookie'])).status).toBe(401);
+    const me = await getMe(rotated.body.token);
+    expect(me.status).toBe(401);
+    expect(me.body.error).toBe('Session has been revoked');
+    const [session] = await context.models.Session.find({ userId: user.id });
+    expect(session.revokedReason).toBe('reuse_detected');
+  });
+});
+
+describe('POST /api/auth/2fa/disable', () => {
+  const enableTwoFactor = async (token) => {
+    const setup = await request(context.app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', bearer(token))
+      .expect(200);
+    await request(context.app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', bearer(token))
+      .send({ code: generateTotp(setup.body.secret) })
+      .expect(200);
+  };
+
+  it('locks the account after repeated wrong passwords', async () => {
+    const { token, user } = await registerUser(context.app);
+    await enableTwoFactor(token);
+    const disable = (password) =>
+      request(context.app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', bearer(token))
+        .send({ password, code: '000000' });
+
+    const { lockoutThreshold } = context.config;
+    const statuses = [];
+    for (let attempt = 0; attempt < lockoutThreshold; attempt++) {
+      statuses.push((await disable('not-the-password')).status);
+    }
+
+    expect(statuses.slice(0, -1).every((status) => status === 400)).toBe(true);
+    expect(statuses[statuses.length - 1]).toBe(429);
+    const locked = await context.models.User.findById(user.id);
+    expect(locked.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect((await disable('correct-horse')).body.code).toBe('ACCOUNT_LOCKED');
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it("returns the signed-in user with their role's permissions", async () => {
+    const { token, user } = await registerUser(context.app);
+
+    const res = await request(context.app)
+      .get('/api/auth/me')
+      .set('Authorization', bearer(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({
+      id: user.id,
+      name: user.name,
+      email: user.email,
+    });
+    expect(res.body.user.permissions).toEqual(
+      expect.arrayContaining(['data:read:own', 'data:write:own'])
+    );
+    expect(res.body.user.permissions).not.toContain('users:manage');
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('works with the token from a later login', async () => {
+    const { user, password } = await registerUser(context.app);
+    const login = await request(context.app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password });
+
+    const res = await request(context.app)
+      .get('/api/auth/me')
+      .set('Authorization', bearer(login.body.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.id).toBe(user.id);
+  });
+});
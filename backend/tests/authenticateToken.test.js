@@ -0,0 +1,144 @@
+// backend/tests/authenticateToken.test.js
+//
+// The ways a request to a protected route can fail before it gets there,
+// exercised through GET /api/auth/me.
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const {
+  useTestApp,
+  registerUser,
+  bearer,
+  TEST_JWT_SECRET,
+} = require('./helpers');
+
+const context = useTestApp();
+
+const getMe = (authorization) => {
+  const req = request(context.app).get('/api/auth/me');
+  return authorization ? req.set('Authorization', authorization) : req;
+};
+
+describe('authenticateToken', () => {
+  it('accepts a valid token', async () => {
+    const { token } = await registerUser(context.app);
+
+    const res = await getMe(bearer(token));
+
+    expect(res.status).toBe(200);
+  });
+
+  describe('missing token', () => {
+    it('rejects a request without an Authorization header', async () => {
+      const res = await getMe();
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Access token required');
+    });
+
+    it('rejects a header that is not a Bearer token', async () => {
+      const { token } = await registerUser(context.app);
+
+      const res = await getMe(`Token ${token}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Access token required');
+    });
+  });
+
+  describe('malformed token', () => {
+    it('rejects a token that is not a JWT', async () => {
+      const res = await getMe(bearer('not-a-jwt'));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid or expired token');
+    });
+
+    it('rejects a token signed with another secret', async () => {
+      const { token } = await registerUser(context.app);
+      const { userId, sid } = jwt.decode(token);
+      const forged = jwt.sign({ userId, sid }, 'some-other-secret');
+
+      const res = await getMe(bearer(forged));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid or expired token');
+    });
+
+    it('rejects a token without a session', async () => {
+      const { user } = await registerUser(context.app);
+      const token = jwt.sign({ userId: user.id }, TEST_JWT_SECRET);
+
+      const res = await getMe(bearer(token));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Session has been revoked');
+    });
+
+    it("rejects a token pairing one user's session with another user", async () => {
+      const first = await registerUser(context.app);
+      const second = await registerUser(context.app);
+      const { sid } = jwt.decode(first.token);
+      const token = jwt.sign({ userId: second.user.id, sid }, TEST_JWT_SECRET);
+
+      const res = await getMe(bearer(token));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Session has been revoked');
+    });
+  });
+
+  describe('expired token', () => {
+    it('rejects a token past its expiry', async () => {
+      const { token } = await registerUser(context.app);
+      const { userId, sid } = jwt.decode(token);
+      const expired = jwt.sign(
+        { userId, sid, exp: Math.floor(Date.now() / 1000) - 60 },
+        TEST_JWT_SECRET
+      );
+
+      const res = await getMe(bearer(expired));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid or expired token');
+    });
+
+    it('rejects the token of a session that was logged out', async () => {
+      const { token, cookies } = await registerUser(context.app);
+      await request(context.app)
+        .post('/api/auth/logout')
+        .set('Cookie', cookies)
+        .expect(200);
+
+      const res = await getMe(bearer(token));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Session has been revoked');
+    });
+  });
+
+  describe('deleted or disabled user', () => {
+    it('rejects the token of a user that no longer exists', async () => {
+      const { token, user } = await registerUser(context.app);
+      await context.models.User.deleteOne({ _id: user.id });
+
+      const res = await getMe(bearer(token));
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid token');
+    });
+
+    it('rejects the token of a disabled user', async () => {
+      const { token, user } = await registerUser(context.app);
+      await context.models.User.updateOne(
+        { _id: user.id },
+        { $set: { disabled: true } }
+      );
+
+      const res = await getMe(bearer(token));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe('This account has been disabled');
+    });
+  });
+});
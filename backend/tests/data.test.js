@@ -0,0 +1,411 @@
+// backend/tests/data.test.js
+//
+// CRUD on /api/data and who may do what to whose items.
+
+const request = require('supertest');
+const { useTestApp, registerUser, bearer } = require('./helpers');
+
+const context = useTestApp();
+
+const createItem = async (token, fields = {}) => {
+  const res = await request(context.app)
+    .post('/api/data')
+    .set('Authorization', bearer(token))
+    .send({
+      title: 'Quarterly report',
+      description: 'Sales figures by region',
+      ...fields,
+    });
+  expect(res.status).toBe(201);
+  return res.body;
+};
+
+const listItems = (token, query = {}) =>
+  request(context.app)
+    .get('/api/data')
+    .query(query)
+    .set('Authorization', bearer(token));
+
+const updateItem = (token, item, fields = {}) =>
+  request(context.app)
+    .put(`/api/data/${item._id}`)
+    .set('Authorization', bearer(token))
+    .set('If-Match', `"${item.version}"`)
+    .send({ title: item.title, description: item.description, ...fields });
+
+const deleteItem = (token, item) =>
+  request(context.app)
+    .delete(`/api/data/${item._id}`)
+    .set('Authorization', bearer(token));
+
+describe('/api/data', () => {
+  it('requires a signed-in user', async () => {
+    const res = await request(context.app).get('/api/data');
+
+    expect(res.status).toBe(401);
+  });
+
+  describe('create', () => {
+    it('creates an item owned by the user', async () => {
+      const { token, user } = await registerUser(context.app);
+
+      const item = await createItem(token, { tags: ['Finance'] });
+
+      expect(item).toMatchObject({
+        title: 'Quarterly report',
+        description: 'Sales figures by region',
+        userId: user.id,
+        version: 1,
+        tags: ['finance'],
+        access: 'owner',
+      });
+    });
+
+    it('requires a title and a description', async () => {
+      const { token } = await registerUser(context.app);
+
+      const res = await request(context.app)
+        .post('/api/data')
+        .set('Authorization', bearer(token))
+        .send({ title: 'No description' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        error: 'Description is required',
+        code: 'VALIDATION_FAILED',
+        fields: { description: 'Description is required' },
+      });
+    });
+
+    it('applies the same length limits as the item form', async () => {
+      const { token } = await registerUser(context.app);
+
+      const res = await request(context.app)
+        .post('/api/data')
+        .set('Authorization', bearer(token))
+        .send({ title: 'Ab', description: 'Too short', tags: 'finance' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual({
+        title: 'Title must be at least 3 characters',
+        description: 'Description must be at least 10 characters',
+        tags: 'Tags must be a list',
+      });
+    });
+  });
+
+  describe('read', () => {
+    it('rejects query parameters it does not understand', async () => {
+      const { token } = await registerUser(context.app);
+
+      const res = await listItems(token, { sort: 'owner', limit: '0' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual({
+        sort: 'Sort must be one of: createdAt, updatedAt, title',
+        limit: 'Limit must be at least 1',
+      });
+    });
+
+    it("lists the user's own items", async () => {
+      const { token } = await registerUser(context.app);
+      await createItem(token, { title: 'First' });
+      await createItem(token, { title: 'Second' });
+
+      const res = await listItems(token, { sort: 'title', order: 'asc' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(2);
+      expect(res.body.items.map((item) => item.title)).toEqual([
+        'First',
+        'Second',
+      ]);
+    });
+
+    it("never lists another user's items", async () => {
+      const alice = await registerUser(context.app);
+      const bob = await registerUser(context.app);
+      await createItem(alice.token, { title: "Alice's item" });
+
+      for (const scope of [undefined, 'all', 'shared', 'trash']) {
+        const res = await listItems(bob.token, scope ? { scope } : {});
+        expect(res.status).toBe(200);
+        expect(res.body.items).toEqual([]);
+      }
+    });
+  });
+
+  describe('update', () => {
+    it('updates the item and bumps its version', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+
+      const res = await updateItem(token, item, { title: 'Annual report' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ title: 'Annual report', version: 2 });
+      expect(res.headers.etag).toBe('"2"');
+    });
+
+    it('requires the version the edit was based on', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+
+      const res = await request(context.app)
+        .put(`/api/data/${item._id}`)
+        .set('Authorization', bearer(token))
+        .send({
+          title: 'Annual report',
+          description: 'Sales figures by region',
+        });
+
+      expect(res.status).toBe(428);
+    });
+
+    it('refuses to overwrite a newer version', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+      await updateItem(token, item, { title: 'Annual report' }).expect(200);
+
+      const res = await updateItem(token, item, { title: 'Stale edit' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.current).toMatchObject({
+        title: 'Annual report',
+        version: 2,
+      });
+    });
+
+    it('requires a title and a description', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+
+      const res = await updateItem(token, item, { description: '' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual({
+        description: 'Description is required',
+      });
+    });
+
+    it('rejects an item ID that is not an ObjectId', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+
+      const res = await updateItem(token, { ...item, _id: 'not-an-id' });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        error: 'Item ID is not valid',
+        code: 'VALIDATION_FAILED',
+        fields: { id: 'Item ID is not valid' },
+      });
+    });
+  });
+
+  describe('restore a revision', () => {
+    const restore = (token, item, version, currentVersion) => {
+      const req = request(context.app)
+        .post(`/api/data/${item._id}/revisions/${version}/restore`)
+        .set('Authorization', bearer(token));
+      return currentVersion ? req.send({ version: currentVersion }) : req;
+    };
+
+    it('saves the old content as a new version', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+      await updateItem(token, item, { title: 'Annual report' }).expect(200);
+
+      const res = await restore(token, item, 1, 2);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        title: 'Quarterly report',
+        version: 3,
+      });
+      expect(res.headers.etag).toBe('"3"');
+    });
+
+    it('requires the version it restores over', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+      await updateItem(token, item, { title: 'Annual report' }).expect(200);
+
+      const res = await restore(token, item, 1);
+
+      expect(res.status).toBe(428);
+    });
+
+    it('refuses to overwrite a newer version', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+      const updated = await updateItem(token, item, { title: 'Annual report' });
+      await updateItem(token, updated.body, { title: 'Final report' }).expect(
+        200
+      );
+
+      const res = await restore(token, item, 1, 2);
+
+      expect(res.status).toBe(409);
+      expect(res.body.current).toMatchObject({
+        title: 'Final report',
+        version: 3,
+      });
+    });
+  });
+
+  describe('import', () => {
+    it('accepts JSON files larger than the 1 MB body limit', async () => {
+      const { token } = await registerUser(context.app);
+      const items = Array.from({ length: 300 }, (_, index) => ({
+        title: `Imported item ${index}`,
+        description: 'x'.repeat(4000),
+      }));
+      const body = JSON.stringify(items);
+      expect(body.length).toBeGreaterThan(1024 * 1024);
+
+      const res = await request(context.app)
+        .post('/api/data/import')
+        .query({ format: 'json', dryRun: 'true' })
+        .set('Authorization', bearer(token))
+        .set('Content-Type', 'application/json')
+        .send(body);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ total: 300, valid: 300, imported: 0 });
+    });
+  });
+
+  describe('delete', () => {
+    it('moves the item to the trash, from where it can be restored', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+
+      const res = await deleteItem(token, item);
+
+      expect(res.status).toBe(200);
+      expect(res.body.purgeAt).toEqual(expect.any(String));
+      expect((await listItems(token)).body.items).toEqual([]);
+      const trash = await listItems(token, { scope: 'trash' });
+      expect(trash.body.items.map((trashed) => trashed._id)).toEqual([
+        item._id,
+      ]);
+
+      await request(context.app)
+        .post(`/api/data/${item._id}/restore`)
+        .set('Authorization', bearer(token))
+        .expect(200);
+      expect((await listItems(token)).body.total).toBe(1);
+    });
+
+    it('empties the trash for good', async () => {
+      const { token } = await registerUser(context.app);
+      const item = await createItem(token);
+      await deleteItem(token, item).expect(200);
+
+      const res = await request(context.app)
+        .delete('/api/data/trash')
+        .set('Authorization', bearer(token));
+
+      expect(res.status).toBe(200);
+      expect(res.body.purged).toBe(1);
+      expect(
+        await context.models.DataItem.exists({ _id: item._id }).setOptions({
+          withDeleted: true,
+        })
+      ).toBeNull();
+    });
+  });
+
+  describe("another user's items", () => {
+    let alice;
+    let bob;
+    let item;
+
+    beforeEach(async () => {
+      alice = await registerUser(context.app);
+      bob = await registerUser(context.app);
+      item = await createItem(alice.token);
+    });
+
+    const reload = () => context.models.DataItem.findById(item._id);
+
+    it('cannot be updated', async () => {
+      const res = await updateItem(bob.token, item, { title: 'Hijacked' });
+
+      expect(res.status).toBe(404);
+      expect((await reload()).title).toBe('Quarterly report');
+    });
+
+    it('cannot be deleted', async () => {
+      const res = await deleteItem(bob.token, item);
+
+      expect(res.status).toBe(404);
+      expect((await reload()).deletedAt).toBeNull();
+    });
+
+    it('cannot be restored from the trash', async () => {
+      await deleteItem(alice.token, item).expect(200);
+
+      const res = await request(context.app)
+        .post(`/api/data/${item._id}/restore`)
+        .set('Authorization', bearer(bob.token));
+
+      expect(res.status).toBe(404);
+    });
+
+    it('are not emptied with the trash', async () => {
+      await deleteItem(alice.token, item).expect(200);
+
+      const res = await request(context.app)
+        .delete('/api/data/trash')
+        .set('Authorization', bearer(bob.token));
+
+      expect(res.body.purged).toBe(0);
+      expect(
+        (await listItems(alice.token, { scope: 'trash' })).body.total
+      ).toBe(1);
+    });
+
+    it('can be read but not changed when shared with view access', async () => {
+      await request(context.app)
+        .post(`/api/data/${item._id}/shares`)
+        .set('Authorization', bearer(alice.token))
+        .send({ type: 'user', email: bob.user.email, level: 'viewer' })
+        .expect(200);
+
+      const shared = await listItems(bob.token, { scope: 'shared' });
+      expect(shared.body.items).toEqual([
+        expect.objectContaining({ _id: item._id, access: 'viewer' }),
+      ]);
+      expect((await updateItem(bob.token, item)).status).toBe(403);
+      expect((await deleteItem(bob.token, item)).status).toBe(403);
+    });
+
+    it('can be edited but not deleted when shared with edit access', async () => {
+      await request(context.app)
+        .post(`/api/data/${item._id}/shares`)
+        .set('Authorization', bearer(alice.token))
+        .send({ type: 'user', email: bob.user.email, level: 'editor' })
+        .expect(200);
+
+      const res = await updateItem(bob.token, item, { title: 'Edited by Bob' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.access).toBe('editor');
+      expect((await deleteItem(bob.token, item)).status).toBe(403);
+    });
+
+    it('can be changed by an admin', async () => {
+      await context.models.User.updateOne(
+        { _id: bob.user.id },
+        { $set: { role: 'admin' } }
+      );
+
+      const res = await updateItem(bob.token, item, { title: 'Moderated' });
+
+      expect(res.status).toBe(200);
+      expect((await reload()).title).toBe('Moderated');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// backend/tests/helpers.js
+//
+// useTestApp() registers the hooks a test file needs: the app is built with
+// createApp() on a database of its own, every collection is emptied between
+// tests and the built-in roles are put back.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { loadConfig } = require('../config');
+const { createApp } = require('../app');
+
+const TEST_JWT_SECRET = 'test-secret';
+
+let userCount = 0;
+
+const useTestApp = (env = {}) => {
+  const context = {};
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mern-auth-test-'));
+    await mongoose.connect(process.env.TEST_MONGODB_URI, {
+      dbName: `test-${path.basename(tmpDir)}`,
+    });
+    context.config = loadConfig({
+      JWT_SECRET: TEST_JWT_SECRET,
+      REQUIRE_EMAIL_VERIFICATION: 'false',
+      MAIL_OUTPUT_DIR: path.join(tmpDir, 'mail'),
+      STORAGE_LOCAL_DIR: path.join(tmpDir, 'uploads'),
+      // Every request comes from the same address
+      AUTH_RATE_LIMIT_MAX_PER_IP: '1000',
+      ...env,
+    });
+    context.app = createApp({ config: context.config, db: mongoose });
+    context.models = context.app.locals.models;
+  });
+
+  beforeEach(async () => {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(
+      collections.map((collection) => collection.deleteMany({}))
+    );
+    await context.app.locals.services.roles.ensureBuiltInRoles();
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  return context;
+};
+
+// Registers a fresh account; resolves to { token, user, password, cookies }
+const registerUser = async (app, fields = {}) => {
+  userCount += 1;
+  const credentials = {
+    name: `User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'correct-horse',
+    ...fields,
+  };
+  const res = await request(app).post('/api/auth/register').send(credentials);
+  if (res.status !== 201) {
+    throw new Error(`Registration failed: ${res.status} ${res.text}`);
+  }
+  return {
+    token: res.body.token,
+    user: res.body.user,
+    password: credentials.password,
+    cookies: res.headers['set-cookie'],
+  };
+};
+
+const bearer = (token) => `Bearer ${token}`;
+
+module.exports = { useTestApp, registerUser, bearer, TEST_JWT_SECRET };
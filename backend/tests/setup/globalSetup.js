@@ -0,0 +1,12 @@
+// backend/tests/setup/globalSetup.js
+//
+// Starts one in-memory MongoDB for the whole run; each test file gets its
+// own database on it (see tests/helpers.js).
+
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+module.exports = async () => {
+  const mongod = await MongoMemoryServer.create();
+  globalThis.__MONGOD__ = mongod;
+  process.env.TEST_MONGODB_URI = mongod.getUri();
+};
@@ -0,0 +1,5 @@
+// backend/tests/setup/globalTeardown.js
+
+module.exports = async () => {
+  await globalThis.__MONGOD__.stop();
+};
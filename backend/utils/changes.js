@@ -0,0 +1,25 @@
+// backend/utils/changes.js
+//
+// Field snapshots for audit entries and revisions. Map values (custom
+// fields) become plain objects so they serialise.
+
+const pickFields = (doc, fields) =>
+  Object.fromEntries(
+    fields.map((field) => {
+      const value = doc[field];
+      return [field, value instanceof Map ? Object.fromEntries(value) : value];
+    })
+  );
+
+// Before/after values of just the fields that differ
+const diffFields = (before, after, fields) => {
+  const changed = fields.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+  return {
+    before: pickFields(before, changed),
+    after: pickFields(after, changed),
+  };
+};
+
+module.exports = { pickFields, diffFields };
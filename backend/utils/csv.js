@@ -0,0 +1,77 @@
+// backend/utils/csv.js
+//
+// RFC 4180 CSV output and input. Every field is quoted on output, and
+// values starting with a formula character are prefixed with an apostrophe
+// so spreadsheet apps don't evaluate them (CSV injection). parseCsv strips
+// that apostrophe again, so exported files import unchanged.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '""';
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvField).join(',')}\r\n`;
+
+const invalidCsv = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Text -> array of rows, each an array of strings. Quoted fields may hold
+// commas, doubled quotes and line breaks; blank lines are skipped.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endField = () => {
+    row.push(ESCAPED_FORMULA.test(field) ? field.slice(1) : field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw invalidCsv('Unterminated quoted field in CSV');
+  if (field !== '' || row.length) endRow();
+  return rows;
+};
+
+module.exports = { toCsvRow, parseCsv };
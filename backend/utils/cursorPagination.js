@@ -0,0 +1,111 @@
+// backend/utils/cursorPagination.js
+//
+// Keyset ("cursor") pagination for Mongoose queries. Results are ordered by
+// one sort field with _id as the tie-breaker, and a cursor records the
+// position of the first or last item of a page:
+//
+//   const page = await paginate(DataItem, filter, {
+//     sortField: 'createdAt', order: 'desc', limit: 20, cursor,
+//   });
+//   // -> { items, nextCursor, prevCursor }
+//
+// Unlike skip/limit, pages stay stable while items are added or removed and
+// deep pages cost the same as the first one. Cursors are opaque base64url
+// strings tied to the sort they were issued for.
+
+const mongoose = require('mongoose');
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.status = 400;
+  return error;
+};
+
+const encodeCursor = (doc, { sortField, order }, direction) => {
+  const value = doc[sortField];
+  return Buffer.from(
+    JSON.stringify({
+      field: sortField,
+      order,
+      direction,
+      value: value instanceof Date ? value.toISOString() : value,
+      isDate: value instanceof Date,
+      id: String(doc._id),
+    })
+  ).toString('base64url');
+};
+
+const decodeCursor = (cursor, { sortField, order }) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw invalidCursor();
+  }
+  if (
+    !position ||
+    position.field !== sortField ||
+    position.order !== order ||
+    !['next', 'prev'].includes(position.direction) ||
+    !mongoose.isValidObjectId(position.id)
+  ) {
+    throw invalidCursor();
+  }
+  return {
+    direction: position.direction,
+    value: position.isDate ? new Date(position.value) : position.value,
+    id: new mongoose.Types.ObjectId(position.id),
+  };
+};
+
+const paginate = async (
+  model,
+  filter,
+  { sortField = 'createdAt', order = 'desc', limit = 20, cursor } = {}
+) => {
+  const sort = { sortField, order };
+  const position = cursor ? decodeCursor(cursor, sort) : null;
+  const backwards = position?.direction === 'prev';
+  // Paging backwards is paging forwards in the opposite order
+  const descending = (order === 'desc') !== backwards;
+  const beyond = descending ? '$lt' : '$gt';
+  const direction = descending ? -1 : 1;
+
+  const query = position
+    ? {
+        $and: [
+          filter,
+          {
+            $or: [
+              { [sortField]: { [beyond]: position.value } },
+              { [sortField]: position.value, _id: { [beyond]: position.id } },
+            ],
+          },
+        ],
+      }
+    : filter;
+
+  // One extra document tells us whether there is another page
+  const docs = await model
+    .find(query)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1);
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const hasNext = backwards || hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position);
+
+  return {
+    items,
+    nextCursor:
+      hasNext && items.length
+        ? encodeCursor(items[items.length - 1], sort, 'next')
+        : null,
+    prevCursor:
+      hasPrev && items.length ? encodeCursor(items[0], sort, 'prev') : null,
+  };
+};
+
+module.exports = { paginate };
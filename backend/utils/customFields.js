@@ -0,0 +1,148 @@
+// backend/utils/customFields.js
+//
+// Typed, user-defined fields on data items. A definition looks like
+//
+//   { key: 'priority', label: 'Priority', type: 'select',
+//     options: ['low', 'high'], required: false }
+//
+// Values are stored on the item under `customFields.<key>` and validated
+// against the item owner's definitions. The frontend mirrors these rules in
+// src/utils/customFields.js; keep the two in step.
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+const MAX_LABEL_LENGTH = 64;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_OPTIONS = 50;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '';
+
+// Normalised value for `definition`, or throws with the reason (phrased to
+// follow the field label)
+const coerceValue = (definition, value) => {
+  switch (definition.type) {
+    case 'text': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error('must be text');
+      }
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw new Error(`must be at most ${MAX_TEXT_LENGTH} characters`);
+      }
+      return text;
+    }
+    case 'number': {
+      const number =
+        typeof value === 'number'
+          ? value
+          : typeof value === 'string' && value.trim() !== ''
+            ? Number(value)
+            : NaN;
+      if (!Number.isFinite(number)) throw new Error('must be a number');
+      return number;
+    }
+    case 'date': {
+      const date =
+        typeof value === 'string' || value instanceof Date
+          ? new Date(value)
+          : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        throw new Error('must be a date');
+      }
+      return date;
+    }
+    case 'select':
+      if (!definition.options.includes(value)) {
+        throw new Error(`must be one of: ${definition.options.join(', ')}`);
+      }
+      return value;
+    default:
+      throw new Error('has an unknown type');
+  }
+};
+
+// Check `input` (an object keyed by field key) against the definitions.
+// Returns { values, errors }: normalised values with empty ones dropped, and
+// a message per offending key.
+const validateCustomFields = (definitions, input) => {
+  const values = {};
+  const errors = {};
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      values,
+      errors: { customFields: 'Custom fields must be an object' },
+    };
+  }
+
+  Object.keys(input).forEach((key) => {
+    if (!definitions.some((definition) => definition.key === key)) {
+      errors[key] = `Unknown field "${key}"`;
+    }
+  });
+
+  definitions.forEach((definition) => {
+    const value = input[definition.key];
+    if (isEmpty(value)) {
+      if (definition.required) {
+        errors[definition.key] = `${definition.label} is required`;
+      }
+      return;
+    }
+    try {
+      values[definition.key] = coerceValue(definition, value);
+    } catch (error) {
+      errors[definition.key] = `${definition.label} ${error.message}`;
+    }
+  });
+
+  return { values, errors };
+};
+
+// Mongo filter for `?cf[key]=value` (exact match) and
+// `?cf[key][min]=..&cf[key][max]=..` (number and date ranges).
+// Returns { filter, errors }.
+const buildCustomFieldFilter = (definitions, query) => {
+  const filter = {};
+  const errors = {};
+  if (!query || typeof query !== 'object') return { filter, errors };
+
+  Object.entries(query).forEach(([key, condition]) => {
+    const definition = definitions.find((d) => d.key === key);
+    if (!definition) {
+      errors[key] = `Unknown field "${key}"`;
+      return;
+    }
+    const path = `customFields.${key}`;
+    try {
+      if (condition && typeof condition === 'object') {
+        if (!['number', 'date'].includes(definition.type)) {
+          throw new Error('can only be matched exactly');
+        }
+        const range = {};
+        if (!isEmpty(condition.min)) {
+          range.$gte = coerceValue(definition, condition.min);
+        }
+        if (!isEmpty(condition.max)) {
+          range.$lte = coerceValue(definition, condition.max);
+        }
+        if (Object.keys(range).length) filter[path] = range;
+      } else if (!isEmpty(condition)) {
+        filter[path] = coerceValue(definition, condition);
+      }
+    } catch (error) {
+      errors[key] = `${definition.label} ${error.message}`;
+    }
+  });
+
+  return { filter, errors };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  MAX_LABEL_LENGTH,
+  MAX_OPTIONS,
+  validateCustomFields,
+  buildCustomFieldFilter,
+};
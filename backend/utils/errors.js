@@ -0,0 +1,6 @@
+// backend/utils/errors.js
+
+// MongoDB's E11000: an insert or update hit a unique index
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+module.exports = { isDuplicateKeyError };
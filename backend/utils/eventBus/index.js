@@ -0,0 +1,30 @@
+// backend/utils/eventBus/index.js
+//
+// Publish/subscribe for change notifications, keyed by channel (the app
+// uses one channel per user). A bus has two methods:
+//
+//   publish(channel, message) -> Promise
+//   subscribe(channel, listener) -> unsubscribe()
+//
+// Listeners are called with the message, in publish order. The memory bus
+// only reaches subscribers in the same process; use the mongo bus when
+// several replicas serve clients.
+
+const createMemoryBus = require('./memoryBus');
+const createMongoBus = require('./mongoBus');
+
+const buses = {
+  memory: createMemoryBus,
+  mongo: createMongoBus,
+};
+
+const createEventBus = (config = {}) => {
+  const { bus = 'memory', ...options } = config;
+  const factory = buses[bus];
+  if (!factory) {
+    throw new Error(`Unknown event bus "${bus}"`);
+  }
+  return factory(options);
+};
+
+module.exports = { createEventBus };
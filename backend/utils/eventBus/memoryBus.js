@@ -0,0 +1,33 @@
+// backend/utils/eventBus/memoryBus.js
+//
+// Delivers messages to subscribers in this process only.
+
+const createMemoryBus = () => {
+  const listeners = new Map();
+
+  const deliver = (channel, message) => {
+    for (const listener of listeners.get(channel) || []) {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Event listener error:', error);
+      }
+    }
+  };
+
+  return {
+    publish: async (channel, message) => deliver(channel, message),
+
+    subscribe: (channel, listener) => {
+      if (!listeners.has(channel)) listeners.set(channel, new Set());
+      listeners.get(channel).add(listener);
+      return () => {
+        const set = listeners.get(channel);
+        set.delete(listener);
+        if (set.size === 0) listeners.delete(channel);
+      };
+    },
+  };
+};
+
+module.exports = createMemoryBus;
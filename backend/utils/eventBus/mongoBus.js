@@ -0,0 +1,82 @@
+// backend/utils/eventBus/mongoBus.js
+//
+// Shares messages between replicas through a capped collection. Every
+// process tails the collection and hands new documents to its local
+// subscribers, its own publishes included. Tailable cursors work on a
+// standalone server, so no replica set is needed.
+
+const createMemoryBus = require('./memoryBus');
+
+const RETRY_DELAY_MS = 1000;
+
+const createMongoBus = ({
+  mongoose,
+  collection = 'events',
+  sizeBytes = 1024 * 1024,
+}) => {
+  if (!mongoose) {
+    throw new Error('Mongo event bus requires a mongoose instance');
+  }
+
+  const Event =
+    mongoose.models.BusEvent ||
+    mongoose.model(
+      'BusEvent',
+      new mongoose.Schema(
+        {
+          channel: { type: String, required: true },
+          message: { type: mongoose.Schema.Types.Mixed, required: true },
+        },
+        { versionKey: false, capped: { size: sizeBytes } }
+      ),
+      collection
+    );
+
+  const local = createMemoryBus();
+  let tailing = false;
+
+  // Follows the collection from its current end, starting over after
+  // errors (a tailable cursor dies when the server restarts)
+  const tail = async () => {
+    // A tailable cursor on an empty capped collection closes immediately
+    let last = await Event.findOne().sort({ $natural: -1 }).lean();
+    if (!last) {
+      last = (await Event.create({ channel: '', message: {} })).toObject();
+    }
+
+    for (;;) {
+      try {
+        const cursor = Event.find({ _id: { $gt: last._id } })
+          .tailable(true, { awaitData: true })
+          .lean()
+          .cursor();
+        for await (const event of cursor) {
+          last = event;
+          if (event.channel) local.publish(event.channel, event.message);
+        }
+      } catch (error) {
+        console.error('Event bus cursor error:', error.message);
+      }
+      await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+  };
+
+  return {
+    publish: async (channel, message) => {
+      await Event.create({ channel, message });
+    },
+
+    subscribe: (channel, listener) => {
+      if (!tailing) {
+        tailing = true;
+        tail().catch((error) => {
+          tailing = false;
+          console.error('Event bus error:', error);
+        });
+      }
+      return local.subscribe(channel, listener);
+    },
+  };
+};
+
+module.exports = createMongoBus;
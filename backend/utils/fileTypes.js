@@ -0,0 +1,43 @@
+// backend/utils/fileTypes.js
+//
+// Uploads declare a MIME type, which the client controls. For the formats
+// with a fixed signature the first bytes must agree with the declared type,
+// so e.g. an executable can't be passed off as a PNG. Other types on the
+// allow-list (plain text, CSV) have no signature to check.
+
+const ZIP = [
+  [0x50, 0x4b, 0x03, 0x04],
+  [0x50, 0x4b, 0x05, 0x06],
+];
+
+const SIGNATURES = {
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46, 0x2d]],
+  'application/zip': ZIP,
+  // Office Open XML documents are zip archives
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+    ZIP,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ZIP,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+    ZIP,
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// "RIFF" <size> "WEBP"
+const isWebp = (buffer) =>
+  startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) &&
+  startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8);
+
+// True unless `buffer` clearly isn't a `mimeType` file
+const contentMatchesType = (buffer, mimeType) => {
+  if (mimeType === 'image/webp') return isWebp(buffer);
+  const signatures = SIGNATURES[mimeType];
+  return !signatures || signatures.some((bytes) => startsWith(buffer, bytes));
+};
+
+module.exports = { contentMatchesType };
@@ -0,0 +1,32 @@
+// backend/utils/mailer/fileTransport.js
+//
+// Development transport: writes each message as JSON into `outputDir`, or
+// prints it to the console when no directory is configured. Lets the reset
+// and verification flows be exercised without a mail server.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const createFileTransport = ({ outputDir } = {}) => ({
+  send: async (message) => {
+    const record = { ...message, date: new Date().toISOString() };
+
+    if (!outputDir) {
+      console.log(
+        `[mail] To: ${record.to}\n[mail] Subject: ${record.subject}\n${record.text || ''}`
+      );
+      return record;
+    }
+
+    await fs.mkdir(outputDir, { recursive: true });
+    const safeRecipient = String(record.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    await fs.writeFile(
+      path.join(outputDir, fileName),
+      JSON.stringify(record, null, 2)
+    );
+    return record;
+  },
+});
+
+module.exports = createFileTransport;
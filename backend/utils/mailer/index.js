@@ -0,0 +1,42 @@
+// backend/utils/mailer/index.js
+//
+// Mail goes through a small transport-agnostic interface so the app never
+// talks to nodemailer directly:
+//
+//   const mailer = createMailer(config);
+//   await mailer.send({ to, subject, text, html });
+//
+// Adapters live next to this file and only need to implement `send`.
+
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+};
+
+const createMailer = (config = {}) => {
+  const {
+    transport = 'file',
+    from = 'no-reply@localhost',
+    ...options
+  } = config;
+  const factory = transports[transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport "${transport}"`);
+  }
+
+  const adapter = factory(options);
+
+  return {
+    send: async ({ to, subject, text, html }) => {
+      if (!to || !subject) {
+        throw new Error('Mail requires a recipient and a subject');
+      }
+      return adapter.send({ from, to, subject, text, html });
+    },
+  };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,22 @@
+// backend/utils/mailer/smtpTransport.js
+
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port = 587, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP transport requires SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure: secure === undefined ? Number(port) === 465 : secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,159 @@
+// backend/utils/oidc/client.js
+//
+// OAuth2 / OpenID Connect client for the authorization code flow with PKCE
+// (RFC 7636). Providers that publish an `issuer` are configured through
+// discovery and must return a signed ID token. Plain OAuth2 providers (e.g.
+// GitHub) give explicit endpoints and a `fetchProfile` hook instead.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+const pkceChallenge = (verifier) =>
+  base64url(crypto.createHash('sha256').update(verifier).digest());
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.status;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+const createOidcClient = (provider) => {
+  const {
+    issuer,
+    clientId,
+    clientSecret,
+    redirectUri,
+    scopes = 'openid email profile',
+    fetchProfile,
+  } = provider;
+
+  let metadata = null;
+  let jwks = null;
+
+  // Endpoints come from discovery when there is an issuer, else from config
+  const getMetadata = async () => {
+    if (metadata) return metadata;
+    if (issuer) {
+      metadata = await fetchJson(
+        `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+      );
+    } else {
+      metadata = {
+        authorization_endpoint: provider.authorizationEndpoint,
+        token_endpoint: provider.tokenEndpoint,
+        userinfo_endpoint: provider.userinfoEndpoint,
+      };
+    }
+    return metadata;
+  };
+
+  const getSigningKey = async (kid, { refresh = false } = {}) => {
+    if (!jwks || refresh) {
+      const { jwks_uri: jwksUri } = await getMetadata();
+      jwks = (await fetchJson(jwksUri)).keys || [];
+    }
+    const jwk = jwks.find((key) => key.kid === kid) || (!kid && jwks[0]);
+    if (!jwk) {
+      // Keys rotate: refetch once before giving up
+      if (!refresh) return getSigningKey(kid, { refresh: true });
+      throw new Error('No matching signing key for ID token');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  };
+
+  const verifyIdToken = async (idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('Malformed ID token');
+
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: metadata.issuer,
+      audience: clientId,
+    });
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+    return claims;
+  };
+
+  const createAuthorizationRequest = async () => {
+    const { authorization_endpoint: authorizationEndpoint } =
+      await getMetadata();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: pkceChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+  };
+
+  // Exchange the code and return a normalised profile:
+  // { subject, email, emailVerified, name }
+  const handleCallback = async ({ code, codeVerifier, nonce }) => {
+    const {
+      token_endpoint: tokenEndpoint,
+      userinfo_endpoint: userinfoEndpoint,
+    } = await getMetadata();
+
+    const tokens = await fetchJson(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        client_secret: clientSecret,
+        code_verifier: codeVerifier,
+      }).toString(),
+    });
+    // Some providers report failures with a 200 and an `error` field
+    if (tokens.error) {
+      throw new Error(
+        `Token exchange failed: ${tokens.error_description || tokens.error}`
+      );
+    }
+
+    if (fetchProfile) {
+      return fetchProfile(tokens, { fetchJson, userinfoEndpoint });
+    }
+
+    if (!tokens.id_token) {
+      throw new Error('Provider did not return an ID token');
+    }
+    const claims = await verifyIdToken(tokens.id_token, nonce);
+    return {
+      subject: String(claims.sub),
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: claims.email_verified === true,
+      name: claims.name || claims.email,
+    };
+  };
+
+  return { createAuthorizationRequest, handleCallback };
+};
+
+module.exports = createOidcClient;
@@ -0,0 +1,50 @@
+// backend/utils/oidc/index.js
+//
+// Social sign-in providers behind one interface:
+//
+//   const providers = createOAuthProviders(config);
+//   const request = await providers.google.createAuthorizationRequest();
+//   // ...redirect to request.url, keep state/nonce/codeVerifier server-side
+//   const profile = await providers.google.handleCallback({
+//     code, codeVerifier, nonce,
+//   });
+//
+// A provider is enabled once it has a client ID (and, for the generic
+// "oidc" provider, an issuer). Profiles are normalised to
+// { subject, email, emailVerified, name }.
+
+const createOidcClient = require('./client');
+const presets = require('./providers');
+
+const createOAuthProviders = ({ callbackBaseUrl, providers = {} } = {}) => {
+  const enabled = {};
+
+  Object.entries(providers).forEach(([id, settings]) => {
+    const preset = presets[id];
+    if (!preset) {
+      throw new Error(`Unknown OAuth provider "${id}"`);
+    }
+
+    const options = { ...preset };
+    Object.entries(settings || {}).forEach(([key, value]) => {
+      if (value) options[key] = value;
+    });
+    if (!options.clientId) return;
+    if (!options.issuer && !options.authorizationEndpoint) {
+      throw new Error(`OAuth provider "${id}" needs an issuer`);
+    }
+
+    enabled[id] = {
+      id,
+      name: options.name,
+      ...createOidcClient({
+        ...options,
+        redirectUri: `${callbackBaseUrl}/api/auth/oauth/${id}/callback`,
+      }),
+    };
+  });
+
+  return enabled;
+};
+
+module.exports = { createOAuthProviders };
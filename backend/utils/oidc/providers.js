@@ -0,0 +1,46 @@
+// backend/utils/oidc/providers.js
+//
+// Built-in provider presets. Settings given in the app config (client ID,
+// secret, issuer, name) are merged over these.
+
+const fetchGithubProfile = async (tokens, { fetchJson }) => {
+  const headers = {
+    Authorization: `Bearer ${tokens.access_token}`,
+    'User-Agent': 'mern-auth',
+  };
+  const [profile, emails] = await Promise.all([
+    fetchJson('https://api.github.com/user', { headers }),
+    fetchJson('https://api.github.com/user/emails', { headers }),
+  ]);
+  // GitHub doesn't say whether the profile email is verified; use the
+  // primary address from the emails API, falling back to any verified one
+  const verified = emails.filter((entry) => entry.verified);
+  const email = verified.find((entry) => entry.primary) || verified[0];
+
+  return {
+    subject: String(profile.id),
+    email: email ? email.email.toLowerCase() : null,
+    emailVerified: Boolean(email),
+    name: profile.name || profile.login,
+  };
+};
+
+module.exports = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com',
+    scopes: 'openid email profile',
+  },
+  github: {
+    name: 'GitHub',
+    authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+    tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    scopes: 'read:user user:email',
+    fetchProfile: fetchGithubProfile,
+  },
+  // Any standards-compliant issuer (Keycloak, Auth0, the local mock...)
+  oidc: {
+    name: 'Single sign-on',
+    scopes: 'openid email profile',
+  },
+};
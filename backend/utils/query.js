@@ -0,0 +1,15 @@
+// backend/utils/query.js
+//
+// Helpers for turning validated query-string values into MongoDB filters.
+
+// { $gte, $lte } for whichever of the `from` / `to` dates were given, or null
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? range : null;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { dateRange, escapeRegex };
@@ -0,0 +1,61 @@
+// backend/utils/rateLimiter/index.js
+//
+// Fixed-window rate limiting with a pluggable counter store. A store only
+// needs one method:
+//
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//
+// The in-memory store is fine for a single process; use the mongo store when
+// several replicas must share the same counters.
+
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+const createRateLimitStore = (config = {}) => {
+  const { store = 'memory', ...options } = config;
+  const factory = stores[store];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store "${store}"`);
+  }
+  return factory(options);
+};
+
+// Express middleware allowing `max` requests per `windowMs` for each key.
+// Requests for which `keyGenerator` returns nothing are not counted.
+const createRateLimiter = ({
+  store,
+  windowMs,
+  max,
+  prefix,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later',
+}) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyGenerator(req);
+      if (!key) return next();
+
+      const { count, resetAt } = await store.increment(
+        `${prefix}:${key}`,
+        windowMs
+      );
+      if (count <= max) return next();
+
+      const retryAfter = Math.max(
+        1,
+        Math.ceil((resetAt.getTime() - Date.now()) / 1000)
+      );
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: message, retryAfter });
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { createRateLimitStore, createRateLimiter };
@@ -0,0 +1,35 @@
+// backend/utils/rateLimiter/memoryStore.js
+//
+// Per-process counters. Expired windows are swept periodically so the map
+// doesn't grow without bound.
+
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt.getTime() <= now) windows.delete(key);
+    }
+  }, sweepIntervalMs);
+  // Don't keep the process alive just for the sweeper
+  sweep.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      const entry = windows.get(key);
+
+      if (!entry || entry.resetAt.getTime() <= now) {
+        const fresh = { count: 1, resetAt: new Date(now + windowMs) };
+        windows.set(key, fresh);
+        return { ...fresh };
+      }
+
+      entry.count += 1;
+      return { ...entry };
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,57 @@
+// backend/utils/rateLimiter/mongoStore.js
+//
+// Counters shared by every backend replica through MongoDB. Each key is one
+// document; a TTL index cleans up windows once they have expired.
+
+const createMongoStore = ({ mongoose, collection = 'ratelimits' }) => {
+  if (!mongoose) {
+    throw new Error('Mongo rate limit store requires a mongoose instance');
+  }
+
+  const RateLimit =
+    mongoose.models.RateLimit ||
+    mongoose.model(
+      'RateLimit',
+      new mongoose.Schema(
+        {
+          key: { type: String, required: true, unique: true },
+          count: { type: Number, required: true },
+          resetAt: { type: Date, required: true, expires: 0 },
+        },
+        { versionKey: false }
+      ),
+      collection
+    );
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const isActive = { $gt: ['$resetAt', now] };
+
+      // Single atomic round trip: start a new window if the stored one has
+      // expired (or doesn't exist), otherwise bump the count.
+      const entry = await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [isActive, { $add: ['$count', 1] }, 1] },
+              resetAt: {
+                $cond: [
+                  isActive,
+                  '$resetAt',
+                  new Date(now.getTime() + windowMs),
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true, lean: true }
+      );
+
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
+
+module.exports = createMongoStore;
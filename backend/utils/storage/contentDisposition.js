@@ -0,0 +1,17 @@
+// backend/utils/storage/contentDisposition.js
+//
+// Content-Disposition value that makes browsers download a file under its
+// original name: an ASCII fallback plus the exact UTF-8 name (RFC 6266).
+
+const encodeRfc5987 = (value) =>
+  encodeURIComponent(value).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const contentDisposition = (fileName = 'download') => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeRfc5987(fileName)}`;
+};
+
+module.exports = contentDisposition;
@@ -0,0 +1,32 @@
+// backend/utils/storage/index.js
+//
+// Attachment files go through a small storage interface so routes never
+// touch the disk or S3 directly:
+//
+//   const storage = createStorage(config);
+//   await storage.put(key, buffer, { contentType });
+//   const url = await storage.signedUrl(key, { expiresIn, fileName, contentType });
+//   await storage.remove(key);
+//
+// `signedUrl` returns a download link that stops working after `expiresIn`
+// seconds. A driver that serves files itself (local) also has
+// `handleDownload`, the Express handler for the links it signs.
+
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+const createStorage = (config = {}) => {
+  const { driver = 'local', ...options } = config;
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  return factory(options);
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,108 @@
+// backend/utils/storage/localDriver.js
+//
+// Keeps files under `directory` on the local disk. Download links point back
+// at this app (`routePath`) and carry an HMAC signature and expiry, checked
+// by `handleDownload` before the file is streamed.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const contentDisposition = require('./contentDisposition');
+
+const createLocalDriver = ({
+  directory = 'uploads',
+  secret,
+  routePath = '/api/files',
+} = {}) => {
+  if (!secret) {
+    throw new Error('The local storage driver needs a signing secret');
+  }
+  const root = path.resolve(directory);
+
+  // Keys come from the app, but never let one point outside the directory
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(`${root}${path.sep}`)) {
+      throw new Error('Invalid storage key');
+    }
+    return resolved;
+  };
+
+  const sign = ({ key, expires, name, type }) =>
+    crypto
+      .createHmac('sha256', secret)
+      .update([key, expires, name, type].join('\n'))
+      .digest('base64url');
+
+  const isValidSignature = (params) => {
+    const expected = Buffer.from(sign(params));
+    const actual = Buffer.from(String(params.signature || ''));
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  };
+
+  return {
+    put: async (key, data) => {
+      const target = filePath(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.writeFile(target, data);
+    },
+
+    remove: async (key) => {
+      await fsp.rm(filePath(key), { force: true });
+    },
+
+    signedUrl: async (key, { expiresIn, fileName = '', contentType = '' }) => {
+      const params = {
+        key,
+        expires: String(Math.floor(Date.now() / 1000) + expiresIn),
+        name: fileName,
+        type: contentType,
+      };
+      const query = new URLSearchParams({
+        ...params,
+        signature: sign(params),
+      });
+      return `${routePath}?${query}`;
+    },
+
+    // Express handler for the links signedUrl hands out
+    handleDownload: (req, res) => {
+      const { key, expires, name, type, signature } = req.query;
+      const params = {
+        key: String(key || ''),
+        expires: String(expires || ''),
+        name: String(name || ''),
+        type: String(type || ''),
+        signature,
+      };
+      if (!isValidSignature(params)) {
+        return res.status(403).json({ error: 'Invalid download link' });
+      }
+      if (Number(params.expires) * 1000 < Date.now()) {
+        return res
+          .status(403)
+          .json({ error: 'This download link has expired' });
+      }
+
+      const stream = fs.createReadStream(filePath(params.key));
+      stream.on('error', () => {
+        if (!res.headersSent) res.status(404).json({ error: 'File not found' });
+      });
+      stream.on('open', () => {
+        res.setHeader(
+          'Content-Type',
+          params.type || 'application/octet-stream'
+        );
+        res.setHeader('Content-Disposition', contentDisposition(params.name));
+        res.setHeader('Cache-Control', 'private, no-store');
+        stream.pipe(res);
+      });
+    },
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,182 @@
+// backend/utils/storage/s3Driver.js
+//
+// Amazon S3 or any S3-compatible service (MinIO, `npm run mock-s3`), spoken
+// to directly with Signature Version 4 over fetch. Uploads and deletes are
+// signed in the Authorization header; download links are presigned URLs
+// that S3 checks itself, so the bytes never pass through this app.
+
+const crypto = require('crypto');
+const contentDisposition = require('./contentDisposition');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256Hex = (data) =>
+  crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) =>
+  crypto.createHmac('sha256', key).update(data).digest();
+
+// encodeURIComponent leaves a few characters SigV4 wants escaped
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const canonicalQuery = (params) =>
+  Object.keys(params)
+    .sort()
+    .map((key) => `${encodeRfc3986(key)}=${encodeRfc3986(params[key])}`)
+    .join('&');
+
+// "20240102T030405Z" and "20240102"
+const amzDates = (date = new Date()) => {
+  const stamp = date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+  return { amzDate: stamp, shortDate: stamp.slice(0, 8) };
+};
+
+const createS3Driver = ({
+  endpoint = 'https://s3.amazonaws.com',
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = true,
+} = {}) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('The S3 storage driver needs a bucket and credentials');
+  }
+  const base = new URL(endpoint);
+  const basePath = base.pathname.replace(/\/$/, '');
+
+  // Path-style (endpoint/bucket/key) suits MinIO and local stand-ins;
+  // virtual-hosted style (bucket.endpoint/key) is what AWS prefers
+  const objectUrl = (key) => {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    return forcePathStyle
+      ? new URL(
+          `${base.origin}${basePath}/${encodeRfc3986(bucket)}/${encodedKey}`
+        )
+      : new URL(
+          `${base.protocol}//${bucket}.${base.host}${basePath}/${encodedKey}`
+        );
+  };
+
+  const signature = ({
+    method,
+    url,
+    query,
+    headers,
+    payloadHash,
+    amzDate,
+    shortDate,
+  }) => {
+    const scope = `${shortDate}/${region}/s3/aws4_request`;
+    const headerNames = Object.keys(headers).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery(query),
+      headerNames
+        .map((name) => `${name}:${String(headers[name]).trim()}\n`)
+        .join(''),
+      headerNames.join(';'),
+      payloadHash,
+    ].join('\n');
+    const stringToSign = [
+      ALGORITHM,
+      amzDate,
+      scope,
+      sha256Hex(canonicalRequest),
+    ].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      hmac,
+      hmac(hmac(`AWS4${secretAccessKey}`, shortDate), region)
+    );
+    return {
+      scope,
+      signedHeaders: headerNames.join(';'),
+      value: crypto
+        .createHmac('sha256', signingKey)
+        .update(stringToSign)
+        .digest('hex'),
+    };
+  };
+
+  const send = async (method, key, { body, contentType } = {}) => {
+    const url = objectUrl(key);
+    const { amzDate, shortDate } = amzDates();
+    const payloadHash = sha256Hex(body || '');
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      ...(contentType && { 'content-type': contentType }),
+    };
+    const signed = signature({
+      method,
+      url,
+      query: {},
+      headers,
+      payloadHash,
+      amzDate,
+      shortDate,
+    });
+    const { host, ...sendHeaders } = headers;
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...sendHeaders,
+        Authorization: `${ALGORITHM} Credential=${accessKeyId}/${signed.scope}, SignedHeaders=${signed.signedHeaders}, Signature=${signed.value}`,
+      },
+    });
+    // Deleting a missing object is fine
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(
+        `S3 ${method} ${key} failed: ${response.status} ${detail}`.trim()
+      );
+    }
+  };
+
+  return {
+    put: (key, data, { contentType } = {}) =>
+      send('PUT', key, { body: data, contentType }),
+
+    remove: (key) => send('DELETE', key),
+
+    signedUrl: async (key, { expiresIn, fileName, contentType }) => {
+      const url = objectUrl(key);
+      const { amzDate, shortDate } = amzDates();
+      const query = {
+        'X-Amz-Algorithm': ALGORITHM,
+        'X-Amz-Credential': `${accessKeyId}/${shortDate}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host',
+        'response-content-disposition': contentDisposition(fileName),
+        ...(contentType && { 'response-content-type': contentType }),
+      };
+      const signed = signature({
+        method: 'GET',
+        url,
+        query,
+        headers: { host: url.host },
+        payloadHash: UNSIGNED_PAYLOAD,
+        amzDate,
+        shortDate,
+      });
+      return `${url.origin}${url.pathname}?${canonicalQuery({
+        ...query,
+        'X-Amz-Signature': signed.value,
+      })}`;
+    },
+  };
+};
+
+module.exports = createS3Driver;
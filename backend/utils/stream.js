@@ -0,0 +1,20 @@
+// backend/utils/stream.js
+//
+// Streaming a MongoDB cursor to the client as a download.
+
+const { pipeline } = require('stream/promises');
+
+// Writes `chunks`, an async iterable of strings read from `cursor`, to `res`
+// with backpressure and ends the response. If the client goes away first,
+// the cursor is closed and this resolves without an error.
+const streamCursorToResponse = async (res, cursor, chunks) => {
+  try {
+    await pipeline(chunks, res);
+  } catch (error) {
+    await cursor.close();
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    throw error;
+  }
+};
+
+module.exports = { streamCursorToResponse };
@@ -0,0 +1,241 @@
+// backend/utils/validation.js
+//
+// Declarative checks for request bodies, route params and query strings. A
+// schema maps field names to rules:
+//
+//   const ITEM_BODY = {
+//     title: string({ min: 3, max: 200 }),
+//     tags: array(string(), { max: 20, optional: true }),
+//   };
+//
+// Every rule accepts `optional` (the field may be left out), `nullable`
+// (null is allowed), `default` (the value used when it is left out) and
+// `label` (names the field in messages; derived from the key otherwise).
+// Empty strings count as left out, or as null where null is allowed. Fields
+// a schema doesn't mention are passed through untouched.
+//
+// The validate middleware (middleware/validate.js) applies schemas to a
+// request. The frontend mirrors the rules its forms use in
+// src/utils/validation.js; keep the two in step.
+
+// The `code` of every response for input that failed validation
+const VALIDATION_FAILED = 'VALIDATION_FAILED';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+const isMissing = (value) =>
+  value === undefined || (typeof value === 'string' && value.trim() === '');
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// "categoryId" -> "Category ID"
+const labelFromKey = (key) => {
+  const words = key
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(' ')
+    .map((word) => (word === 'id' ? 'ID' : word));
+  const text = words.join(' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// `check(value, context)` returns the value normalised, or throws with the
+// reason phrased to follow the field label ("must be a number")
+const rule = (
+  check,
+  { optional = false, nullable = false, default: fallback, label } = {}
+) => ({ check, optional, nullable, fallback, label });
+
+const string = ({
+  min = 0,
+  max = Infinity,
+  trim = true,
+  lowercase = false,
+  pattern,
+  patternMessage = 'is not in the expected format',
+  ...options
+} = {}) =>
+  rule((value) => {
+    if (typeof value !== 'string') throw new Error('must be text');
+    let text = trim ? value.trim() : value;
+    if (lowercase) text = text.toLowerCase();
+    if (text.length < min) {
+      throw new Error(`must be at least ${min} characters`);
+    }
+    if (text.length > max) {
+      throw new Error(`must be at most ${max} characters`);
+    }
+    if (pattern && !pattern.test(text)) throw new Error(patternMessage);
+    return text;
+  }, options);
+
+const emailAddress = (options) =>
+  string({
+    max: MAX_EMAIL_LENGTH,
+    lowercase: true,
+    pattern: EMAIL_PATTERN,
+    patternMessage: 'must be a valid email address',
+    ...options,
+  });
+
+const oneOf = (values, options) =>
+  rule((value) => {
+    if (!values.includes(value)) {
+      throw new Error(`must be one of: ${values.join(', ')}`);
+    }
+    return value;
+  }, options);
+
+// Whole numbers, also given as strings (as in query strings)
+const integer = ({ min = -Infinity, max = Infinity, ...options } = {}) =>
+  rule((value) => {
+    const number =
+      typeof value === 'number'
+        ? value
+        : typeof value === 'string' && /^-?\d+$/.test(value.trim())
+          ? Number(value)
+          : NaN;
+    if (!Number.isInteger(number)) throw new Error('must be a whole number');
+    if (number < min) throw new Error(`must be at least ${min}`);
+    if (number > max) throw new Error(`must be at most ${max}`);
+    return number;
+  }, options);
+
+const boolean = (options) =>
+  rule((value) => {
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw new Error('must be true or false');
+  }, options);
+
+const objectId = (options) =>
+  rule((value) => {
+    if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+      throw new Error('is not valid');
+    }
+    return value;
+  }, options);
+
+const date = (options) =>
+  rule((value) => {
+    const parsed =
+      typeof value === 'string' || value instanceof Date
+        ? new Date(value)
+        : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) {
+      throw new Error('must be a date');
+    }
+    return parsed;
+  }, options);
+
+// A list whose entries are checked by `of`; their problems are reported as
+// "<key>.<index>"
+const array = (of, { min = 0, max = Infinity, ...options } = {}) =>
+  rule((value, { path, label, errors }) => {
+    if (!Array.isArray(value)) throw new Error('must be a list');
+    if (value.length < min) {
+      throw new Error(`must have at least ${min} entries`);
+    }
+    if (value.length > max) {
+      throw new Error(`must have at most ${max} entries`);
+    }
+    return value.map((entry, index) =>
+      checkField(of, entry, {
+        path: `${path}.${index}`,
+        label: `${label} entry ${index + 1}`,
+        errors,
+      })
+    );
+  }, options);
+
+// An object, optionally with its own schema; nested problems are reported
+// as "<key>.<field>"
+const object = (schema = null, options) =>
+  rule((value, { path, errors }) => {
+    if (!isPlainObject(value)) throw new Error('must be an object');
+    return schema ? checkSchema(schema, value, `${path}.`, errors) : value;
+  }, options);
+
+// `schema` with every field optional, for updates that send only the
+// fields they change
+const partial = (schema) =>
+  Object.fromEntries(
+    Object.entries(schema).map(([key, fieldRule]) => [
+      key,
+      { ...fieldRule, optional: true, fallback: undefined },
+    ])
+  );
+
+// Records a problem with one field in `errors` and returns its value
+// normalised. Missing fields come back as undefined.
+const checkField = (fieldRule, value, { path, label, errors }) => {
+  const name = fieldRule.label || label;
+  // null, or an empty string, clears a nullable field
+  if (fieldRule.nullable && value !== undefined) {
+    if (value === null || isMissing(value)) return null;
+  }
+  if (isMissing(value)) {
+    if (fieldRule.fallback !== undefined) return fieldRule.fallback;
+    if (!fieldRule.optional) errors[path] = `${name} is required`;
+    return undefined;
+  }
+  try {
+    return fieldRule.check(value, { path, label: name, errors });
+  } catch (error) {
+    errors[path] = `${name} ${error.message}`;
+    return undefined;
+  }
+};
+
+const checkSchema = (schema, input, prefix, errors) => {
+  const source = isPlainObject(input) ? input : {};
+  const values = { ...source };
+  Object.entries(schema).forEach(([key, fieldRule]) => {
+    const value = checkField(fieldRule, source[key], {
+      path: `${prefix}${key}`,
+      label: labelFromKey(key),
+      errors,
+    });
+    if (value === undefined) {
+      delete values[key];
+    } else {
+      values[key] = value;
+    }
+  });
+  return values;
+};
+
+// Check `input` against `schema`. Returns { values, errors }: the input with
+// the schema's fields normalised, and a message per offending field.
+const validateInput = (schema, input) => {
+  const errors = {};
+  const values = checkSchema(schema, input, '', errors);
+  return { values, errors };
+};
+
+// 400 in the shape every validation failure shares. `error` defaults to
+// the first field's message.
+const sendValidationError = (
+  res,
+  fields,
+  error = Object.values(fields)[0] || 'Invalid request'
+) => res.status(400).json({ error, code: VALIDATION_FAILED, fields });
+
+module.exports = {
+  VALIDATION_FAILED,
+  string,
+  emailAddress,
+  oneOf,
+  integer,
+  boolean,
+  objectId,
+  date,
+  array,
+  object,
+  partial,
+  validateInput,
+  sendValidationError,
+};
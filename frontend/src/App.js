@@ -5,6 +5,11 @@ import ProtectedRoute from './components/ProtectedRoute';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import Dashboard from './pages/Dashboard';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import AdminPage from './pages/AdminPage';
+import OAuthCallbackPage from './pages/OAuthCallbackPage';
 import './App.css';
 
 function App() {
@@ -16,6 +21,10 @@ function App() {
             {/* Public Routes */}
             <Route path="/login" element={<LoginPage />} />
             <Route path="/register" element={<RegisterPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+            <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+            <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
 
             {/* Protected Routes */}
             <Route
@@ -27,6 +36,15 @@ function App() {
               }
             />
 
+            <Route
+              path="/admin"
+              element={
+                <ProtectedRoute permissions={['users:manage', 'roles:manage', 'audit:read']}>
+                  <AdminPage />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Default redirect */}
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
           </Routes>
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import {
+  ACCEPTED_TYPES,
+  uploadAttachments,
+  removeAttachment,
+  openAttachment,
+  formatFileSize
+} from '../utils/attachments';
+
+const iconFor = (mimeType) => {
+  if (mimeType.startsWith('image/')) return 'fas fa-file-image';
+  if (mimeType === 'application/pdf') return 'fas fa-file-pdf';
+  if (mimeType === 'application/zip') return 'fas fa-file-archive';
+  return 'fas fa-file';
+};
+
+// An item's attachments. Only the owner can download them (the links are
+// signed for them); `editable` adds upload and remove, and every change
+// reports the item's new attachment list through onChange.
+const AttachmentList = ({
+  itemId,
+  attachments = [],
+  canDownload = false,
+  editable = false,
+  onChange,
+  onNotify
+}) => {
+  const [isWorking, setIsWorking] = useState(false);
+
+  const run = async (action, failure) => {
+    try {
+      setIsWorking(true);
+      onChange(await action());
+    } catch (error) {
+      console.error('Attachment error:', error);
+      onNotify(error.response?.data?.error || failure, 'error');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length > 0) {
+      run(() => uploadAttachments(itemId, files), 'Failed to upload files');
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      await openAttachment(itemId, attachment.id);
+    } catch (error) {
+      console.error('Download attachment error:', error);
+      onNotify(error.response?.data?.error || 'Failed to download the file', 'error');
+    }
+  };
+
+  if (attachments.length === 0 && !editable) {
+    return null;
+  }
+
+  return (
+    <div className="attachment-list">
+      {attachments.length > 0 && (
+        <ul>
+          {attachments.map((attachment) => (
+            <li key={attachment.id}>
+              <i className={iconFor(attachment.mimeType)}></i>
+              {canDownload ? (
+                <button
+                  type="button"
+                  className="attachment-name"
+                  onClick={() => handleDownload(attachment)}
+                  title="Download"
+                >
+                  {attachment.name}
+                </button>
+              ) : (
+                <span className="attachment-name">{attachment.name}</span>
+              )}
+              <span className="timestamp">{formatFileSize(attachment.size)}</span>
+              {editable && (
+                <button
+                  type="button"
+                  className="delete-btn"
+                  onClick={() =>
+                    run(() => removeAttachment(itemId, attachment.id), 'Failed to remove the file')
+                  }
+                  disabled={isWorking}
+                  title={`Remove ${attachment.name}`}
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {editable && (
+        <label className="button button-ghost attachment-upload">
+          <i className="fas fa-paperclip"></i> {isWorking ? 'Uploading...' : 'Attach files'}
+          <input
+            type="file"
+            multiple
+            accept={ACCEPTED_TYPES}
+            onChange={handleUpload}
+            disabled={isWorking}
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentList;
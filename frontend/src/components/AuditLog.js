@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { AUDIT_ACTIONS, describeAuditAction, formatAuditTime } from '../utils/audit';
+
+const PAGE_SIZE = 50;
+const EMPTY_FILTERS = { action: '', actor: '', from: '', to: '' };
+
+// Date inputs give "YYYY-MM-DD"; make "to" inclusive of the whole day
+const toQueryParams = ({ action, actor, from, to }) => ({
+  action: action || undefined,
+  actor: actor.trim() || undefined,
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined
+});
+
+const describeChanges = (changes) => {
+  if (!changes) return '';
+  const fields = Object.keys({ ...changes.before, ...changes.after });
+  return fields
+    .map((field) => {
+      const before = changes.before?.[field];
+      const after = changes.after?.[field];
+      const show = (value) => (value === undefined ? '—' : JSON.stringify(value));
+      return `${field}: ${show(before)} → ${show(after)}`;
+    })
+    .join('; ');
+};
+
+const AuditLog = ({ onNotify }) => {
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [draft, setDraft] = useState(EMPTY_FILTERS);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    fetchEvents(page, filters);
+  }, [page, filters]);
+
+  const fetchEvents = async (pageToLoad, activeFilters) => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/audit', {
+        params: { ...toQueryParams(activeFilters), page: pageToLoad, limit: PAGE_SIZE }
+      });
+      setEvents(response.data.events);
+      setTotal(response.data.total);
+      setPages(response.data.pages);
+      setError('');
+    } catch (error) {
+      console.error('Fetch audit log error:', error);
+      setError('Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters(draft);
+  };
+
+  // The export needs the Authorization header, so fetch it as a blob rather
+  // than linking to it
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const response = await axios.get('/api/admin/audit', {
+        params: { ...toQueryParams(filters), format: 'csv' },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export audit log error:', error);
+      onNotify('Failed to export the audit log', 'error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <section className="security-panel">
+      <div className="action-bar">
+        <h2>Audit log ({total})</h2>
+        <button onClick={handleExport} className="button button-ghost" disabled={isExporting}>
+          <i className="fas fa-file-csv"></i> {isExporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+
+      <form onSubmit={handleApply} className="action-bar admin-search">
+        <select name="action" value={draft.action} onChange={handleFilterChange}>
+          <option value="">All events</option>
+          <option value="auth.">All sign-in events</option>
+          <option value="user.">All account changes</option>
+          <option value="role.">All role changes</option>
+          <option value="data.">All data changes</option>
+          {AUDIT_ACTIONS.map((action) => (
+            <option key={action} value={action}>
+              {describeAuditAction(action)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="search"
+          name="actor"
+          value={draft.actor}
+          onChange={handleFilterChange}
+          placeholder="Actor email"
+        />
+        <input
+          type="date"
+          name="from"
+          value={draft.from}
+          onChange={handleFilterChange}
+          aria-label="From"
+        />
+        <input
+          type="date"
+          name="to"
+          value={draft.to}
+          onChange={handleFilterChange}
+          aria-label="To"
+        />
+        <button type="submit" className="button button-primary">
+          <i className="fas fa-filter"></i> Filter
+        </button>
+      </form>
+
+      {error && (
+        <div className="error-banner">
+          <i className="fas fa-exclamation-triangle"></i>
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading audit log...</p>
+        </div>
+      ) : events.length === 0 ? (
+        <div className="empty-state">
+          <i className="fas fa-clipboard-list"></i>
+          <h3>No events found</h3>
+        </div>
+      ) : (
+        <div className="admin-table-wrapper">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Event</th>
+                <th>Actor</th>
+                <th>Target</th>
+                <th>IP</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map((event) => (
+                <tr key={event.id}>
+                  <td>{formatAuditTime(event.createdAt)}</td>
+                  <td>{describeAuditAction(event.action)}</td>
+                  <td>{event.actorEmail || <span className="timestamp">anonymous</span>}</td>
+                  <td>{event.targetType ? `${event.targetType} ${event.targetId}` : ''}</td>
+                  <td>{event.ip}</td>
+                  <td className="audit-details">
+                    {describeChanges(event.changes) ||
+                      (event.metadata ? JSON.stringify(event.metadata) : '')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="pagination">
+        <button
+          onClick={() => setPage((prev) => prev - 1)}
+          className="button button-ghost"
+          disabled={page <= 1 || loading}
+        >
+          Previous
+        </button>
+        <span className="timestamp">
+          Page {page} of {pages}
+        </span>
+        <button
+          onClick={() => setPage((prev) => prev + 1)}
+          className="button button-ghost"
+          disabled={page >= pages || loading}
+        >
+          Next
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { normalizeTag } from './TagInput';
+
+// Actions for the items selected in the list. Each builds one batch for
+// POST /api/data/bulk; items a change doesn't apply to are left out.
+const BulkToolbar = ({ selectedItems, allSelected, onSelectAll, onClear, onBulk }) => {
+  const [tagInput, setTagInput] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+
+  const run = async (operations, message) => {
+    if (operations.length === 0) return;
+    try {
+      setIsWorking(true);
+      await onBulk(operations, message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const retag = (change) => {
+    const tag = normalizeTag(tagInput);
+    if (!tag) return;
+    const operations = selectedItems
+      .filter((item) => (change === 'add') !== (item.tags || []).includes(tag))
+      .map((item) => ({
+        op: 'update',
+        id: item._id,
+        version: item.version,
+        data: {
+          tags:
+            change === 'add'
+              ? [...(item.tags || []), tag]
+              : item.tags.filter((existing) => existing !== tag)
+        }
+      }));
+    run(operations, change === 'add' ? `Tagged items with #${tag}` : `Removed #${tag}`).then(() =>
+      setTagInput('')
+    );
+  };
+
+  const handleDelete = () => {
+    const count = selectedItems.length;
+    if (!window.confirm(`Move ${count} item${count === 1 ? '' : 's'} to the trash?`)) {
+      return;
+    }
+    run(
+      selectedItems.map((item) => ({ op: 'delete', id: item._id })),
+      `Moved ${count} item${count === 1 ? '' : 's'} to the trash`
+    );
+  };
+
+  return (
+    <div className="bulk-toolbar" role="toolbar" aria-label="Bulk actions">
+      <strong>{selectedItems.length} selected</strong>
+      <button
+        type="button"
+        onClick={allSelected ? onClear : onSelectAll}
+        className="button button-ghost"
+      >
+        {allSelected ? 'Clear selection' : 'Select all'}
+      </button>
+      <input
+        type="text"
+        value={tagInput}
+        onChange={(e) => setTagInput(e.target.value)}
+        placeholder="Tag"
+        aria-label="Tag to add or remove"
+        disabled={isWorking}
+      />
+      <button
+        type="button"
+        onClick={() => retag('add')}
+        className="button button-ghost"
+        disabled={isWorking || !tagInput.trim()}
+      >
+        <i className="fas fa-tag"></i> Add tag
+      </button>
+      <button
+        type="button"
+        onClick={() => retag('remove')}
+        className="button button-ghost"
+        disabled={isWorking || !tagInput.trim()}
+      >
+        Remove tag
+      </button>
+      <button
+        type="button"
+        onClick={handleDelete}
+        className="button button-danger"
+        disabled={isWorking}
+      >
+        <i className="fas fa-trash"></i> Delete
+      </button>
+    </div>
+  );
+};
+
+export default BulkToolbar;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+
+const sameValue = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+// Shown when a save hits a newer version of the item. Lists every field
+// where the user's edit and the saved copy disagree and lets them pick a
+// side for each; `mine` and `theirs` are in the form's own shape. Category
+// and custom fields are left out for items the user doesn't own.
+const ConflictDialog = ({
+  mine,
+  theirs,
+  ownItem = true,
+  fields = [],
+  categories = [],
+  onSave,
+  onEdit
+}) => {
+  const rows = [
+    { id: 'title', label: 'Title', get: (data) => data.title },
+    { id: 'description', label: 'Description', get: (data) => data.description },
+    { id: 'tags', label: 'Tags', get: (data) => data.tags, show: (tags) => tags.join(', ') },
+    ...(ownItem
+      ? [
+          {
+            id: 'categoryId',
+            label: 'Category',
+            get: (data) => data.categoryId,
+            show: (id) => categories.find((category) => category.id === id)?.name
+          },
+          ...fields.map((field) => ({
+            id: `cf:${field.key}`,
+            label: field.label,
+            get: (data) => data.customFields[field.key]
+          }))
+        ]
+      : [])
+  ].filter((row) => !sameValue(row.get(mine), row.get(theirs)));
+
+  // Keep the user's edits unless they say otherwise
+  const [choices, setChoices] = useState({});
+
+  const merged = () => {
+    const result = { ...theirs, customFields: { ...theirs.customFields } };
+    rows
+      .filter((row) => (choices[row.id] || 'mine') === 'mine')
+      .forEach((row) => {
+        if (row.id.startsWith('cf:')) {
+          const key = row.id.slice(3);
+          result.customFields[key] = mine.customFields[key];
+        } else {
+          result[row.id] = mine[row.id];
+        }
+      });
+    return result;
+  };
+
+  const display = (row, data) => {
+    const value = row.get(data);
+    const text = row.show && value ? row.show(value) : value;
+    return text ? text : <span className="timestamp">—</span>;
+  };
+
+  return (
+    <div className="conflict-dialog" role="alertdialog" aria-labelledby="conflict-title">
+      <h4 id="conflict-title">
+        <i className="fas fa-code-branch"></i> Someone else saved this item while you were editing
+      </h4>
+      {rows.length === 0 ? (
+        <p className="timestamp">Their changes match yours.</p>
+      ) : (
+        <div className="conflict-grid">
+          <div className="diff-heading"></div>
+          <div className="diff-heading">Your version</div>
+          <div className="diff-heading">Saved version</div>
+          {rows.map((row) => (
+            <React.Fragment key={row.id}>
+              <div className="diff-label">{row.label}</div>
+              {['mine', 'theirs'].map((side) => (
+                <label
+                  key={side}
+                  className={`diff-cell conflict-choice${
+                    (choices[row.id] || 'mine') === side ? ' is-active' : ''
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name={`conflict-${row.id}`}
+                    checked={(choices[row.id] || 'mine') === side}
+                    onChange={() => setChoices((prev) => ({ ...prev, [row.id]: side }))}
+                  />
+                  {display(row, side === 'mine' ? mine : theirs)}
+                </label>
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+      <div className="form-actions">
+        <button type="button" onClick={() => onEdit(merged())} className="cancel-btn">
+          Keep editing
+        </button>
+        <button type="button" onClick={() => onSave(merged())} className="submit-btn">
+          Save merged version
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
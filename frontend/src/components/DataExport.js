@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const FORMATS = [
+  { value: 'json', label: 'JSON' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'ndjson', label: 'NDJSON' }
+];
+
+// Downloads all of the user's items. The export needs the Authorization
+// header, so it's fetched as a blob rather than linked to.
+const DataExport = ({ onNotify }) => {
+  const [format, setFormat] = useState('json');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const response = await axios.get('/api/data/export', {
+        params: { format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `data-items-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export data error:', error);
+      onNotify('Failed to export your items', 'error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="data-export">
+      <select value={format} onChange={(e) => setFormat(e.target.value)} aria-label="Export format">
+        {FORMATS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <button onClick={handleExport} className="button button-ghost" disabled={isExporting}>
+        <i className="fas fa-download"></i> {isExporting ? 'Exporting...' : 'Export'}
+      </button>
+    </div>
+  );
+};
+
+export default DataExport;
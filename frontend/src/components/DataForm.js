@@ -1,22 +1,71 @@
 import React, { useState, useEffect } from 'react';
+import TagInput from './TagInput';
+import ConflictDialog from './ConflictDialog';
+import AttachmentList from './AttachmentList';
+import { ACCEPTED_TYPES, uploadAttachments, formatFileSize } from '../utils/attachments';
+import { isLocalId } from '../utils/offlineSync';
+import {
+  validateFieldValue,
+  toInputValue,
+  flattenCategories,
+  categoryLabel
+} from '../utils/customFields';
+import { ITEM_FIELDS, validateInput } from '../utils/validation';
 
-const DataForm = ({ item, onSubmit, onCancel }) => {
-  const [formData, setFormData] = useState({
-    title: '',
-    description: ''
-  });
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  tags: [],
+  categoryId: '',
+  customFields: {}
+};
+
+// Custom field errors share the errors object, keyed "cf:<key>"
+const fieldErrorKey = (key) => `cf:${key}`;
+
+const toFormData = (item, fields) => ({
+  title: item.title || '',
+  description: item.description || '',
+  tags: item.tags || [],
+  categoryId: item.categoryId || '',
+  customFields: Object.fromEntries(
+    fields.map((field) => [field.key, toInputValue(field, item.customFields?.[field.key])])
+  )
+});
+
+const DataForm = ({
+  item,
+  categories = [],
+  fields = [],
+  onSubmit,
+  onCancel,
+  onAttachmentsChange,
+  onNotify
+}) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
+  // The version this edit is based on, sent so the server can refuse to
+  // overwrite changes made since; a resolved conflict moves it forward
+  const [baseVersion, setBaseVersion] = useState(item?.version);
+  const [conflict, setConflict] = useState(null);
+  // Attachments are saved as soon as they're added, apart from files picked
+  // for a new item, which are uploaded once it has been created
+  const [attachments, setAttachments] = useState(item?.attachments || []);
+  const [pendingFiles, setPendingFiles] = useState([]);
+  // Categories and custom fields are the owner's, so they can only be set
+  // on the user's own items
+  const ownItem = !item || item.access === 'owner';
 
   // Populate form with item data if editing
   useEffect(() => {
     if (item) {
-      setFormData({
-        title: item.title || '',
-        description: item.description || ''
-      });
+      setFormData(toFormData(item, fields));
+      setBaseVersion(item.version);
+      setConflict(null);
+      setAttachments(item.attachments || []);
     }
-  }, [item]);
+  }, [item, fields]);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -34,51 +83,129 @@ const DataForm = ({ item, onSubmit, onCancel }) => {
     }
   };
 
-  const validateForm = () => {
-    const newErrors = {};
+  const handleCustomFieldChange = (key, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      customFields: { ...prev.customFields, [key]: value }
+    }));
 
-    if (!formData.title.trim()) {
-      newErrors.title = 'Title is required';
-    } else if (formData.title.trim().length < 3) {
-      newErrors.title = 'Title must be at least 3 characters';
+    if (errors[fieldErrorKey(key)]) {
+      setErrors((prev) => ({
+        ...prev,
+        [fieldErrorKey(key)]: ''
+      }));
     }
+  };
 
-    if (!formData.description.trim()) {
-      newErrors.description = 'Description is required';
-    } else if (formData.description.trim().length < 10) {
-      newErrors.description = 'Description must be at least 10 characters';
-    }
+  const validateForm = (data = formData) => {
+    const newErrors = validateInput(ITEM_FIELDS, data);
+
+    (ownItem ? fields : []).forEach((field) => {
+      const message = validateFieldValue(field, data.customFields[field.key]);
+      if (message) {
+        newErrors[fieldErrorKey(field.key)] = message;
+      }
+    });
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const uploadPendingFiles = async (itemId, files) => {
+    try {
+      onAttachmentsChange(itemId, await uploadAttachments(itemId, files));
+    } catch (error) {
+      console.error('Upload attachments error:', error);
+      onNotify(
+        `The item was created, but its files were not attached: ${
+          error.response?.data?.error || 'upload failed'
+        }`,
+        'error'
+      );
+    }
+  };
 
-    if (!validateForm()) {
+  const submitForm = async (data, version) => {
+    if (!validateForm(data)) {
       return;
     }
 
     setIsSubmitting(true);
 
     try {
-      await onSubmit({
-        title: formData.title.trim(),
-        description: formData.description.trim()
+      const saved = await onSubmit({
+        title: data.title.trim(),
+        description: data.description.trim(),
+        tags: data.tags,
+        ...(ownItem && {
+          categoryId: data.categoryId || null,
+          // Empty inputs are left out, which clears the value
+          customFields: Object.fromEntries(
+            Object.entries(data.customFields).filter(([, value]) => value !== '')
+          )
+        }),
+        ...(item && { version })
       });
 
       // Reset form if creating new item
       if (!item) {
-        setFormData({ title: '', description: '' });
+        setFormData(EMPTY_FORM);
+        setPendingFiles([]);
+        if (pendingFiles.length > 0 && isLocalId(saved._id)) {
+          onNotify("Files can't be attached while you're offline", 'error');
+        } else if (pendingFiles.length > 0) {
+          uploadPendingFiles(saved._id, pendingFiles);
+        }
       }
     } catch (error) {
       console.error('Form submission error:', error);
+      // Someone saved in between: let the user merge the two versions
+      if (error.response?.status === 409 && error.response.data.current) {
+        setConflict({ mine: data, current: error.response.data.current });
+        return;
+      }
+      // Show the server's per-field messages next to the inputs; custom
+      // fields come back as "customFields.<key>"
+      const fieldErrors = error.response?.data?.fields;
+      if (fieldErrors) {
+        setErrors(
+          Object.fromEntries(
+            Object.entries(fieldErrors).map(([path, message]) => [
+              path.startsWith('customFields.')
+                ? fieldErrorKey(path.slice('customFields.'.length))
+                : path,
+              message
+            ])
+          )
+        );
+      }
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const handleAttachmentsChange = (changed) => {
+    setAttachments(changed);
+    onAttachmentsChange(item._id, changed);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitForm(formData, baseVersion);
+  };
+
+  // Either way the merged values land in the form and the next save is
+  // based on the version that was saved in the meantime
+  const resolveConflict = (merged, save) => {
+    const version = conflict.current.version;
+    setFormData(merged);
+    setBaseVersion(version);
+    setConflict(null);
+    if (save) {
+      submitForm(merged, version);
+    }
+  };
+
   return (
     <div className="data-form-card">
       <div className="form-header">
@@ -88,6 +215,18 @@ const DataForm = ({ item, onSubmit, onCancel }) => {
         </button>
       </div>
 
+      {conflict && (
+        <ConflictDialog
+          mine={conflict.mine}
+          theirs={toFormData(conflict.current, fields)}
+          ownItem={ownItem}
+          fields={fields}
+          categories={categories}
+          onSave={(merged) => resolveConflict(merged, true)}
+          onEdit={(merged) => resolveConflict(merged, false)}
+        />
+      )}
+
       <form onSubmit={handleSubmit} className="data-form">
         <div className="form-group">
           <label htmlFor="title">Title *</label>
@@ -121,6 +260,135 @@ const DataForm = ({ item, onSubmit, onCancel }) => {
           )}
         </div>
 
+        <div className="form-group">
+          <label htmlFor="tags">Tags</label>
+          <TagInput
+            id="tags"
+            tags={formData.tags}
+            onChange={(tags) => setFormData((prev) => ({ ...prev, tags }))}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        {ownItem && (
+          <div className="form-group">
+            <label htmlFor="categoryId">Category</label>
+            <select
+              id="categoryId"
+              name="categoryId"
+              value={formData.categoryId}
+              onChange={handleChange}
+              disabled={isSubmitting}
+            >
+              <option value="">No category</option>
+              {flattenCategories(categories).map((category) => (
+                <option key={category.id} value={category.id}>
+                  {categoryLabel(category)}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {ownItem &&
+          fields.map((field) => {
+            const inputId = `cf-${field.key}`;
+            const value = formData.customFields[field.key] || '';
+            const error = errors[fieldErrorKey(field.key)];
+            return (
+              <div key={field.key} className="form-group">
+                <label htmlFor={inputId}>
+                  {field.label}
+                  {field.required && ' *'}
+                </label>
+                {field.type === 'select' ? (
+                  <select
+                    id={inputId}
+                    value={value}
+                    onChange={(e) => handleCustomFieldChange(field.key, e.target.value)}
+                    className={error ? 'error' : ''}
+                    disabled={isSubmitting}
+                  >
+                    <option value="">—</option>
+                    {field.options.map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type={field.type}
+                    id={inputId}
+                    value={value}
+                    onChange={(e) => handleCustomFieldChange(field.key, e.target.value)}
+                    step={field.type === 'number' ? 'any' : undefined}
+                    className={error ? 'error' : ''}
+                    disabled={isSubmitting}
+                  />
+                )}
+                {error && <span className="field-error">{error}</span>}
+              </div>
+            );
+          })}
+
+        {ownItem && (
+          <div className="form-group">
+            <label>Attachments</label>
+            {item && isLocalId(item._id) ? (
+              <p className="timestamp">Files can be attached once the item has synced.</p>
+            ) : item ? (
+              <AttachmentList
+                itemId={item._id}
+                attachments={attachments}
+                canDownload
+                editable
+                onChange={handleAttachmentsChange}
+                onNotify={onNotify}
+              />
+            ) : (
+              <div className="attachment-list">
+                {pendingFiles.length > 0 && (
+                  <ul>
+                    {pendingFiles.map((file, index) => (
+                      <li key={`${file.name}-${index}`}>
+                        <i className="fas fa-file"></i>
+                        <span className="attachment-name">{file.name}</span>
+                        <span className="timestamp">{formatFileSize(file.size)}</span>
+                        <button
+                          type="button"
+                          className="delete-btn"
+                          onClick={() =>
+                            setPendingFiles((prev) => prev.filter((_, i) => i !== index))
+                          }
+                          disabled={isSubmitting}
+                          title={`Remove ${file.name}`}
+                        >
+                          <i className="fas fa-times"></i>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <label className="button button-ghost attachment-upload">
+                  <i className="fas fa-paperclip"></i> Attach files
+                  <input
+                    type="file"
+                    multiple
+                    accept={ACCEPTED_TYPES}
+                    onChange={(e) => {
+                      const files = Array.from(e.target.files);
+                      e.target.value = '';
+                      setPendingFiles((prev) => [...prev, ...files]);
+                    }}
+                    disabled={isSubmitting}
+                  />
+                </label>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="form-actions">
           <button type="button" onClick={onCancel} className="cancel-btn" disabled={isSubmitting}>
             Cancel
@@ -1,6 +1,116 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import HistoryDrawer from './HistoryDrawer';
+import BulkToolbar from './BulkToolbar';
+import AttachmentList from './AttachmentList';
+import { isLocalId } from '../utils/offlineSync';
+import { flattenCategories, categoryLabel, formatFieldValue } from '../utils/customFields';
+
+const SORT_OPTIONS = [
+  { value: 'createdAt:desc', label: 'Newest first' },
+  { value: 'createdAt:asc', label: 'Oldest first' },
+  { value: 'updatedAt:desc', label: 'Recently updated' },
+  { value: 'title:asc', label: 'Title A–Z' },
+  { value: 'title:desc', label: 'Title Z–A' }
+];
+
+const SEARCH_DELAY_MS = 300;
+
+// How a change made offline is getting on
+const SYNC_LABELS = {
+  pending: { icon: 'fas fa-cloud-upload-alt', text: 'Waiting to sync' },
+  syncing: { icon: 'fas fa-sync-alt fa-spin', text: 'Syncing...' },
+  conflict: {
+    icon: 'fas fa-exclamation-triangle',
+    text: 'Changed elsewhere while you were offline'
+  }
+};
+
+const DataList = ({
+  items,
+  onEdit,
+  onDelete,
+  canEdit = true,
+  canManageAny = false,
+  onShare,
+  onRestore,
+  onBulk,
+  onItemChange,
+  onNotify,
+  syncStates = {},
+  onResolveConflict,
+  categories = [],
+  fields = [],
+  query,
+  onQueryChange,
+  hasMore = false,
+  loadingMore = false,
+  onLoadMore
+}) => {
+  const [search, setSearch] = useState(query.q);
+  const [historyItem, setHistoryItem] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const sentinel = useRef(null);
+
+  // Items the user can change can be selected for bulk actions, except in
+  // the trash and items that only exist on this device so far
+  const isSelectable = (item) =>
+    canEdit && !item.deletedAt && item.access !== 'viewer' && !isLocalId(item._id);
+  const selectableItems = items.filter(isSelectable);
+  const selectedItems = selectableItems.filter((item) => selectedIds.includes(item._id));
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]
+    );
+  };
+
+  // Whatever failed stays selected so it can be retried
+  const handleBulk = async (operations, message) => {
+    const results = await onBulk(operations, message);
+    const failed = results
+      .filter((result) => result.error)
+      .map((result) => operations[result.index].id);
+    setSelectedIds((prev) => prev.filter((id) => failed.includes(id)));
+  };
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    if (search === query.q) return undefined;
+    const timer = setTimeout(() => onQueryChange({ ...query, q: search }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search, query, onQueryChange]);
+
+  // Infinite scroll: load the next page when the end of the list comes into
+  // view. Without IntersectionObserver the "Load more" button still works.
+  useEffect(() => {
+    const node = sentinel.current;
+    if (!node || !hasMore || loadingMore || !('IntersectionObserver' in window)) {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore();
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, onLoadMore]);
+
+  const handleSortChange = (e) => {
+    const [sort, order] = e.target.value.split(':');
+    onQueryChange({ ...query, sort, order });
+  };
+
+  const addTagFilter = (tag) => {
+    if (!query.tags.includes(tag)) {
+      onQueryChange({ ...query, tags: [...query.tags, tag] });
+    }
+  };
+
+  const removeTagFilter = (tag) => {
+    onQueryChange({ ...query, tags: query.tags.filter((t) => t !== tag) });
+  };
+
+  const categoryName = (id) => categories.find((category) => category.id === id)?.name;
 
-const DataList = ({ items, onEdit, onDelete }) => {
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -17,63 +127,302 @@ const DataList = ({ items, onEdit, onDelete }) => {
   };
 
   return (
-    <div className="data-list">
-      {items.map((item) => (
-        <div key={item._id} className="data-item-card">
-          <div className="card-header">
-            <h3 className="item-title">{item.title}</h3>
-            <div className="card-actions">
-              <button onClick={() => onEdit(item)} className="edit-btn" title="Edit item">
-                <i className="fas fa-edit"></i>
-              </button>
-              <button onClick={() => onDelete(item._id)} className="delete-btn" title="Delete item">
-                <i className="fas fa-trash"></i>
-              </button>
-            </div>
-          </div>
+    <>
+      <div className="data-toolbar">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search titles and descriptions"
+          aria-label="Search items"
+        />
+        <select
+          value={`${query.sort}:${query.order}`}
+          onChange={handleSortChange}
+          aria-label="Sort items"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={query.category}
+          onChange={(e) => onQueryChange({ ...query, category: e.target.value })}
+          aria-label="Filter by category"
+        >
+          <option value="">All categories</option>
+          <option value="none">Uncategorized</option>
+          {flattenCategories(categories).map((category) => (
+            <option key={category.id} value={category.id}>
+              {categoryLabel(category)}
+            </option>
+          ))}
+        </select>
+      </div>
 
-          <div className="card-body">
-            <p id={`desc-${item._id}`} className="item-description">
-              {truncateText(item.description)}
-            </p>
-
-            {item.description.length > 100 && (
+      {query.tags.length > 0 && (
+        <div className="tag-list tag-filters">
+          <span className="timestamp">Tagged:</span>
+          {query.tags.map((tag) => (
+            <span key={tag} className="tag-chip">
+              {tag}
               <button
-                className="read-more-btn"
-                onClick={() => {
-                  // Toggle full description
-                  const element = document.getElementById(`desc-${item._id}`);
-                  if (element) {
-                    if (element.classList.contains('expanded')) {
-                      element.textContent = truncateText(item.description);
-                      element.classList.remove('expanded');
-                    } else {
-                      element.textContent = item.description;
-                      element.classList.add('expanded');
-                    }
-                  }
-                }}
+                type="button"
+                onClick={() => removeTagFilter(tag)}
+                aria-label={`Stop filtering by ${tag}`}
               >
-                Read more
+                ×
               </button>
-            )}
-          </div>
-
-          <div className="card-footer">
-            <div className="timestamps">
-              <span className="timestamp">
-                <i className="fas fa-clock"></i> Created: {formatDate(item.createdAt)}
-              </span>
-              {item.updatedAt !== item.createdAt && (
-                <span className="timestamp">
-                  <i className="fas fa-edit"></i> Updated: {formatDate(item.updatedAt)}
-                </span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {selectedItems.length > 0 && (
+        <BulkToolbar
+          selectedItems={selectedItems}
+          allSelected={selectedItems.length === selectableItems.length}
+          onSelectAll={() => setSelectedIds(selectableItems.map((item) => item._id))}
+          onClear={() => setSelectedIds([])}
+          onBulk={handleBulk}
+        />
+      )}
+
+      {items.length === 0 ? (
+        <div className="empty-state">
+          <i className="fas fa-search"></i>
+          <h3>No matching items</h3>
+          <p>Try a different search or filter</p>
+        </div>
+      ) : (
+        <div className="data-list">
+          {items.map((item) => (
+            <div
+              key={item._id}
+              className={`data-item-card${selectedIds.includes(item._id) ? ' is-selected' : ''}`}
+            >
+              <div className="card-header">
+                {isSelectable(item) && (
+                  <input
+                    type="checkbox"
+                    className="item-select"
+                    checked={selectedIds.includes(item._id)}
+                    onChange={() => toggleSelected(item._id)}
+                    aria-label={`Select ${item.title}`}
+                  />
+                )}
+                <h3 className="item-title">{item.title}</h3>
+                <div className="card-actions">
+                  {item.deletedAt
+                    ? canEdit && (
+                        <button
+                          onClick={() => onRestore(item._id)}
+                          className="edit-btn"
+                          title="Restore item"
+                        >
+                          <i className="fas fa-trash-restore"></i>
+                        </button>
+                      )
+                    : !isLocalId(item._id) && (
+                        <button
+                          onClick={() => setHistoryItem(item)}
+                          className="edit-btn"
+                          title="Show history"
+                        >
+                          <i className="fas fa-history"></i>
+                        </button>
+                      )}
+                  {canEdit && !item.deletedAt && item.access !== 'viewer' && (
+                    <button onClick={() => onEdit(item)} className="edit-btn" title="Edit item">
+                      <i className="fas fa-edit"></i>
+                    </button>
+                  )}
+                  {canEdit && !item.deletedAt && (item.access === 'owner' || canManageAny) && (
+                    <>
+                      {!isLocalId(item._id) && (
+                        <button
+                          onClick={() => onShare(item)}
+                          className="edit-btn"
+                          title="Share item"
+                        >
+                          <i className="fas fa-share-alt"></i>
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onDelete(item._id)}
+                        className="delete-btn"
+                        title="Delete item"
+                      >
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {syncStates[item._id] && (
+                <div className={`sync-status is-${syncStates[item._id].state}`} role="status">
+                  <i className={SYNC_LABELS[syncStates[item._id].state].icon}></i>
+                  <span>{SYNC_LABELS[syncStates[item._id].state].text}</span>
+                  {syncStates[item._id].state === 'conflict' && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => onResolveConflict(item._id, true)}
+                        className="button button-ghost"
+                        title="Save your offline changes over the newer version"
+                      >
+                        Keep mine
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onResolveConflict(item._id, false)}
+                        className="button button-ghost"
+                        title="Drop your offline changes"
+                      >
+                        Use theirs
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {item.access !== 'owner' && item.owner && (
+                <p className="item-owner timestamp">
+                  <i className="fas fa-user"></i> Shared by {item.owner.name} ·{' '}
+                  {item.access === 'editor' ? 'can edit' : 'view only'}
+                </p>
               )}
+
+              <div className="card-body">
+                <p id={`desc-${item._id}`} className="item-description">
+                  {truncateText(item.description)}
+                </p>
+
+                {item.description.length > 100 && (
+                  <button
+                    className="read-more-btn"
+                    onClick={() => {
+                      // Toggle full description
+                      const element = document.getElementById(`desc-${item._id}`);
+                      if (element) {
+                        if (element.classList.contains('expanded')) {
+                          element.textContent = truncateText(item.description);
+                          element.classList.remove('expanded');
+                        } else {
+                          element.textContent = item.description;
+                          element.classList.add('expanded');
+                        }
+                      }
+                    }}
+                  >
+                    Read more
+                  </button>
+                )}
+
+                {/* Categories and fields belong to the item's owner, so only
+                    the user's own items can be labelled with theirs */}
+                {item.access === 'owner' &&
+                  fields.some((field) => item.customFields?.[field.key] != null) && (
+                    <dl className="item-fields">
+                      {fields
+                        .filter((field) => item.customFields?.[field.key] != null)
+                        .map((field) => (
+                          <React.Fragment key={field.key}>
+                            <dt>{field.label}</dt>
+                            <dd>{formatFieldValue(field, item.customFields[field.key])}</dd>
+                          </React.Fragment>
+                        ))}
+                    </dl>
+                  )}
+
+                <AttachmentList
+                  itemId={item._id}
+                  attachments={item.attachments}
+                  canDownload={item.access === 'owner' && !item.deletedAt}
+                  onNotify={onNotify}
+                />
+
+                {(item.categoryId || item.tags?.length > 0) && (
+                  <div className="tag-list">
+                    {item.categoryId && categoryName(item.categoryId) && (
+                      <button
+                        type="button"
+                        className="category-chip"
+                        onClick={() => onQueryChange({ ...query, category: item.categoryId })}
+                        title="Show items in this category"
+                      >
+                        <i className="fas fa-folder"></i> {categoryName(item.categoryId)}
+                      </button>
+                    )}
+                    {item.tags?.map((tag) => (
+                      <button
+                        key={tag}
+                        type="button"
+                        className="tag-chip"
+                        onClick={() => addTagFilter(tag)}
+                        title="Show items with this tag"
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="card-footer">
+                <div className="timestamps">
+                  {item.access === 'owner' && item.shareCount > 0 && (
+                    <span className="timestamp">
+                      <i className="fas fa-users"></i> Shared with {item.shareCount}
+                    </span>
+                  )}
+                  <span className="timestamp">
+                    <i className="fas fa-clock"></i> Created: {formatDate(item.createdAt)}
+                  </span>
+                  {item.updatedAt !== item.createdAt && !item.deletedAt && (
+                    <span className="timestamp">
+                      <i className="fas fa-edit"></i> Updated: {formatDate(item.updatedAt)}
+                    </span>
+                  )}
+                  {item.deletedAt && (
+                    <span className="timestamp">
+                      <i className="fas fa-trash"></i> Deleted: {formatDate(item.deletedAt)} ·
+                      removed for good {formatDate(item.purgeAt)}
+                    </span>
+                  )}
+                </div>
+              </div>
             </div>
-          </div>
+          ))}
+        </div>
+      )}
+
+      {historyItem && (
+        <HistoryDrawer
+          key={historyItem._id}
+          item={historyItem}
+          categories={historyItem.access === 'owner' ? categories : []}
+          fields={historyItem.access === 'owner' ? fields : []}
+          canRestore={canEdit && historyItem.access !== 'viewer'}
+          onRestored={(restored) => {
+            setHistoryItem(restored);
+            onItemChange(restored);
+          }}
+          onClose={() => setHistoryItem(null)}
+        />
+      )}
+
+      {hasMore && (
+        <div ref={sentinel} className="load-more">
+          <button onClick={onLoadMore} className="button button-ghost" disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
         </div>
-      ))}
-    </div>
+      )}
+    </>
   );
 };
 
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { diffWords, diffLists } from '../utils/diff';
+import { formatFieldValue } from '../utils/customFields';
+import { formatAuditTime } from '../utils/audit';
+
+// Renders one side of a diff: the old side skips additions, the new side
+// skips removals
+const DiffSide = ({ segments, side }) => {
+  const hidden = side === 'old' ? 'added' : 'removed';
+  const visible = segments.filter((segment) => segment.type !== hidden);
+  if (visible.length === 0) {
+    return <span className="timestamp">—</span>;
+  }
+  return visible.map((segment, index) => (
+    <span key={index} className={segment.type === 'same' ? undefined : `diff-${segment.type}`}>
+      {segment.text}
+    </span>
+  ));
+};
+
+// Side-by-side history for one item: pick a revision to see what it changed
+// compared with the one before, and restore it if the user may edit.
+const HistoryDrawer = ({ item, categories = [], fields = [], canRestore, onRestored, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState('');
+
+  // Reload whenever the item changes version, e.g. after a restore
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/api/data/${item._id}/revisions`);
+        setRevisions(response.data.revisions);
+        setCurrentVersion(response.data.currentVersion);
+        setSelectedVersion(response.data.revisions[0]?.version ?? null);
+        setError('');
+      } catch (error) {
+        console.error('Fetch revisions error:', error);
+        setError('Failed to load history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRevisions();
+  }, [item._id, item.version]);
+
+  const selectedIndex = revisions.findIndex((revision) => revision.version === selectedVersion);
+  const selected = revisions[selectedIndex];
+  const previous = revisions[selectedIndex + 1];
+
+  const categoryName = (id) =>
+    id ? categories.find((category) => category.id === id)?.name || 'Unknown category' : '';
+
+  const fieldLabel = (key) => fields.find((field) => field.key === key)?.label || key;
+
+  const fieldText = (key, value) => {
+    if (value === undefined || value === null) return '';
+    const definition = fields.find((field) => field.key === key);
+    return definition ? formatFieldValue(definition, value) : String(value);
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm(`Restore version ${selected.version}? This saves it as a new version.`)) {
+      return;
+    }
+
+    try {
+      setIsRestoring(true);
+      // Sent like an update's version, so a restore can't overwrite changes
+      // made since the item was loaded
+      const response = await axios.post(
+        `/api/data/${item._id}/revisions/${selected.version}/restore`,
+        { version: item.version }
+      );
+      onRestored(response.data);
+    } catch (error) {
+      console.error('Restore revision error:', error);
+      setError(error.response?.data?.error || 'Failed to restore this version');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const rows = selected
+    ? [
+        { label: 'Title', segments: diffWords(previous?.title, selected.title) },
+        { label: 'Description', segments: diffWords(previous?.description, selected.description) },
+        { label: 'Tags', segments: diffLists(previous?.tags, selected.tags), isList: true },
+        {
+          label: 'Category',
+          segments: diffWords(categoryName(previous?.categoryId), categoryName(selected.categoryId))
+        },
+        ...[
+          ...new Set([
+            ...Object.keys(previous?.customFields || {}),
+            ...Object.keys(selected.customFields)
+          ])
+        ].map((key) => ({
+          label: fieldLabel(key),
+          segments: diffWords(
+            fieldText(key, previous?.customFields?.[key]),
+            fieldText(key, selected.customFields[key])
+          )
+        }))
+      ]
+    : [];
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside
+        className="history-drawer"
+        onClick={(e) => e.stopPropagation()}
+        aria-label={`History of ${item.title}`}
+      >
+        <div className="form-header">
+          <h3>History</h3>
+          <button onClick={onClose} className="close-btn" type="button">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {error && (
+          <div className="error-banner">
+            <i className="fas fa-exclamation-triangle"></i>
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="timestamp">Loading history...</p>
+        ) : revisions.length === 0 ? (
+          <p className="timestamp">This item hasn't been changed yet.</p>
+        ) : (
+          <div className="history-body">
+            <ul className="revision-list">
+              {revisions.map((revision) => (
+                <li key={revision.version}>
+                  <button
+                    type="button"
+                    className={revision.version === selectedVersion ? 'is-active' : ''}
+                    onClick={() => setSelectedVersion(revision.version)}
+                  >
+                    <strong>
+                      Version {revision.version}
+                      {revision.version === currentVersion && ' (current)'}
+                    </strong>
+                    <span className="timestamp">
+                      {revision.author ? revision.author.name : 'Before history was kept'}
+                      {' · '}
+                      {formatAuditTime(revision.createdAt)}
+                    </span>
+                    {revision.restoredFrom && (
+                      <span className="timestamp">
+                        Restored from version {revision.restoredFrom}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {selected && (
+              <div className="revision-diff">
+                <div className="diff-grid">
+                  <div className="diff-heading"></div>
+                  <div className="diff-heading">
+                    {previous ? `Version ${previous.version}` : 'Before'}
+                  </div>
+                  <div className="diff-heading">Version {selected.version}</div>
+                  {rows.map((row) => (
+                    <React.Fragment key={row.label}>
+                      <div className="diff-label">{row.label}</div>
+                      <div className={`diff-cell${row.isList ? ' diff-list' : ''}`}>
+                        <DiffSide segments={row.segments} side="old" />
+                      </div>
+                      <div className={`diff-cell${row.isList ? ' diff-list' : ''}`}>
+                        <DiffSide segments={row.segments} side="new" />
+                      </div>
+                    </React.Fragment>
+                  ))}
+                </div>
+
+                {canRestore && selected.version !== currentVersion && (
+                  <button
+                    onClick={handleRestore}
+                    className="button button-primary"
+                    disabled={isRestoring}
+                  >
+                    <i className="fas fa-undo"></i>{' '}
+                    {isRestoring ? 'Restoring...' : `Restore version ${selected.version}`}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default HistoryDrawer;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const FORMATS_BY_EXTENSION = { json: 'json', ndjson: 'ndjson', jsonl: 'ndjson', csv: 'csv' };
+
+const formatOf = (fileName) =>
+  FORMATS_BY_EXTENSION[fileName.split('.').pop().toLowerCase()] || null;
+
+// Upload a JSON, NDJSON or CSV file: the server checks it first (a dry run)
+// and the user sees what would be imported, and which rows would be
+// skipped, before anything is created.
+const ImportDialog = ({ onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [check, setCheck] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const upload = async (selected, dryRun) => {
+    const text = await selected.text();
+    // Sent as plain text so large files aren't held to the JSON body limit
+    const response = await axios.post('/api/data/import', text, {
+      params: { format: formatOf(selected.name), dryRun },
+      headers: { 'Content-Type': 'text/plain' }
+    });
+    return response.data;
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setFile(selected || null);
+    setCheck(null);
+    setError('');
+    if (!selected) return;
+    if (!formatOf(selected.name)) {
+      setError('Choose a .json, .ndjson or .csv file');
+      return;
+    }
+
+    try {
+      setIsWorking(true);
+      setCheck(await upload(selected, true));
+    } catch (error) {
+      console.error('Check import error:', error);
+      setError(error.response?.data?.error || 'Failed to read the file');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setIsWorking(true);
+      const result = await upload(file, false);
+      onImported(result);
+    } catch (error) {
+      console.error('Import error:', error);
+      setError(error.response?.data?.error || 'Failed to import items');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="data-form-card import-dialog">
+      <div className="form-header">
+        <h3>Import items</h3>
+        <button onClick={onClose} className="close-btn" type="button">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+
+      <p className="timestamp">
+        JSON or NDJSON items, or CSV with title, description, tags, category and cf.&lt;key&gt;
+        columns, as in an export.
+      </p>
+      <input
+        type="file"
+        accept=".json,.ndjson,.jsonl,.csv"
+        onChange={handleFileChange}
+        disabled={isWorking}
+        aria-label="File to import"
+      />
+
+      {error && (
+        <div className="error-banner">
+          <i className="fas fa-exclamation-triangle"></i>
+          {error}
+        </div>
+      )}
+      {isWorking && !check && <p className="timestamp">Checking file...</p>}
+
+      {check && (
+        <>
+          <p>
+            {check.valid} of {check.total} items can be imported
+            {check.errors.length > 0 && `; ${check.errors.length} will be skipped`}.
+          </p>
+
+          {check.preview.length > 0 && (
+            <table className="import-preview">
+              <thead>
+                <tr>
+                  <th>Title</th>
+                  <th>Description</th>
+                  <th>Tags</th>
+                  <th>Category</th>
+                </tr>
+              </thead>
+              <tbody>
+                {check.preview.map((item, index) => (
+                  <tr key={index}>
+                    <td>{item.title}</td>
+                    <td>{item.description}</td>
+                    <td>{item.tags.join(', ')}</td>
+                    <td>{item.category}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {check.valid > check.preview.length && (
+            <p className="timestamp">…and {check.valid - check.preview.length} more</p>
+          )}
+
+          {check.errors.length > 0 && (
+            <ul className="import-errors">
+              {check.errors.map((rowError) => (
+                <li key={rowError.row}>
+                  <strong>Row {rowError.row}:</strong> {rowError.error}
+                  {rowError.fields &&
+                    ` (${Object.entries(rowError.fields)
+                      .map(([key, message]) => `${key}: ${message}`)
+                      .join('; ')})`}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="form-actions">
+            <button type="button" onClick={onClose} className="cancel-btn" disabled={isWorking}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              className="submit-btn"
+              disabled={isWorking || check.valid === 0}
+            >
+              {isWorking ? 'Importing...' : `Import ${check.valid} items`}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportDialog;
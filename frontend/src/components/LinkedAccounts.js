@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import { fetchOAuthProviders, providerIcon, redirectToProvider } from '../utils/oauth';
+
+const LinkedAccounts = ({ onNotify }) => {
+  const { user, refreshUser } = useAuth();
+  const [providers, setProviders] = useState([]);
+  const [pending, setPending] = useState(null);
+
+  useEffect(() => {
+    fetchOAuthProviders()
+      .then(setProviders)
+      .catch((error) => console.error('Fetch sign-in providers error:', error));
+  }, []);
+
+  const identities = user?.identities || [];
+
+  const handleConnect = async (provider) => {
+    try {
+      setPending(provider.id);
+      await redirectToProvider(`/api/auth/oauth/${provider.id}/link`);
+    } catch (error) {
+      console.error('Connect provider error:', error);
+      onNotify(error.response?.data?.error || `Failed to connect ${provider.name}`, 'error');
+      setPending(null);
+    }
+  };
+
+  const handleDisconnect = async (provider) => {
+    if (!window.confirm(`Disconnect ${provider.name}? You won't be able to sign in with it.`)) {
+      return;
+    }
+
+    try {
+      setPending(provider.id);
+      await axios.delete(`/api/auth/identities/${provider.id}`);
+      await refreshUser();
+      onNotify(`${provider.name} disconnected`, 'success');
+    } catch (error) {
+      console.error('Disconnect provider error:', error);
+      onNotify(error.response?.data?.error || `Failed to disconnect ${provider.name}`, 'error');
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="two-factor-settings">
+      <div className="action-bar">
+        <h3>Connected accounts</h3>
+      </div>
+
+      <ul className="session-list">
+        {providers.map((provider) => {
+          const identity = identities.find((i) => i.provider === provider.id);
+          return (
+            <li key={provider.id} className="session-item">
+              <div className="session-info">
+                <strong>
+                  <i className={providerIcon(provider.id)}></i> {provider.name}
+                </strong>
+                <span className="timestamp">
+                  {identity ? identity.email || 'Connected' : 'Not connected'}
+                </span>
+              </div>
+              {identity ? (
+                <button
+                  onClick={() => handleDisconnect(provider)}
+                  className="button button-ghost"
+                  disabled={Boolean(pending)}
+                >
+                  Disconnect
+                </button>
+              ) : (
+                <button
+                  onClick={() => handleConnect(provider)}
+                  className="button button-ghost"
+                  disabled={Boolean(pending)}
+                >
+                  Connect
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default LinkedAccounts;
@@ -2,8 +2,10 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+// `permissions` optionally restricts the route to users holding at least one
+// of them; signed-in users without any are sent back to the dashboard.
+const ProtectedRoute = ({ children, permissions }) => {
+  const { isAuthenticated, loading, can } = useAuth();
 
   if (loading) {
     return (
@@ -14,7 +16,15 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" replace />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (permissions && !permissions.some(can)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return children;
 };
 
 export default ProtectedRoute;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { screen } from '@testing-library/react';
+import { Routes, Route } from 'react-router-dom';
+import ProtectedRoute from './ProtectedRoute';
+import { mockApi, renderWithAuth, signIn, TEST_USER } from '../testUtils';
+
+const renderRoutes = (route) =>
+  renderWithAuth(
+    <Routes>
+      <Route path="/login" element={<p>Login page</p>} />
+      <Route
+        path="/dashboard"
+        element={
+          <ProtectedRoute>
+            <p>Dashboard page</p>
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/admin"
+        element={
+          <ProtectedRoute permissions={['users:manage', 'audit:read']}>
+            <p>Admin page</p>
+          </ProtectedRoute>
+        }
+      />
+    </Routes>,
+    { route }
+  );
+
+describe('ProtectedRoute', () => {
+  it('shows a spinner while the session is being restored', async () => {
+    localStorage.setItem('token', 'test-token');
+    mockApi.on('GET', '/api/auth/me', () => new Promise(() => {}));
+
+    renderRoutes('/dashboard');
+
+    expect(screen.getByText('Loading...')).toBeInTheDocument();
+    expect(screen.queryByText('Dashboard page')).not.toBeInTheDocument();
+  });
+
+  it('sends signed-out visitors to the login page', async () => {
+    renderRoutes('/dashboard');
+
+    expect(await screen.findByText('Login page')).toBeInTheDocument();
+    expect(screen.queryByText('Dashboard page')).not.toBeInTheDocument();
+  });
+
+  it('sends visitors with a rejected token to the login page', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('token', 'revoked-token');
+    mockApi.on('GET', '/api/auth/me', { status: 401, data: { error: 'Session has been revoked' } });
+
+    renderRoutes('/dashboard');
+
+    expect(await screen.findByText('Login page')).toBeInTheDocument();
+    console.error.mockRestore();
+  });
+
+  it('renders the page for a signed-in user', async () => {
+    signIn();
+
+    renderRoutes('/dashboard');
+
+    expect(await screen.findByText('Dashboard page')).toBeInTheDocument();
+  });
+
+  it('sends users without any of the permissions back to the dashboard', async () => {
+    signIn();
+
+    renderRoutes('/admin');
+
+    expect(await screen.findByText('Dashboard page')).toBeInTheDocument();
+    expect(screen.queryByText('Admin page')).not.toBeInTheDocument();
+  });
+
+  it('renders the page for users holding one of the permissions', async () => {
+    signIn({ ...TEST_USER, permissions: [...TEST_USER.permissions, 'audit:read'] });
+
+    renderRoutes('/admin');
+
+    expect(await screen.findByText('Admin page')).toBeInTheDocument();
+  });
+});
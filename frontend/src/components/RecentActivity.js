@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { describeAuditAction, formatAuditTime } from '../utils/audit';
+import { describeUserAgent } from '../utils/userAgent';
+
+// Extra detail worth showing next to an event, e.g. how a sign-in happened
+const describeDetails = (event) => {
+  const { metadata = {} } = event;
+  if (event.action === 'auth.login_failed') {
+    return metadata.reason ? metadata.reason.replace(/_/g, ' ') : null;
+  }
+  if (metadata.method) return `via ${metadata.method.replace(/_/g, ' ')}`;
+  if (metadata.provider) return metadata.provider;
+  return event.byYou ? null : 'by an administrator';
+};
+
+const RecentActivity = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchActivity();
+  }, []);
+
+  const fetchActivity = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/auth/activity');
+      setEvents(response.data.events);
+    } catch (error) {
+      console.error('Fetch activity error:', error);
+      setError('Failed to load recent activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="security-panel">
+      <div className="action-bar">
+        <h2>Recent activity</h2>
+        <button onClick={fetchActivity} className="button button-ghost" disabled={loading}>
+          <i className="fas fa-sync-alt"></i> Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          <i className="fas fa-exclamation-triangle"></i>
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading activity...</p>
+        </div>
+      ) : events.length === 0 ? (
+        <p className="timestamp">No activity recorded yet.</p>
+      ) : (
+        <ul className="session-list">
+          {events.map((event) => {
+            const details = describeDetails(event);
+            return (
+              <li
+                key={event.id}
+                className={`session-item${event.action === 'auth.login_failed' ? ' is-warning' : ''}`}
+              >
+                <div className="session-info">
+                  <strong>{describeAuditAction(event.action)}</strong>
+                  {details && <span className="session-badge">{details}</span>}
+                  <span className="timestamp">
+                    {formatAuditTime(event.createdAt)} · {event.ip || 'Unknown IP'} ·{' '}
+                    {describeUserAgent(event.userAgent)}
+                  </span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default RecentActivity;
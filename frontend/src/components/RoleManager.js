@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const RoleManager = ({ roles, onRolesChange, onNotify }) => {
+  const [catalog, setCatalog] = useState([]);
+  const [newRole, setNewRole] = useState({ name: '', description: '' });
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    fetchCatalog();
+  }, []);
+
+  const fetchCatalog = async () => {
+    try {
+      const response = await axios.get('/api/admin/permissions');
+      setCatalog(response.data.permissions);
+    } catch (error) {
+      console.error('Fetch permissions error:', error);
+    }
+  };
+
+  const replaceRole = (updated) => {
+    onRolesChange(roles.map((role) => (role.name === updated.name ? updated : role)));
+  };
+
+  const handleTogglePermission = async (role, permission) => {
+    const permissions = role.permissions.includes(permission)
+      ? role.permissions.filter((p) => p !== permission)
+      : [...role.permissions, permission];
+
+    try {
+      const response = await axios.put(`/api/admin/roles/${role.name}`, { permissions });
+      replaceRole(response.data.role);
+    } catch (error) {
+      console.error('Update role error:', error);
+      onNotify(error.response?.data?.error || 'Failed to update role', 'error');
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newRole.name.trim()) {
+      return;
+    }
+
+    try {
+      setIsCreating(true);
+      const response = await axios.post('/api/admin/roles', {
+        name: newRole.name.trim(),
+        description: newRole.description.trim(),
+        permissions: []
+      });
+      onRolesChange([...roles, response.data.role]);
+      setNewRole({ name: '', description: '' });
+      onNotify('Role created', 'success');
+    } catch (error) {
+      console.error('Create role error:', error);
+      onNotify(error.response?.data?.error || 'Failed to create role', 'error');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the "${role.name}" role?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/roles/${role.name}`);
+      onRolesChange(roles.filter((r) => r.name !== role.name));
+      onNotify('Role deleted', 'success');
+    } catch (error) {
+      console.error('Delete role error:', error);
+      onNotify(error.response?.data?.error || 'Failed to delete role', 'error');
+    }
+  };
+
+  return (
+    <section className="security-panel">
+      <div className="action-bar">
+        <h2>Roles &amp; Permissions</h2>
+      </div>
+
+      <div className="admin-table-wrapper">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Role</th>
+              {catalog.map((permission) => (
+                <th key={permission.name} title={permission.description}>
+                  {permission.name}
+                </th>
+              ))}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {roles.map((role) => (
+              <tr key={role.name}>
+                <td>
+                  <strong>{role.name}</strong>
+                  <div className="timestamp">
+                    {role.description} · {role.userCount} user{role.userCount === 1 ? '' : 's'}
+                  </div>
+                </td>
+                {catalog.map((permission) => (
+                  <td key={permission.name}>
+                    <input
+                      type="checkbox"
+                      checked={role.permissions.includes(permission.name)}
+                      onChange={() => handleTogglePermission(role, permission.name)}
+                      disabled={role.name === 'admin'}
+                      aria-label={`${role.name}: ${permission.name}`}
+                    />
+                  </td>
+                ))}
+                <td className="admin-actions">
+                  {!role.builtIn && (
+                    <button
+                      onClick={() => handleDelete(role)}
+                      className="delete-btn"
+                      title="Delete role"
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleCreate} className="action-bar admin-search role-form">
+        <input
+          type="text"
+          value={newRole.name}
+          onChange={(e) => setNewRole((prev) => ({ ...prev, name: e.target.value }))}
+          placeholder="New role name, e.g. editor"
+        />
+        <input
+          type="text"
+          value={newRole.description}
+          onChange={(e) => setNewRole((prev) => ({ ...prev, description: e.target.value }))}
+          placeholder="Description"
+        />
+        <button type="submit" className="button button-primary" disabled={isCreating}>
+          <i className="fas fa-plus"></i> Add role
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default RoleManager;
@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorSettings from './TwoFactorSettings';
+import LinkedAccounts from './LinkedAccounts';
+import { describeUserAgent } from '../utils/userAgent';
+
+const SecurityPanel = ({ onNotify }) => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Fetch sessions error:', error);
+      setError('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    const message = session.current
+      ? 'This will sign you out of this device. Continue?'
+      : 'Sign out this device?';
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/auth/sessions/${session.id}`);
+      if (session.current) {
+        logout();
+        return;
+      }
+      setSessions((prev) => prev.filter((s) => s.id !== session.id));
+      onNotify('Session revoked', 'success');
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      onNotify('Failed to revoke session', 'error');
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) {
+      return;
+    }
+
+    try {
+      await axios.post('/api/auth/sessions/revoke-others');
+      setSessions((prev) => prev.filter((s) => s.current));
+      onNotify('Signed out of all other devices', 'success');
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      onNotify('Failed to sign out other devices', 'error');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  return (
+    <section className="security-panel">
+      <div className="action-bar">
+        <h2>Security</h2>
+      </div>
+
+      <TwoFactorSettings onNotify={onNotify} />
+      <LinkedAccounts onNotify={onNotify} />
+
+      <div className="action-bar">
+        <h3>Active sessions</h3>
+        <button
+          onClick={handleRevokeOthers}
+          className="button button-ghost"
+          disabled={sessions.filter((s) => !s.current).length === 0}
+        >
+          <i className="fas fa-sign-out-alt"></i> Sign out everywhere else
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          <i className="fas fa-exclamation-triangle"></i>
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Loading sessions...</p>
+        </div>
+      ) : (
+        <ul className="session-list">
+          {sessions.map((session) => (
+            <li key={session.id} className="session-item">
+              <div className="session-info">
+                <strong>{describeUserAgent(session.userAgent)}</strong>
+                {session.current && <span className="session-badge">This device</span>}
+                <span className="timestamp">
+                  {session.ip || 'Unknown IP'} · Signed in {formatDate(session.createdAt)} · Last
+                  active {formatDate(session.lastSeenAt)}
+                </span>
+              </div>
+              <button
+                onClick={() => handleRevoke(session)}
+                className="delete-btn"
+                title="Sign out this device"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SecurityPanel;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const LEVELS = [
+  { value: 'viewer', label: 'Can view' },
+  { value: 'editor', label: 'Can edit' }
+];
+
+// Manages who an item is shared with. Calls onSharesChange with the new
+// number of shares so the list can update its badge.
+const ShareDialog = ({ item, onSharesChange, onClose, onNotify }) => {
+  const [shares, setShares] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [target, setTarget] = useState({ type: 'user', email: '', teamId: '', level: 'viewer' });
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [sharesResponse, teamsResponse] = await Promise.all([
+          axios.get(`/api/data/${item._id}/shares`),
+          axios.get('/api/teams')
+        ]);
+        setShares(sharesResponse.data.shares);
+        setTeams(teamsResponse.data.teams);
+      } catch (error) {
+        console.error('Fetch shares error:', error);
+        setError(error.response?.data?.error || 'Failed to load sharing settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [item._id]);
+
+  const updateShares = (updated) => {
+    setShares(updated);
+    onSharesChange(updated.length);
+  };
+
+  const share = async (body) => {
+    const response = await axios.post(`/api/data/${item._id}/shares`, body);
+    updateShares(response.data.shares);
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (target.type === 'user' ? !target.email.trim() : !target.teamId) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await share(
+        target.type === 'user'
+          ? { type: 'user', email: target.email.trim(), level: target.level }
+          : { type: 'team', teamId: target.teamId, level: target.level }
+      );
+      setTarget((prev) => ({ ...prev, email: '', teamId: '' }));
+    } catch (error) {
+      console.error('Share item error:', error);
+      onNotify(error.response?.data?.error || 'Failed to share item', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleLevelChange = async (entry, level) => {
+    try {
+      await share(
+        entry.type === 'user'
+          ? { type: 'user', email: entry.email, level }
+          : { type: 'team', teamId: entry.id, level }
+      );
+    } catch (error) {
+      console.error('Change share level error:', error);
+      onNotify(error.response?.data?.error || 'Failed to change access', 'error');
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    try {
+      const response = await axios.delete(`/api/data/${item._id}/shares/${entry.id}`);
+      updateShares(response.data.shares);
+    } catch (error) {
+      console.error('Remove share error:', error);
+      onNotify(error.response?.data?.error || 'Failed to stop sharing', 'error');
+    }
+  };
+
+  return (
+    <div className="data-form-card share-dialog">
+      <div className="form-header">
+        <h3>Share “{item.title}”</h3>
+        <button onClick={onClose} className="close-btn" type="button">
+          <i className="fas fa-times"></i>
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          <i className="fas fa-exclamation-triangle"></i>
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="timestamp">Loading...</p>
+      ) : shares.length === 0 ? (
+        <p className="timestamp">Only you can see this item.</p>
+      ) : (
+        <ul className="session-list">
+          {shares.map((entry) => (
+            <li key={entry.id} className="session-item">
+              <div className="session-info">
+                <strong>
+                  <i className={entry.type === 'team' ? 'fas fa-users' : 'fas fa-user'}></i>{' '}
+                  {entry.name || 'Unknown'}
+                </strong>
+                {entry.email && <span className="timestamp">{entry.email}</span>}
+              </div>
+              <div className="admin-actions">
+                <select
+                  value={entry.level}
+                  onChange={(e) => handleLevelChange(entry, e.target.value)}
+                  aria-label={`Access for ${entry.name}`}
+                >
+                  {LEVELS.map((level) => (
+                    <option key={level.value} value={level.value}>
+                      {level.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleRemove(entry)}
+                  className="delete-btn"
+                  title="Stop sharing"
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleShare} className="action-bar admin-search role-form">
+        <select
+          value={target.type}
+          onChange={(e) => setTarget((prev) => ({ ...prev, type: e.target.value }))}
+          aria-label="Share with"
+        >
+          <option value="user">Person</option>
+          <option value="team" disabled={teams.length === 0}>
+            Team
+          </option>
+        </select>
+        {target.type === 'user' ? (
+          <input
+            type="email"
+            value={target.email}
+            onChange={(e) => setTarget((prev) => ({ ...prev, email: e.target.value }))}
+            placeholder="Email address"
+          />
+        ) : (
+          <select
+            value={target.teamId}
+            onChange={(e) => setTarget((prev) => ({ ...prev, teamId: e.target.value }))}
+            aria-label="Team"
+          >
+            <option value="">Choose a team</option>
+            {teams.map((team) => (
+              <option key={team.id} value={team.id}>
+                {team.name}
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          value={target.level}
+          onChange={(e) => setTarget((prev) => ({ ...prev, level: e.target.value }))}
+          aria-label="Access level"
+        >
+          {LEVELS.map((level) => (
+            <option key={level.value} value={level.value}>
+              {level.label}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="button button-primary" disabled={isSaving}>
+          <i className="fas fa-share-alt"></i> Share
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+import { fetchOAuthProviders, providerIcon, redirectToProvider } from '../utils/oauth';
+
+const SocialLoginButtons = ({ onError, disabled }) => {
+  const [providers, setProviders] = useState([]);
+  const [pending, setPending] = useState(null);
+
+  useEffect(() => {
+    fetchOAuthProviders()
+      .then(setProviders)
+      .catch((error) => console.error('Fetch sign-in providers error:', error));
+  }, []);
+
+  const handleClick = async (provider) => {
+    try {
+      setPending(provider.id);
+      await redirectToProvider(`/api/auth/oauth/${provider.id}/start`);
+    } catch (error) {
+      console.error('Social sign-in error:', error);
+      onError(error.response?.data?.error || `Could not sign in with ${provider.name}`);
+      setPending(null);
+    }
+  };
+
+  if (providers.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="social-login">
+      <div className="social-divider">
+        <span>or</span>
+      </div>
+      {providers.map((provider) => (
+        <button
+          key={provider.id}
+          type="button"
+          onClick={() => handleClick(provider)}
+          className="button button-ghost social-button"
+          disabled={disabled || Boolean(pending)}
+        >
+          <i className={providerIcon(provider.id)}></i>
+          {pending === provider.id ? 'Redirecting...' : `Continue with ${provider.name}`}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default SocialLoginButtons;
@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const SUGGEST_DELAY_MS = 200;
+
+// Same normalisation as the server: lower case, spaces become dashes
+export const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, '-');
+
+const TagInput = ({ id, tags, onChange, disabled = false }) => {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+
+  // Suggest the user's existing tags once they pause typing
+  useEffect(() => {
+    const prefix = normalizeTag(input);
+    if (!prefix) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get('/api/data/tags', { params: { prefix } });
+        if (!cancelled) setSuggestions(response.data.tags.map((tag) => tag.name));
+      } catch (error) {
+        console.error('Fetch tags error:', error);
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [input]);
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (tag && !tags.includes(tag)) {
+      onChange([...tags, tag]);
+    }
+    setInput('');
+    setSuggestions([]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === 'Backspace' && !input && tags.length) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  const visibleSuggestions = suggestions.filter((tag) => !tags.includes(tag));
+
+  return (
+    <div className="tag-input">
+      <div className="tag-list">
+        {tags.map((tag) => (
+          <span key={tag} className="tag-chip">
+            {tag}
+            <button
+              type="button"
+              onClick={() => onChange(tags.filter((t) => t !== tag))}
+              disabled={disabled}
+              aria-label={`Remove tag ${tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          id={id}
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={() => input && addTag(input)}
+          placeholder={tags.length ? '' : 'Add tags'}
+          disabled={disabled}
+          autoComplete="off"
+        />
+      </div>
+      {visibleSuggestions.length > 0 && (
+        <ul className="tag-suggestions">
+          {visibleSuggestions.map((tag) => (
+            <li key={tag}>
+              {/* mousedown fires before the input's blur, which would add the typed text */}
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTag(tag)}
+              >
+                {tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
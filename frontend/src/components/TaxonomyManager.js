@@ -0,0 +1,331 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { FIELD_TYPES, flattenCategories, categoryLabel } from '../utils/customFields';
+
+const EMPTY_FIELD = { key: '', label: '', type: 'text', options: '', required: false };
+
+// Manages the user's categories and custom field definitions. Changes that
+// touch existing items (deleting either) call onItemsChange so the list reloads.
+const TaxonomyManager = ({
+  categories,
+  onCategoriesChange,
+  fields,
+  onFieldsChange,
+  onItemsChange,
+  onNotify
+}) => {
+  const [newCategory, setNewCategory] = useState({ name: '', parentId: '' });
+  const [newField, setNewField] = useState(EMPTY_FIELD);
+  const [isSaving, setIsSaving] = useState(false);
+  const tree = flattenCategories(categories);
+
+  const refreshCategories = async () => {
+    const response = await axios.get('/api/categories');
+    onCategoriesChange(response.data.categories);
+  };
+
+  const handleCreateCategory = async (e) => {
+    e.preventDefault();
+    if (!newCategory.name.trim()) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await axios.post('/api/categories', {
+        name: newCategory.name.trim(),
+        parentId: newCategory.parentId || null
+      });
+      onCategoriesChange([...categories, response.data.category]);
+      setNewCategory({ name: '', parentId: '' });
+    } catch (error) {
+      console.error('Create category error:', error);
+      onNotify(error.response?.data?.error || 'Failed to create category', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleUpdateCategory = async (category, changes) => {
+    try {
+      const response = await axios.put(`/api/categories/${category.id}`, changes);
+      onCategoriesChange(
+        categories.map((c) => (c.id === category.id ? response.data.category : c))
+      );
+    } catch (error) {
+      console.error('Update category error:', error);
+      onNotify(error.response?.data?.error || 'Failed to update category', 'error');
+    }
+  };
+
+  const handleRenameCategory = (category) => {
+    const name = window.prompt('Rename category', category.name);
+    if (name && name.trim() && name.trim() !== category.name) {
+      handleUpdateCategory(category, { name: name.trim() });
+    }
+  };
+
+  const handleDeleteCategory = async (category) => {
+    if (
+      !window.confirm(
+        `Delete "${category.name}"? Its items and subcategories move up to the parent category.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/categories/${category.id}`);
+      // Children were re-parented and item counts moved, so reload both
+      await refreshCategories();
+      onItemsChange();
+      onNotify('Category deleted', 'success');
+    } catch (error) {
+      console.error('Delete category error:', error);
+      onNotify(error.response?.data?.error || 'Failed to delete category', 'error');
+    }
+  };
+
+  const handleCreateField = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const response = await axios.post('/api/fields', {
+        key: newField.key.trim(),
+        label: newField.label.trim(),
+        type: newField.type,
+        options:
+          newField.type === 'select'
+            ? newField.options
+                .split(',')
+                .map((option) => option.trim())
+                .filter(Boolean)
+            : [],
+        required: newField.required
+      });
+      onFieldsChange([...fields, response.data.field]);
+      setNewField(EMPTY_FIELD);
+    } catch (error) {
+      console.error('Create field error:', error);
+      onNotify(error.response?.data?.error || 'Failed to create field', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleRequired = async (field) => {
+    try {
+      const response = await axios.put(`/api/fields/${field.key}`, {
+        required: !field.required
+      });
+      onFieldsChange(fields.map((f) => (f.key === field.key ? response.data.field : f)));
+    } catch (error) {
+      console.error('Update field error:', error);
+      onNotify(error.response?.data?.error || 'Failed to update field', 'error');
+    }
+  };
+
+  const handleDeleteField = async (field) => {
+    if (!window.confirm(`Delete the "${field.label}" field and its value on every item?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/fields/${field.key}`);
+      onFieldsChange(fields.filter((f) => f.key !== field.key));
+      onItemsChange();
+      onNotify('Field deleted', 'success');
+    } catch (error) {
+      console.error('Delete field error:', error);
+      onNotify(error.response?.data?.error || 'Failed to delete field', 'error');
+    }
+  };
+
+  return (
+    <section className="security-panel taxonomy-manager">
+      <div className="action-bar">
+        <h2>Categories</h2>
+      </div>
+
+      {tree.length === 0 ? (
+        <p className="timestamp">No categories yet.</p>
+      ) : (
+        <ul className="session-list">
+          {tree.map((category) => (
+            <li
+              key={category.id}
+              className="session-item"
+              style={{ marginLeft: category.depth * 20 }}
+            >
+              <div className="session-info">
+                <strong>{category.name}</strong>
+                <span className="timestamp">
+                  {category.itemCount} item{category.itemCount === 1 ? '' : 's'}
+                </span>
+              </div>
+              <div className="admin-actions">
+                <select
+                  value={category.parentId || ''}
+                  onChange={(e) =>
+                    handleUpdateCategory(category, { parentId: e.target.value || null })
+                  }
+                  aria-label={`Parent of ${category.name}`}
+                >
+                  <option value="">Top level</option>
+                  {tree
+                    .filter((c) => c.id !== category.id)
+                    .map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {categoryLabel(c)}
+                      </option>
+                    ))}
+                </select>
+                <button
+                  onClick={() => handleRenameCategory(category)}
+                  className="edit-btn"
+                  title="Rename category"
+                >
+                  <i className="fas fa-edit"></i>
+                </button>
+                <button
+                  onClick={() => handleDeleteCategory(category)}
+                  className="delete-btn"
+                  title="Delete category"
+                >
+                  <i className="fas fa-trash"></i>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreateCategory} className="action-bar admin-search role-form">
+        <input
+          type="text"
+          value={newCategory.name}
+          onChange={(e) => setNewCategory((prev) => ({ ...prev, name: e.target.value }))}
+          placeholder="New category name"
+        />
+        <select
+          value={newCategory.parentId}
+          onChange={(e) => setNewCategory((prev) => ({ ...prev, parentId: e.target.value }))}
+          aria-label="Parent category"
+        >
+          <option value="">Top level</option>
+          {tree.map((category) => (
+            <option key={category.id} value={category.id}>
+              {categoryLabel(category)}
+            </option>
+          ))}
+        </select>
+        <button type="submit" className="button button-primary" disabled={isSaving}>
+          <i className="fas fa-plus"></i> Add category
+        </button>
+      </form>
+
+      <div className="action-bar">
+        <h2>Custom fields</h2>
+      </div>
+
+      {fields.length === 0 ? (
+        <p className="timestamp">No custom fields yet.</p>
+      ) : (
+        <div className="admin-table-wrapper">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Label</th>
+                <th>Key</th>
+                <th>Type</th>
+                <th>Required</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((field) => (
+                <tr key={field.key}>
+                  <td>
+                    {field.label}
+                    {field.type === 'select' && (
+                      <div className="timestamp">{field.options.join(', ')}</div>
+                    )}
+                  </td>
+                  <td>
+                    <code>{field.key}</code>
+                  </td>
+                  <td>{FIELD_TYPES.find((type) => type.value === field.type)?.label}</td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={() => handleToggleRequired(field)}
+                      aria-label={`${field.label} is required`}
+                    />
+                  </td>
+                  <td className="admin-actions">
+                    <button
+                      onClick={() => handleDeleteField(field)}
+                      className="delete-btn"
+                      title="Delete field"
+                    >
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <form onSubmit={handleCreateField} className="action-bar admin-search role-form">
+        <input
+          type="text"
+          value={newField.label}
+          onChange={(e) => setNewField((prev) => ({ ...prev, label: e.target.value }))}
+          placeholder="Label, e.g. Priority"
+        />
+        <input
+          type="text"
+          value={newField.key}
+          onChange={(e) => setNewField((prev) => ({ ...prev, key: e.target.value }))}
+          placeholder="Key, e.g. priority"
+        />
+        <select
+          value={newField.type}
+          onChange={(e) => setNewField((prev) => ({ ...prev, type: e.target.value }))}
+          aria-label="Field type"
+        >
+          {FIELD_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>
+              {type.label}
+            </option>
+          ))}
+        </select>
+        {newField.type === 'select' && (
+          <input
+            type="text"
+            value={newField.options}
+            onChange={(e) => setNewField((prev) => ({ ...prev, options: e.target.value }))}
+            placeholder="Choices, comma separated"
+          />
+        )}
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={newField.required}
+            onChange={(e) => setNewField((prev) => ({ ...prev, required: e.target.checked }))}
+          />
+          Required
+        </label>
+        <button type="submit" className="button button-primary" disabled={isSaving}>
+          <i className="fas fa-plus"></i> Add field
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default TaxonomyManager;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+// The user's teams: create and delete them, and (as an owner) manage who
+// belongs to each. Members can leave a team on their own.
+const TeamManager = ({ onNotify }) => {
+  const { user } = useAuth();
+  const [teams, setTeams] = useState([]);
+  const [newTeamName, setNewTeamName] = useState('');
+  const [memberEmails, setMemberEmails] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTeams = async () => {
+      try {
+        const response = await axios.get('/api/teams');
+        setTeams(response.data.teams);
+      } catch (error) {
+        console.error('Fetch teams error:', error);
+        setError('Failed to load teams');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTeams();
+  }, []);
+
+  const replaceTeam = (updated) => {
+    setTeams((prev) => prev.map((team) => (team.id === updated.id ? updated : team)));
+  };
+
+  const removeTeam = (teamId) => {
+    setTeams((prev) => prev.filter((team) => team.id !== teamId));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newTeamName.trim()) {
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/teams', { name: newTeamName.trim() });
+      setTeams((prev) => [...prev, response.data.team]);
+      setNewTeamName('');
+    } catch (error) {
+      console.error('Create team error:', error);
+      onNotify(error.response?.data?.error || 'Failed to create team', 'error');
+    }
+  };
+
+  const handleDelete = async (team) => {
+    if (!window.confirm(`Delete "${team.name}"? Items shared with the team are unshared.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/teams/${team.id}`);
+      removeTeam(team.id);
+      onNotify('Team deleted', 'success');
+    } catch (error) {
+      console.error('Delete team error:', error);
+      onNotify(error.response?.data?.error || 'Failed to delete team', 'error');
+    }
+  };
+
+  const handleAddMember = async (e, team) => {
+    e.preventDefault();
+    const email = (memberEmails[team.id] || '').trim();
+    if (!email) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/teams/${team.id}/members`, { email });
+      replaceTeam(response.data.team);
+      setMemberEmails((prev) => ({ ...prev, [team.id]: '' }));
+    } catch (error) {
+      console.error('Add team member error:', error);
+      onNotify(error.response?.data?.error || 'Failed to add member', 'error');
+    }
+  };
+
+  const handleRoleChange = async (team, member, role) => {
+    try {
+      const response = await axios.patch(`/api/teams/${team.id}/members/${member.id}`, { role });
+      replaceTeam(response.data.team);
+    } catch (error) {
+      console.error('Change team role error:', error);
+      onNotify(error.response?.data?.error || 'Failed to change role', 'error');
+    }
+  };
+
+  const handleRemoveMember = async (team, member) => {
+    const leaving = member.id === user?.id;
+    const message = leaving
+      ? `Leave "${team.name}"?`
+      : `Remove ${member.email} from "${team.name}"?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/api/teams/${team.id}/members/${member.id}`);
+      if (leaving) {
+        removeTeam(team.id);
+        onNotify(`You left ${team.name}`, 'success');
+      } else {
+        replaceTeam(response.data.team);
+      }
+    } catch (error) {
+      console.error('Remove team member error:', error);
+      onNotify(error.response?.data?.error || 'Failed to remove member', 'error');
+    }
+  };
+
+  return (
+    <section className="security-panel team-manager">
+      <div className="action-bar">
+        <h2>Teams</h2>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          <i className="fas fa-exclamation-triangle"></i>
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="timestamp">Loading teams...</p>
+      ) : teams.length === 0 ? (
+        <p className="timestamp">You aren't in any teams yet.</p>
+      ) : (
+        teams.map((team) => {
+          const isOwner = team.role === 'owner';
+          return (
+            <div key={team.id} className="team-card">
+              <div className="action-bar">
+                <h3>{team.name}</h3>
+                {isOwner && (
+                  <button
+                    onClick={() => handleDelete(team)}
+                    className="delete-btn"
+                    title="Delete team"
+                  >
+                    <i className="fas fa-trash"></i>
+                  </button>
+                )}
+              </div>
+
+              <ul className="session-list">
+                {team.members.map((member) => (
+                  <li key={member.id} className="session-item">
+                    <div className="session-info">
+                      <strong>
+                        {member.name}
+                        {member.id === user?.id && ' (you)'}
+                      </strong>
+                      <span className="timestamp">{member.email}</span>
+                    </div>
+                    <div className="admin-actions">
+                      {isOwner ? (
+                        <select
+                          value={member.role}
+                          onChange={(e) => handleRoleChange(team, member, e.target.value)}
+                          aria-label={`Role of ${member.name}`}
+                        >
+                          <option value="member">Member</option>
+                          <option value="owner">Owner</option>
+                        </select>
+                      ) : (
+                        <span className="session-badge">{member.role}</span>
+                      )}
+                      {(isOwner || member.id === user?.id) && (
+                        <button
+                          onClick={() => handleRemoveMember(team, member)}
+                          className="button button-ghost"
+                        >
+                          {member.id === user?.id ? 'Leave' : 'Remove'}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {isOwner && (
+                <form
+                  onSubmit={(e) => handleAddMember(e, team)}
+                  className="action-bar admin-search role-form"
+                >
+                  <input
+                    type="email"
+                    value={memberEmails[team.id] || ''}
+                    onChange={(e) =>
+                      setMemberEmails((prev) => ({ ...prev, [team.id]: e.target.value }))
+                    }
+                    placeholder="Add member by email"
+                  />
+                  <button type="submit" className="button button-primary">
+                    <i className="fas fa-user-plus"></i> Add
+                  </button>
+                </form>
+              )}
+            </div>
+          );
+        })
+      )}
+
+      <form onSubmit={handleCreate} className="action-bar admin-search role-form">
+        <input
+          type="text"
+          value={newTeamName}
+          onChange={(e) => setNewTeamName(e.target.value)}
+          placeholder="New team name"
+        />
+        <button type="submit" className="button button-primary">
+          <i className="fas fa-plus"></i> Create team
+        </button>
+      </form>
+    </section>
+  );
+};
+
+export default TeamManager;
@@ -0,0 +1,228 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const TwoFactorSettings = ({ onNotify }) => {
+  const { user, refreshUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisable, setShowDisable] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const resetForm = () => {
+    setSetup(null);
+    setCode('');
+    setPassword('');
+    setShowDisable(false);
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+      setRecoveryCodes(null);
+    } catch (error) {
+      console.error('2FA setup error:', error);
+      onNotify(error.response?.data?.error || 'Failed to start two-factor setup', 'error');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      const response = await axios.post('/api/auth/2fa/enable', { code: code.trim() });
+      setRecoveryCodes(response.data.recoveryCodes);
+      resetForm();
+      await refreshUser();
+      onNotify('Two-factor authentication enabled', 'success');
+    } catch (error) {
+      console.error('2FA enable error:', error);
+      onNotify(
+        error.response?.data?.error || 'Failed to enable two-factor authentication',
+        'error'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSubmitting(true);
+      await axios.post('/api/auth/2fa/disable', { password, code: code.trim() });
+      resetForm();
+      setRecoveryCodes(null);
+      await refreshUser();
+      onNotify('Two-factor authentication disabled', 'success');
+    } catch (error) {
+      console.error('2FA disable error:', error);
+      onNotify(
+        error.response?.data?.error || 'Failed to disable two-factor authentication',
+        'error'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRegenerateCodes = async () => {
+    const currentCode = window.prompt('Enter a code from your authenticator app');
+    if (!currentCode) {
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/auth/2fa/recovery-codes', {
+        code: currentCode.trim()
+      });
+      setRecoveryCodes(response.data.recoveryCodes);
+      onNotify('New recovery codes generated', 'success');
+    } catch (error) {
+      console.error('2FA recovery codes error:', error);
+      onNotify(error.response?.data?.error || 'Failed to regenerate recovery codes', 'error');
+    }
+  };
+
+  return (
+    <div className="two-factor-settings">
+      <div className="action-bar">
+        <h3>Two-factor authentication</h3>
+        <span className={user?.twoFactorEnabled ? 'session-badge' : 'timestamp'}>
+          {user?.twoFactorEnabled ? 'Enabled' : 'Off'}
+        </span>
+      </div>
+
+      {recoveryCodes && (
+        <div className="recovery-codes">
+          <p>
+            Save these recovery codes somewhere safe. Each one can be used once to sign in if you
+            lose your device. They won't be shown again.
+          </p>
+          <ul>
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>
+                <code>{recoveryCode}</code>
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => setRecoveryCodes(null)} className="button button-ghost">
+            I've saved them
+          </button>
+        </div>
+      )}
+
+      {!user?.twoFactorEnabled && !setup && (
+        <button
+          onClick={handleStartSetup}
+          className="button button-primary"
+          disabled={isSubmitting}
+        >
+          <i className="fas fa-lock"></i> Enable two-factor authentication
+        </button>
+      )}
+
+      {setup && (
+        <form onSubmit={handleEnable} className="auth-form">
+          <p className="timestamp">
+            Add this account to your authenticator app by opening the link below on your phone, or
+            enter the key manually. Then type the 6-digit code it shows.
+          </p>
+          <a href={setup.otpauthUri} className="auth-link otpauth-link">
+            {setup.otpauthUri}
+          </a>
+          <p>
+            Key: <code>{setup.secret}</code>
+          </p>
+          <div className="form-group">
+            <label htmlFor="totpCode">Authentication Code</label>
+            <input
+              type="text"
+              id="totpCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="button button-ghost"
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button type="submit" className="button button-primary" disabled={isSubmitting}>
+              Verify and enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {user?.twoFactorEnabled && !showDisable && (
+        <div className="form-actions">
+          <button onClick={handleRegenerateCodes} className="button button-ghost">
+            New recovery codes
+          </button>
+          <button onClick={() => setShowDisable(true)} className="button button-danger">
+            Disable
+          </button>
+        </div>
+      )}
+
+      {showDisable && (
+        <form onSubmit={handleDisable} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="disablePassword">Password</label>
+            <input
+              type="password"
+              id="disablePassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Enter your password"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="disableCode">Authentication Code</label>
+            <input
+              type="text"
+              id="disableCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              required
+            />
+          </div>
+          <div className="form-actions">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="button button-ghost"
+              disabled={isSubmitting}
+            >
+              Cancel
+            </button>
+            <button type="submit" className="button button-danger" disabled={isSubmitting}>
+              Disable two-factor
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
+import { deleteOfflineData } from '../utils/offlineStore';
 
 const AuthContext = createContext();
 
@@ -8,7 +9,28 @@ const AuthContext = createContext();
 const apiBase = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 axios.defaults.baseURL = apiBase;
 axios.defaults.headers.common['Content-Type'] = 'application/json';
+// Send the httpOnly refresh-token cookie along with auth requests
+axios.defaults.withCredentials = true;
 
+// Requests that must never trigger a silent refresh (they either are the
+// refresh itself or are expected to fail with 401 on bad credentials)
+const NO_REFRESH_URLS = [
+  '/api/auth/login',
+  '/api/auth/login/2fa',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/logout'
+];
+
+
+// Seconds to wait after a 429 (rate limited or account locked), if any
+const getRetryAfter = (error) => {
+  if (error.response?.status !== 429) return null;
+  const seconds = Number(
+    error.response.data?.retryAfter || error.response.headers?.['retry-after']
+  );
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+};
 
 export const useAuth = () => {
   const context = useContext(AuthContext);
@@ -22,35 +44,110 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
+  const refreshPromise = useRef(null);
+  // The signed-in user for clearSession, which outlives renders
+  const currentUser = useRef(null);
+  currentUser.current = user;
 
-  // Set up axios interceptor for token
-  useEffect(() => {
-    if (token) {
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      // Verify token and get user info
-      getCurrentUser();
-    } else {
-      setLoading(false);
-    }
-  }, [token]);
+  // Signs out locally, whether by choice or because the session expired.
+  // The user's items cached for offline use go too, so they can't be read
+  // on a shared device.
+  const clearSession = useCallback(async () => {
+    const signedIn = currentUser.current;
+    localStorage.removeItem('token');
+    setToken(null);
+    setUser(null);
+    delete axios.defaults.headers.common['Authorization'];
+    if (signedIn) await deleteOfflineData(signedIn.id);
+  }, []);
 
-  const getCurrentUser = async () => {
+  const getCurrentUser = useCallback(async () => {
     try {
       const response = await axios.get('/api/auth/me');
       setUser(response.data.user);
     } catch (error) {
       console.error('Get current user error:', error);
-      logout(); // Invalid token, logout
+      clearSession(); // Refresh failed too, drop the local session
     } finally {
       setLoading(false);
     }
-  };
+  }, [clearSession]);
+
+  // Exchange the refresh cookie for a new access token. Concurrent callers
+  // share one in-flight request so the refresh token is only rotated once.
+  const refreshAccessToken = useCallback(() => {
+    if (!refreshPromise.current) {
+      refreshPromise.current = axios
+        .post('/api/auth/refresh')
+        .then((response) => {
+          const { token: newToken, user: refreshedUser } = response.data;
+          localStorage.setItem('token', newToken);
+          axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+          setToken(newToken);
+          setUser(refreshedUser);
+          return newToken;
+        })
+        .finally(() => {
+          refreshPromise.current = null;
+        });
+    }
+    return refreshPromise.current;
+  }, []);
+
+  // Retry a request once after a silent refresh when the access token
+  // expires. Declared before the effect below so the first /api/auth/me
+  // already goes through it: axios picks up interceptors as a request starts.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const originalRequest = error.config;
+        if (
+          error.response?.status !== 401 ||
+          !originalRequest ||
+          originalRequest._retry ||
+          NO_REFRESH_URLS.includes(originalRequest.url)
+        ) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+        try {
+          const newToken = await refreshAccessToken();
+          originalRequest.headers['Authorization'] = `Bearer ${newToken}`;
+          return axios(originalRequest);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(error);
+        }
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshAccessToken, clearSession]);
+
+  // Restore the stored session once on start. Later token changes come from
+  // signing in or a refresh, which set the user themselves.
+  useEffect(() => {
+    const storedToken = localStorage.getItem('token');
+    if (storedToken) {
+      axios.defaults.headers.common['Authorization'] = `Bearer ${storedToken}`;
+      getCurrentUser();
+    } else {
+      setLoading(false);
+    }
+  }, [getCurrentUser]);
 
   const login = async (email, password) => {
     try {
       setLoading(true);
       const response = await axios.post('/api/auth/login', { email, password });
 
+      // Password was right but the account needs a second factor
+      if (response.data.mfaRequired) {
+        return { success: false, mfaRequired: true, mfaToken: response.data.mfaToken };
+      }
+
       const { token, user } = response.data;
 
       // Store token
@@ -64,7 +161,37 @@ export const AuthProvider = ({ children }) => {
       return { success: true, user };
     } catch (error) {
       const errorMessage = error.response?.data?.error || 'Login failed';
-      return { success: false, error: errorMessage };
+      return { success: false, error: errorMessage, retryAfter: getRetryAfter(error) };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Second login step: exchange the challenge token plus a TOTP or recovery
+  // code for a full session
+  const verifyTwoFactor = async (mfaToken, { code, recoveryCode }) => {
+    try {
+      setLoading(true);
+      const response = await axios.post('/api/auth/login/2fa', {
+        mfaToken,
+        code,
+        recoveryCode
+      });
+
+      const { token, user } = response.data;
+
+      // Store token
+      localStorage.setItem('token', token);
+      setToken(token);
+      setUser(user);
+
+      // Set default header for future requests
+      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+      return { success: true, user };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Verification failed';
+      return { success: false, error: errorMessage, retryAfter: getRetryAfter(error) };
     } finally {
       setLoading(false);
     }
@@ -94,20 +221,46 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
-    delete axios.defaults.headers.common['Authorization'];
+  const logout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    await clearSession();
+  };
+
+  // Social sign-in ends with the backend setting the refresh cookie; trade it
+  // for an access token the same way a silent refresh does
+  const completeOAuthLogin = async () => {
+    try {
+      setLoading(true);
+      await refreshAccessToken();
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.error || 'Sign-in failed';
+      return { success: false, error: errorMessage };
+    } finally {
+      setLoading(false);
+    }
   };
 
+  // Permission names granted by the user's role, e.g. "data:write:own"
+  const permissions = user?.permissions || [];
+  const can = (permission) => permissions.includes(permission);
+
   const value = {
     user,
+    permissions,
+    can,
     token,
     loading,
     login,
+    verifyTwoFactor,
+    completeOAuthLogin,
     register,
     logout,
+    refreshUser: getCurrentUser,
     isAuthenticated: !!user && !!token
   };
 
@@ -0,0 +1,158 @@
+import React from 'react';
+import { act, screen, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import { useAuth } from './AuthContext';
+import * as offlineStore from '../utils/offlineStore';
+import { mockApi, renderWithAuth, signIn, TEST_USER } from '../testUtils';
+
+// Shows what the provider currently knows
+const AuthProbe = () => {
+  const { loading, isAuthenticated, user, token } = useAuth();
+  if (loading) return <p>loading</p>;
+  return (
+    <dl>
+      <dt>authenticated</dt>
+      <dd data-testid="authenticated">{String(isAuthenticated)}</dd>
+      <dt>user</dt>
+      <dd data-testid="user">{user ? user.email : 'none'}</dd>
+      <dt>token</dt>
+      <dd data-testid="token">{token || 'none'}</dd>
+    </dl>
+  );
+};
+
+const renderProbe = async () => {
+  renderWithAuth(<AuthProbe />);
+  await waitFor(() => expect(screen.queryByText('loading')).not.toBeInTheDocument());
+};
+
+describe('AuthProvider', () => {
+  // jsdom has no IndexedDB; the cleanup is checked by its calls. A spy
+  // rather than jest.mock, as setupTests has already loaded the provider.
+  beforeEach(() => {
+    jest.spyOn(offlineStore, 'deleteOfflineData').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    offlineStore.deleteOfflineData.mockRestore();
+  });
+
+  it('starts signed out without a stored token', async () => {
+    await renderProbe();
+
+    expect(screen.getByTestId('authenticated')).toHaveTextContent('false');
+    expect(screen.getByTestId('user')).toHaveTextContent('none');
+    expect(mockApi.requests()).toHaveLength(0);
+  });
+
+  it('restores the session from a stored token', async () => {
+    signIn();
+
+    await renderProbe();
+
+    expect(screen.getByTestId('authenticated')).toHaveTextContent('true');
+    expect(screen.getByTestId('user')).toHaveTextContent(TEST_USER.email);
+    const [me] = mockApi.requests('GET', '/api/auth/me');
+    expect(me.headers.Authorization).toBe('Bearer test-token');
+  });
+
+  it('shows the loading state until the user has been fetched', async () => {
+    localStorage.setItem('token', 'test-token');
+    let respond;
+    mockApi.on('GET', '/api/auth/me', () => new Promise((resolve) => (respond = resolve)));
+
+    renderWithAuth(<AuthProbe />);
+
+    expect(screen.getByText('loading')).toBeInTheDocument();
+    await waitFor(() => expect(respond).toBeDefined());
+    respond({ data: { user: TEST_USER } });
+    expect(await screen.findByTestId('authenticated')).toHaveTextContent('true');
+  });
+
+  it('refreshes an expired access token and retries the request', async () => {
+    signIn();
+    await renderProbe();
+    mockApi.on('GET', '/api/data', ({ headers }) =>
+      headers.Authorization === 'Bearer fresh-token'
+        ? { data: { items: [] } }
+        : { status: 401, data: { error: 'Invalid or expired token' } }
+    );
+    mockApi.on('POST', '/api/auth/refresh', {
+      data: { token: 'fresh-token', user: TEST_USER }
+    });
+
+    const response = await act(() => axios.get('/api/data'));
+
+    expect(response.data).toEqual({ items: [] });
+    expect(mockApi.requests('POST', '/api/auth/refresh')).toHaveLength(1);
+    expect(localStorage.getItem('token')).toBe('fresh-token');
+    expect(axios.defaults.headers.common['Authorization']).toBe('Bearer fresh-token');
+    expect(await screen.findByText('fresh-token')).toBeInTheDocument();
+    // The new token doesn't reload the user
+    expect(mockApi.requests('GET', '/api/auth/me')).toHaveLength(1);
+  });
+
+  it('refreshes a stored token that has expired instead of signing out', async () => {
+    localStorage.setItem('token', 'expired-token');
+    mockApi.on('GET', '/api/auth/me', ({ headers }) =>
+      headers.Authorization === 'Bearer fresh-token'
+        ? { data: { user: TEST_USER } }
+        : { status: 401, data: { error: 'Invalid or expired token' } }
+    );
+    mockApi.on('POST', '/api/auth/refresh', {
+      data: { token: 'fresh-token', user: TEST_USER }
+    });
+
+    await renderProbe();
+
+    expect(screen.getByTestId('authenticated')).toHaveTextContent('true');
+    expect(screen.getByTestId('user')).toHaveTextContent(TEST_USER.email);
+    expect(screen.getByTestId('token')).toHaveTextContent('fresh-token');
+    expect(localStorage.getItem('token')).toBe('fresh-token');
+    expect(mockApi.requests('POST', '/api/auth/refresh')).toHaveLength(1);
+    expect(mockApi.requests('GET', '/api/auth/me')).toHaveLength(2);
+    expect(offlineStore.deleteOfflineData).not.toHaveBeenCalled();
+  });
+
+  it('signs out when the refresh fails too', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    signIn();
+    await renderProbe();
+    mockApi.on('GET', '/api/data', { status: 401, data: { error: 'Invalid or expired token' } });
+    mockApi.on('POST', '/api/auth/refresh', {
+      status: 401,
+      data: { error: 'Refresh token required' }
+    });
+
+    const failure = await act(() => axios.get('/api/data').catch((error) => error));
+
+    expect(failure.response.status).toBe(401);
+
+    expect(localStorage.getItem('token')).toBeNull();
+    expect(await screen.findByTestId('authenticated')).toHaveTextContent('false');
+    // The cached items go as they do on logout
+    expect(offlineStore.deleteOfflineData).toHaveBeenCalledWith(TEST_USER.id);
+    console.error.mockRestore();
+  });
+
+  it('drops a stored token when the refresh fails as well', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    localStorage.setItem('token', 'revoked-token');
+    mockApi.on('GET', '/api/auth/me', {
+      status: 401,
+      data: { error: 'Session has been revoked' }
+    });
+    mockApi.on('POST', '/api/auth/refresh', {
+      status: 401,
+      data: { error: 'Session has been revoked' }
+    });
+
+    await renderProbe();
+
+    expect(mockApi.requests('POST', '/api/auth/refresh')).toHaveLength(1);
+    await waitFor(() => expect(localStorage.getItem('token')).toBeNull());
+    expect(screen.getByTestId('authenticated')).toHaveTextContent('false');
+    expect(axios.defaults.headers.common['Authorization']).toBeUndefined();
+    console.error.mockRestore();
+  });
+});
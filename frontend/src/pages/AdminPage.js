@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import RoleManager from '../components/RoleManager';
+import AuditLog from '../components/AuditLog';
+import { showToast } from '../utils/toast';
+
+const PAGE_SIZE = 20;
+
+const AdminPage = () => {
+  const { user: currentUser, can } = useAuth();
+  const canManageUsers = can('users:manage');
+  const canManageRoles = can('roles:manage');
+  const [roles, setRoles] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (canManageUsers || canManageRoles) {
+      fetchRoles();
+    }
+  }, [canManageUsers, canManageRoles]);
+
+  useEffect(() => {
+    if (canManageUsers) {
+      fetchUsers(page, search);
+    }
+  }, [page, search, canManageUsers]);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await axios.get('/api/admin/roles');
+      setRoles(response.data.roles);
+    } catch (error) {
+      console.error('Fetch roles error:', error);
+    }
+  };
+
+  const fetchUsers = async (pageToLoad, searchTerm) => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/admin/users', {
+        params: { page: pageToLoad, limit: PAGE_SIZE, search: searchTerm || undefined }
+      });
+      setUsers(response.data.users);
+      setTotal(response.data.total);
+      setPages(response.data.pages);
+      setError('');
+    } catch (error) {
+      console.error('Fetch users error:', error);
+      setError('Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  const replaceUser = (updated) => {
+    setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      const response = await axios.patch(`/api/admin/users/${user.id}/role`, { role });
+      replaceUser(response.data.user);
+      fetchRoles();
+      showToast(`${user.name} now has the ${role} role`, 'success');
+    } catch (error) {
+      console.error('Change role error:', error);
+      showToast(error.response?.data?.error || 'Failed to change role', 'error');
+    }
+  };
+
+  const handleToggleDisabled = async (user) => {
+    const action = user.disabled ? 'enable' : 'disable';
+    if (!user.disabled && !window.confirm(`Disable ${user.email}? They will be signed out.`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/admin/users/${user.id}/${action}`);
+      replaceUser(response.data.user);
+      showToast(`Account ${action}d`, 'success');
+    } catch (error) {
+      console.error('Toggle account error:', error);
+      showToast(error.response?.data?.error || `Failed to ${action} account`, 'error');
+    }
+  };
+
+  const handleForceReset = async (user) => {
+    if (!window.confirm(`Require ${user.email} to reset their password?`)) {
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/api/admin/users/${user.id}/force-password-reset`);
+      replaceUser(response.data.user);
+      showToast('Password reset email sent', 'success');
+    } catch (error) {
+      console.error('Force password reset error:', error);
+      showToast(error.response?.data?.error || 'Failed to force password reset', 'error');
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Permanently delete ${user.email} and all of their data items?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/admin/users/${user.id}`);
+      setUsers((prev) => prev.filter((u) => u.id !== user.id));
+      setTotal((prev) => prev - 1);
+      showToast('User deleted', 'success');
+    } catch (error) {
+      console.error('Delete user error:', error);
+      showToast(error.response?.data?.error || 'Failed to delete user', 'error');
+    }
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="dashboard-header">
+        <div className="header-content">
+          <div className="user-info">
+            <h1>Administration</h1>
+            {canManageUsers && <p className="user-email">{total} users</p>}
+          </div>
+          <Link to="/dashboard" className="button button-ghost">
+            <i className="fas fa-arrow-left"></i> Back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      <main className="dashboard-main">
+        {canManageUsers && (
+          <>
+            <form onSubmit={handleSearch} className="action-bar admin-search">
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search by name or email"
+              />
+              <button type="submit" className="button button-primary">
+                <i className="fas fa-search"></i> Search
+              </button>
+            </form>
+
+            {error && (
+              <div className="error-banner">
+                <i className="fas fa-exclamation-triangle"></i>
+                {error}
+              </div>
+            )}
+
+            {loading ? (
+              <div className="loading-container">
+                <div className="loading-spinner"></div>
+                <p>Loading users...</p>
+              </div>
+            ) : users.length === 0 ? (
+              <div className="empty-state">
+                <i className="fas fa-users"></i>
+                <h3>No users found</h3>
+              </div>
+            ) : (
+              <div className="admin-table-wrapper">
+                <table className="admin-table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Email</th>
+                      <th>Role</th>
+                      <th>Status</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {users.map((user) => (
+                      <tr key={user.id} className={user.disabled ? 'is-disabled' : ''}>
+                        <td>{user.name}</td>
+                        <td>
+                          {user.email}
+                          {!user.emailVerified && <span className="timestamp"> (unverified)</span>}
+                        </td>
+                        <td>
+                          <select
+                            value={user.role}
+                            onChange={(e) => handleRoleChange(user, e.target.value)}
+                            disabled={user.id === currentUser?.id}
+                          >
+                            {roles.map((role) => (
+                              <option key={role.name} value={role.name}>
+                                {role.name}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          {user.disabled
+                            ? 'Disabled'
+                            : user.passwordResetRequired
+                              ? 'Reset required'
+                              : 'Active'}
+                        </td>
+                        <td className="admin-actions">
+                          {user.id !== currentUser?.id && (
+                            <>
+                              <button
+                                onClick={() => handleToggleDisabled(user)}
+                                className="button button-ghost"
+                              >
+                                {user.disabled ? 'Enable' : 'Disable'}
+                              </button>
+                              <button
+                                onClick={() => handleForceReset(user)}
+                                className="button button-ghost"
+                              >
+                                Force reset
+                              </button>
+                              <button
+                                onClick={() => handleDelete(user)}
+                                className="delete-btn"
+                                title="Delete user"
+                              >
+                                <i className="fas fa-trash"></i>
+                              </button>
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="pagination">
+              <button
+                onClick={() => setPage((prev) => prev - 1)}
+                className="button button-ghost"
+                disabled={page <= 1 || loading}
+              >
+                Previous
+              </button>
+              <span className="timestamp">
+                Page {page} of {pages}
+              </span>
+              <button
+                onClick={() => setPage((prev) => prev + 1)}
+                className="button button-ghost"
+                disabled={page >= pages || loading}
+              >
+                Next
+              </button>
+            </div>
+          </>
+        )}
+
+        {canManageRoles && (
+          <RoleManager roles={roles} onRolesChange={setRoles} onNotify={showToast} />
+        )}
+
+        {can('audit:read') && <AuditLog onNotify={showToast} />}
+      </main>
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -1,31 +1,421 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import DataForm from '../components/DataForm';
 import DataList from '../components/DataList';
+import SecurityPanel from '../components/SecurityPanel';
+import RecentActivity from '../components/RecentActivity';
+import TaxonomyManager from '../components/TaxonomyManager';
+import TeamManager from '../components/TeamManager';
+import ShareDialog from '../components/ShareDialog';
+import ImportDialog from '../components/ImportDialog';
+import DataExport from '../components/DataExport';
+import { showToast } from '../utils/toast';
+import { subscribeToLiveUpdates } from '../utils/liveUpdates';
+import { createOfflineStore } from '../utils/offlineStore';
+import {
+  isLocalId,
+  newLocalId,
+  isNetworkError,
+  queueChange,
+  applyQueue,
+  filterCachedItems,
+  inScope,
+  replayQueue
+} from '../utils/offlineSync';
 import axios from 'axios';
 
+const PAGE_SIZE = 20;
+
+const SCOPE_TITLES = {
+  shared: 'Shared with you',
+  trash: 'Trash'
+};
+
+// Whether an item that appeared elsewhere belongs in the list as it is shown
+// now. With a search, filters or another sort order its place is unknown,
+// so it waits for the next reload.
+const belongsInList = (item, activeQuery) => {
+  if (activeQuery.q.trim() || activeQuery.tags.length > 0 || activeQuery.category) return false;
+  if (activeQuery.sort !== 'createdAt' || activeQuery.order !== 'desc') return false;
+  return activeQuery.scope === 'shared' ? item.access !== 'owner' : item.access === 'owner';
+};
+
+// A whole scope, without a search or filters
+const isFullList = (activeQuery) =>
+  !activeQuery.q.trim() && activeQuery.tags.length === 0 && !activeQuery.category;
+
+// The unfiltered list of the user's own items, where items created offline
+// are shown
+const isOwnList = (activeQuery) => !activeQuery.scope && isFullList(activeQuery);
+
+// Inserts by creation date (newest first), unless it sorts past the loaded
+// pages
+const insertByCreatedAt = (items, item, hasMore) => {
+  const index = items.findIndex((other) => other.createdAt < item.createdAt);
+  if (index === -1) return hasMore ? items : [...items, item];
+  return [...items.slice(0, index), item, ...items.slice(index)];
+};
+
 const Dashboard = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
+  const canWrite = can('data:write:own') || can('data:write:any');
+  const canManageAny = can('data:write:any');
   const [dataItems, setDataItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [query, setQuery] = useState({
+    q: '',
+    sort: 'createdAt',
+    order: 'desc',
+    tags: [],
+    category: '',
+    // '' for the user's own items, 'shared' for items shared with them
+    scope: ''
+  });
+  const [categories, setCategories] = useState([]);
+  const [fields, setFields] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
+  const [sharingItem, setSharingItem] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  const [showTaxonomy, setShowTaxonomy] = useState(false);
+  const [showTeams, setShowTeams] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // Offline changes by item ID: { state: 'pending' | 'syncing' | 'conflict' }
+  const [syncStates, setSyncStates] = useState({});
+  // Items as last seen and changes made offline, kept in IndexedDB
+  const offlineStore = useMemo(() => createOfflineStore(user.id), [user.id]);
+  const isSyncing = useRef(false);
 
-  useEffect(() => {
-    fetchDataItems();
+  // Only the newest request may update the list, so a slow response for an
+  // old search can't overwrite the current one
+  const latestRequest = useRef(0);
+  // Current values for the live update handlers, which outlive renders
+  const liveState = useRef({});
+  liveState.current = { dataItems, query, categories, hasMore: Boolean(nextCursor) };
+
+  // Drops items from the offline cache. The list is right either way, so a
+  // failure (no IndexedDB in a private window, a full quota) is only logged.
+  const uncacheItems = useCallback(
+    (ids) =>
+      Promise.all(ids.map((id) => offlineStore.removeItem(id))).catch((error) =>
+        console.error('Uncache items error:', error)
+      ),
+    [offlineStore]
+  );
+
+  const handleItemChange = useCallback((changed) => {
+    setDataItems((prev) => prev.map((item) => (item._id === changed._id ? changed : item)));
+  }, []);
+
+  // Offline: the list from the items saved on this device
+  const showCachedItems = useCallback(
+    async (activeQuery, requestId) => {
+      try {
+        const [cached, queue] = await Promise.all([
+          offlineStore.getItems(),
+          offlineStore.getQueue()
+        ]);
+        if (requestId !== latestRequest.current) return;
+        const items = applyQueue(
+          filterCachedItems(cached, activeQuery, liveState.current.categories),
+          queue,
+          isOwnList(activeQuery)
+        );
+        setDataItems(items);
+        setTotal(items.length);
+        setNextCursor(null);
+      } catch (error) {
+        console.error('Read cached items error:', error);
+        setError('Failed to load data items');
+      }
+    },
+    [offlineStore]
+  );
+
+  // Loads the first page for `activeQuery`, or appends the page at `cursor`
+  const fetchDataItems = useCallback(
+    async (activeQuery, cursor = null) => {
+      const requestId = ++latestRequest.current;
+      try {
+        if (cursor) setLoadingMore(true);
+        const response = await axios.get('/api/data', {
+          params: {
+            q: activeQuery.q.trim() || undefined,
+            tags: activeQuery.tags.join(',') || undefined,
+            category: activeQuery.category || undefined,
+            scope: activeQuery.scope || undefined,
+            sort: activeQuery.sort,
+            order: activeQuery.order,
+            limit: PAGE_SIZE,
+            cursor: cursor || undefined
+          }
+        });
+        // Anything changed offline and not sent yet still shows as changed
+        const queue = await offlineStore.getQueue();
+        if (requestId !== latestRequest.current) return;
+
+        const { items, total: count, nextCursor: next } = response.data;
+        // A fresh load of a whole scope is what the cache keeps for it;
+        // later pages are added by the effect below
+        if (!cursor && isFullList(activeQuery)) {
+          offlineStore
+            .replaceItems(items, (cached) => inScope(cached, activeQuery.scope))
+            .catch((error) => console.error('Cache items error:', error));
+        }
+        const shown = cursor ? items : applyQueue(items, queue, isOwnList(activeQuery));
+        setDataItems((prev) => (cursor ? [...prev, ...shown] : shown));
+        setTotal(count + shown.length - items.length);
+        setNextCursor(next);
+      } catch (error) {
+        // Unverified accounts get the verification banner instead of an error
+        if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') return;
+        if (isNetworkError(error) && !cursor) {
+          setIsOnline(false);
+          await showCachedItems(activeQuery, requestId);
+          return;
+        }
+        console.error('Fetch data items error:', error);
+        setError('Failed to load data items');
+      } finally {
+        if (requestId === latestRequest.current) {
+          setLoading(false);
+          setLoadingMore(false);
+        }
+      }
+    },
+    [offlineStore, showCachedItems]
+  );
+
+  const handleSyncStatus = useCallback((id, status) => {
+    const title = liveState.current.dataItems.find((item) => item._id === id)?.title;
+    if (status.state === 'synced' || status.state === 'failed') {
+      setSyncStates(({ [id]: done, ...rest }) => rest);
+    } else {
+      setSyncStates((prev) => ({ ...prev, [id]: status }));
+    }
+    if (status.state === 'synced' && status.item) {
+      // New items swap their temporary ID for the real one
+      setDataItems((prev) => prev.map((item) => (item._id === id ? status.item : item)));
+    } else if (status.state === 'failed') {
+      showToast(`${title ? `"${title}"` : 'An offline change'}: ${status.error}`, 'error');
+    } else if (status.state === 'conflict') {
+      showToast(`"${status.current.title}" was changed elsewhere while you were offline`, 'error');
+    }
   }, []);
 
-  const fetchDataItems = async () => {
+  // Sends the changes made offline, in order, then reloads the list. A
+  // change that conflicts stays on its card until the user decides; one
+  // the server refuses is reported and dropped.
+  const syncQueue = useCallback(async () => {
+    if (isSyncing.current) return;
+    isSyncing.current = true;
     try {
-      setLoading(true);
-      const response = await axios.get('/api/data');
-      setDataItems(response.data);
+      const done = await replayQueue(offlineStore, handleSyncStatus);
+      if (done) {
+        setIsOnline(true);
+        fetchDataItems(liveState.current.query);
+      } else {
+        setIsOnline(false);
+      }
     } catch (error) {
-      console.error('Fetch data items error:', error);
-      setError('Failed to load data items');
+      console.error('Sync offline changes error:', error);
     } finally {
-      setLoading(false);
+      isSyncing.current = false;
+    }
+  }, [offlineStore, handleSyncStatus, fetchDataItems]);
+
+  // Patches the list with a change pushed by the server (see
+  // GET /api/events): "created" and "updated" carry the item, "deleted" its
+  // ID and, if it went to the trash, the trashed item
+  const handleLiveEvent = useCallback(
+    (name, data) => {
+      const { dataItems: items, query: activeQuery, hasMore } = liveState.current;
+      if (name === 'reload') {
+        fetchDataItems(activeQuery);
+        return;
+      }
+
+      const { item } = data;
+      const id = item?._id || data.id;
+      const listed = items.some((other) => other._id === id);
+      // Trashed items only show in the trash, everything else only outside it
+      const shown = Boolean(item) && Boolean(item.deletedAt) === (activeQuery.scope === 'trash');
+
+      if (listed && shown) {
+        handleItemChange(item);
+      } else if (listed) {
+        setDataItems((prev) => prev.filter((other) => other._id !== id));
+        setTotal((prev) => prev - 1);
+        uncacheItems([id]);
+      } else if (shown && name !== 'updated' && belongsInList(item, activeQuery)) {
+        setDataItems((prev) => insertByCreatedAt(prev, item, hasMore));
+        setTotal((prev) => prev + 1);
+      }
+    },
+    [fetchDataItems, handleItemChange, uncacheItems]
+  );
+
+  useEffect(() => {
+    fetchDataItems(query);
+  }, [query, fetchDataItems]);
+
+  // Changes made in other tabs and on other devices
+  useEffect(
+    () =>
+      subscribeToLiveUpdates({
+        onEvent: handleLiveEvent,
+        // Back online: send what was changed in the meantime, then reload
+        onReconnect: syncQueue
+      }),
+    // The handlers read liveState and only change with the user, so one
+    // subscription serves every render
+    [handleLiveEvent, syncQueue]
+  );
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    // Changes left over from an earlier visit
+    offlineStore
+      .getQueue()
+      .then((queue) => {
+        setSyncStates(
+          Object.fromEntries(queue.map((entry) => [entry.itemId, { state: 'pending' }]))
+        );
+        if (queue.length > 0 && navigator.onLine) syncQueue();
+      })
+      .catch((error) => console.error('Read offline changes error:', error));
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      offlineStore.close();
+    };
+  }, [offlineStore, syncQueue]);
+
+  // Keep what the list shows for offline use
+  useEffect(() => {
+    offlineStore
+      .putItems(dataItems.filter((item) => !isLocalId(item._id)))
+      .catch((error) => console.error('Cache items error:', error));
+  }, [dataItems, offlineStore]);
+
+  useEffect(() => {
+    fetchTaxonomy();
+  }, []);
+
+  const fetchTaxonomy = async () => {
+    try {
+      const [categoriesResponse, fieldsResponse] = await Promise.all([
+        axios.get('/api/categories'),
+        axios.get('/api/fields')
+      ]);
+      setCategories(categoriesResponse.data.categories);
+      setFields(fieldsResponse.data.fields);
+    } catch (error) {
+      if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') return;
+      console.error('Fetch categories and fields error:', error);
+    }
+  };
+
+  // Records a change made without a connection. The list shows it right
+  // away and syncQueue sends it once the connection returns.
+  const queueOffline = async (change, message) => {
+    await queueChange(offlineStore, change);
+    setSyncStates((prev) => ({ ...prev, [change.itemId]: { state: 'pending' } }));
+    setIsOnline(false);
+    showToast(message, 'success');
+  };
+
+  const createOffline = async (itemData) => {
+    const now = new Date().toISOString();
+    const item = {
+      ...itemData,
+      _id: newLocalId(),
+      access: 'owner',
+      version: 1,
+      shareCount: 0,
+      attachments: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    await queueOffline(
+      { op: 'create', itemId: item._id, data: itemData, item },
+      "You're offline. The item will be created once you're back online."
+    );
+    setDataItems((prev) => [item, ...prev]);
+    setTotal((prev) => prev + 1);
+    setShowForm(false);
+    return item;
+  };
+
+  const updateOffline = async (id, { version, ...data }) => {
+    const current = dataItems.find((item) => item._id === id);
+    const item = { ...current, ...data, updatedAt: new Date().toISOString() };
+    await queueOffline(
+      { op: 'update', itemId: id, version, data, item },
+      "You're offline. Your changes will be saved once you're back online."
+    );
+    handleItemChange(item);
+    setEditingItem(null);
+  };
+
+  const deleteOffline = async (id) => {
+    await queueChange(offlineStore, { op: 'delete', itemId: id });
+    setDataItems((prev) => prev.filter((item) => item._id !== id));
+    setTotal((prev) => prev - 1);
+    // A new item that never reached the server is simply gone
+    setSyncStates(({ [id]: dropped, ...rest }) =>
+      isLocalId(id) ? rest : { ...rest, [id]: { state: 'pending' } }
+    );
+    if (!isLocalId(id)) {
+      setIsOnline(false);
+      showToast(
+        "You're offline. The item will be moved to the trash once you're back online.",
+        'success'
+      );
+    }
+  };
+
+  // Settles a conflicting offline edit: save the user's values on top of
+  // the newer version, or keep the version that was saved
+  const handleResolveConflict = async (id, keepMine) => {
+    const { mine, current } = syncStates[id];
+    setSyncStates(({ [id]: resolved, ...rest }) => rest);
+    if (!keepMine) {
+      handleItemChange(current);
+      return;
+    }
+    try {
+      await handleUpdateItem(id, { ...mine, version: current.version });
+    } catch (error) {
+      // Changed yet again: ask again
+      if (error.response?.status === 409) {
+        setSyncStates((prev) => ({
+          ...prev,
+          [id]: { state: 'conflict', mine, current: error.response.data.current }
+        }));
+      }
+    }
+  };
+
+  const handleLoadMore = () => {
+    if (nextCursor && !loadingMore) {
+      fetchDataItems(query, nextCursor);
     }
   };
 
@@ -33,15 +423,22 @@ const Dashboard = () => {
     try {
       const response = await axios.post('/api/data', itemData);
       setDataItems((prev) => [response.data, ...prev]);
+      setTotal((prev) => prev + 1);
       setShowForm(false);
       showToast('Item created successfully', 'success');
+      // The form attaches any files it was given to the new item
+      return response.data;
     } catch (error) {
+      if (isNetworkError(error)) return createOffline(itemData);
       console.error('Create item error:', error);
-      showToast('Failed to create item', 'error');
+      showToast(error.response?.data?.error || 'Failed to create item', 'error');
+      // Let the form show per-field errors
+      throw error;
     }
   };
 
   const handleUpdateItem = async (id, itemData) => {
+    if (isLocalId(id)) return updateOffline(id, itemData);
     try {
       const response = await axios.put(`/api/data/${id}`, itemData);
       setDataItems((prev) =>
@@ -50,38 +447,129 @@ const Dashboard = () => {
       setEditingItem(null);
       showToast('Item updated successfully', 'success');
     } catch (error) {
+      if (isNetworkError(error)) return updateOffline(id, itemData);
       console.error('Update item error:', error);
-      showToast('Failed to update item', 'error');
+      if (error.response?.status === 409) {
+        // The form offers to merge; meanwhile show the saved copy in the list
+        handleItemChange(error.response.data.current);
+      } else {
+        showToast(error.response?.data?.error || 'Failed to update item', 'error');
+      }
+      throw error;
     }
   };
 
-  const handleDeleteItem = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this item?')) {
-      return;
-    }
+  const handleAttachmentsChange = (id, attachments) => {
+    setDataItems((prev) => prev.map((item) => (item._id === id ? { ...item, attachments } : item)));
+  };
+
+  const handleSharesChange = (id, shareCount) => {
+    setDataItems((prev) => prev.map((item) => (item._id === id ? { ...item, shareCount } : item)));
+  };
 
+  // Deleting only moves the item to the trash, so there's nothing to confirm
+  const handleDeleteItem = async (id) => {
+    if (isLocalId(id)) return deleteOffline(id);
     try {
       await axios.delete(`/api/data/${id}`);
       setDataItems((prev) => prev.filter((item) => item._id !== id));
-      showToast('Item deleted successfully', 'success');
+      setTotal((prev) => prev - 1);
+      uncacheItems([id]);
+      showToast('Item moved to the trash', 'success');
     } catch (error) {
+      if (isNetworkError(error)) return deleteOffline(id);
       console.error('Delete item error:', error);
-      showToast('Failed to delete item', 'error');
+      showToast(error.response?.data?.error || 'Failed to delete item', 'error');
     }
   };
 
-  const showToast = (message, type) => {
-    // Simple toast implementation
-    const toast = document.createElement('div');
-    toast.className = `toast toast-${type}`;
-    toast.textContent = message;
-    document.body.appendChild(toast);
+  const handleRestoreItem = async (id) => {
+    try {
+      await axios.post(`/api/data/${id}/restore`);
+      setDataItems((prev) => prev.filter((item) => item._id !== id));
+      setTotal((prev) => prev - 1);
+      uncacheItems([id]);
+      showToast('Item restored', 'success');
+    } catch (error) {
+      console.error('Restore item error:', error);
+      showToast(error.response?.data?.error || 'Failed to restore item', 'error');
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await axios.delete('/api/data/trash');
+      uncacheItems(dataItems.map((item) => item._id));
+      setDataItems([]);
+      setTotal(0);
+      setNextCursor(null);
+      showToast('Trash emptied', 'success');
+    } catch (error) {
+      console.error('Empty trash error:', error);
+      showToast(error.response?.data?.error || 'Failed to empty the trash', 'error');
+    }
+  };
+
+  // Runs a batch from the list's bulk toolbar. Best effort: whatever
+  // succeeded is applied even if some operations failed. Resolves with the
+  // per-operation results.
+  const handleBulk = async (operations, successMessage) => {
+    try {
+      const response = await axios.post('/api/data/bulk', { mode: 'best-effort', operations });
+      const { results, failed } = response.data;
+      const updated = new Map(
+        results.filter((result) => result.item).map((result) => [result.item._id, result.item])
+      );
+      const deleted = results
+        .filter((result) => result.op === 'delete' && !result.error)
+        .map((result) => result.id);
+      setDataItems((prev) =>
+        prev
+          .filter((item) => !deleted.includes(item._id))
+          .map((item) => updated.get(item._id) || item)
+      );
+      setTotal((prev) => prev - deleted.length);
+      uncacheItems(deleted);
+      if (failed) {
+        showToast(`${failed} of ${results.length} items could not be changed`, 'error');
+      } else {
+        showToast(successMessage, 'success');
+      }
+      return results;
+    } catch (error) {
+      console.error('Bulk update error:', error);
+      showToast(error.response?.data?.error || 'Failed to update the selected items', 'error');
+      return operations.map((operation, index) => ({ index, error: 'Not applied' }));
+    }
+  };
+
+  const handleImported = (result) => {
+    setShowImport(false);
+    // Reload from the first page so the new items show up in sort order
+    setQuery((prev) => ({ ...prev }));
+    showToast(
+      `Imported ${result.imported} items${
+        result.errors.length ? `, skipped ${result.errors.length}` : ''
+      }`,
+      'success'
+    );
+  };
 
-    setTimeout(() => toast.classList.add('show'), 100);
-    setTimeout(() => {
-      toast.classList.remove('show');
-      setTimeout(() => document.body.removeChild(toast), 300);
-    }, 3000);
+  const handleResendVerification = async () => {
+    try {
+      setIsResending(true);
+      const response = await axios.post('/api/auth/resend-verification');
+      showToast(response.data.message, 'success');
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      showToast(error.response?.data?.error || 'Failed to resend verification email', 'error');
+    } finally {
+      setIsResending(false);
+    }
   };
 
   const handleLogout = () => {
@@ -90,6 +578,10 @@ const Dashboard = () => {
     }
   };
 
+  const pendingCount = Object.values(syncStates).filter(
+    (status) => status.state === 'pending' || status.state === 'syncing'
+  ).length;
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -108,27 +600,166 @@ const Dashboard = () => {
             <h1>Welcome back, {user?.name}!</h1>
             <p className="user-email">{user?.email}</p>
           </div>
-          <button onClick={handleLogout} className="logout-btn">
-            <i className="fas fa-sign-out-alt"></i> Logout
-          </button>
+          <div className="header-actions">
+            {(can('users:manage') || can('roles:manage') || can('audit:read')) && (
+              <Link to="/admin" className="button button-ghost">
+                <i className="fas fa-users-cog"></i> Admin
+              </Link>
+            )}
+            <button
+              onClick={() => setShowSecurity((prev) => !prev)}
+              className="button button-ghost"
+            >
+              <i className="fas fa-shield-alt"></i> Security
+            </button>
+            <button
+              onClick={() => setShowTaxonomy((prev) => !prev)}
+              className="button button-ghost"
+            >
+              <i className="fas fa-tags"></i> Organize
+            </button>
+            <button onClick={() => setShowTeams((prev) => !prev)} className="button button-ghost">
+              <i className="fas fa-users"></i> Teams
+            </button>
+            <button
+              onClick={() => setShowActivity((prev) => !prev)}
+              className="button button-ghost"
+            >
+              <i className="fas fa-history"></i> Activity
+            </button>
+            <button onClick={handleLogout} className="logout-btn">
+              <i className="fas fa-sign-out-alt"></i> Logout
+            </button>
+          </div>
         </div>
       </header>
 
       {/* Main Content */}
       <main className="dashboard-main">
         <div className="dashboard-content">
+          {/* Email verification reminder */}
+          {user && !user.emailVerified && (
+            <div className="warning-banner">
+              <i className="fas fa-envelope"></i>
+              <span>
+                Please verify your email address. We sent a link to <strong>{user.email}</strong>.
+              </span>
+              <button
+                onClick={handleResendVerification}
+                className="button button-ghost"
+                disabled={isResending}
+              >
+                {isResending ? 'Sending...' : 'Resend email'}
+              </button>
+            </div>
+          )}
+
+          {/* Offline mode and changes waiting to be sent */}
+          {(!isOnline || pendingCount > 0) && (
+            <div className="offline-banner" role="status">
+              <i className={`fas ${isOnline ? 'fa-sync-alt' : 'fa-plug'}`}></i>
+              <span>
+                {isOnline
+                  ? `Syncing ${pendingCount} offline change${pendingCount === 1 ? '' : 's'}...`
+                  : `You're offline and seeing the items saved on this device.${
+                      pendingCount > 0
+                        ? ` ${pendingCount} change${
+                            pendingCount === 1 ? '' : 's'
+                          } will be sent once you're back online.`
+                        : ''
+                    }`}
+              </span>
+              {!isOnline && pendingCount > 0 && (
+                <button onClick={syncQueue} className="button button-ghost">
+                  Retry now
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Security: active sessions */}
+          {showSecurity && <SecurityPanel onNotify={showToast} />}
+
+          {/* Recent account activity from the audit log */}
+          {showActivity && <RecentActivity />}
+
+          {/* Teams the user belongs to */}
+          {showTeams && <TeamManager onNotify={showToast} />}
+
+          {/* Categories and custom field definitions */}
+          {showTaxonomy && (
+            <TaxonomyManager
+              categories={categories}
+              onCategoriesChange={setCategories}
+              fields={fields}
+              onFieldsChange={setFields}
+              onItemsChange={() => setQuery((prev) => ({ ...prev }))}
+              onNotify={showToast}
+            />
+          )}
+
           {/* Action Bar */}
-          <div className="action-bar">
-            <h2>Your Data Items ({dataItems.length})</h2>
+          <div className="view-tabs" role="tablist">
             <button
-              onClick={() => setShowForm(true)}
-              className="add-btn"
-              disabled={showForm || editingItem}
+              role="tab"
+              aria-selected={!query.scope}
+              className={!query.scope ? 'is-active' : ''}
+              onClick={() => setQuery((prev) => ({ ...prev, scope: '' }))}
             >
-              <i className="fas fa-plus"></i> Add New Item
+              My items
+            </button>
+            <button
+              role="tab"
+              aria-selected={query.scope === 'shared'}
+              className={query.scope === 'shared' ? 'is-active' : ''}
+              onClick={() => setQuery((prev) => ({ ...prev, scope: 'shared' }))}
+            >
+              Shared with me
+            </button>
+            <button
+              role="tab"
+              aria-selected={query.scope === 'trash'}
+              className={query.scope === 'trash' ? 'is-active' : ''}
+              onClick={() => setQuery((prev) => ({ ...prev, scope: 'trash' }))}
+            >
+              <i className="fas fa-trash"></i> Trash
             </button>
           </div>
 
+          <div className="action-bar">
+            <h2>
+              {SCOPE_TITLES[query.scope] || 'Your Data Items'} ({total})
+            </h2>
+            {!query.scope && (
+              <div className="data-actions">
+                <DataExport onNotify={showToast} />
+                {canWrite && (
+                  <>
+                    <button
+                      onClick={() => setShowImport(true)}
+                      className="button button-ghost"
+                      disabled={showImport}
+                    >
+                      <i className="fas fa-upload"></i> Import
+                    </button>
+                    <button
+                      onClick={() => setShowForm(true)}
+                      className="add-btn"
+                      disabled={showForm || editingItem}
+                    >
+                      <i className="fas fa-plus"></i> Add New Item
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+            {canWrite && query.scope === 'trash' && total > 0 && (
+              <button onClick={handleEmptyTrash} className="button button-danger">
+                <i className="fas fa-trash"></i> Empty trash
+              </button>
+            )}
+          </div>
+
           {/* Error Display */}
           {error && (
             <div className="error-banner">
@@ -145,6 +776,8 @@ const Dashboard = () => {
             <div className="form-container">
               <DataForm
                 item={editingItem}
+                categories={categories}
+                fields={fields}
                 onSubmit={
                   editingItem
                     ? (data) => handleUpdateItem(editingItem._id, data)
@@ -154,23 +787,75 @@ const Dashboard = () => {
                   setShowForm(false);
                   setEditingItem(null);
                 }}
+                onAttachmentsChange={handleAttachmentsChange}
+                onNotify={showToast}
+              />
+            </div>
+          )}
+
+          {/* File import with a preview */}
+          {showImport && (
+            <div className="form-container">
+              <ImportDialog onImported={handleImported} onClose={() => setShowImport(false)} />
+            </div>
+          )}
+
+          {/* Sharing settings for one item */}
+          {sharingItem && (
+            <div className="form-container">
+              <ShareDialog
+                key={sharingItem._id}
+                item={sharingItem}
+                onSharesChange={(count) => handleSharesChange(sharingItem._id, count)}
+                onClose={() => setSharingItem(null)}
+                onNotify={showToast}
               />
             </div>
           )}
 
           {/* Data List */}
           <div className="data-section">
-            {dataItems.length === 0 ? (
-              <div className="empty-state">
-                <i className="fas fa-database"></i>
-                <h3>No data items yet</h3>
-                <p>Create your first data item to get started</p>
-              </div>
+            {total === 0 && !query.q.trim() && !query.tags.length && !query.category ? (
+              query.scope === 'shared' ? (
+                <div className="empty-state">
+                  <i className="fas fa-share-alt"></i>
+                  <h3>Nothing shared with you yet</h3>
+                  <p>Items other people share with you or your teams appear here</p>
+                </div>
+              ) : query.scope === 'trash' ? (
+                <div className="empty-state">
+                  <i className="fas fa-trash"></i>
+                  <h3>The trash is empty</h3>
+                  <p>Deleted items stay here for a while before they're removed for good</p>
+                </div>
+              ) : (
+                <div className="empty-state">
+                  <i className="fas fa-database"></i>
+                  <h3>No data items yet</h3>
+                  <p>Create your first data item to get started</p>
+                </div>
+              )
             ) : (
               <DataList
                 items={dataItems}
                 onEdit={setEditingItem}
                 onDelete={handleDeleteItem}
+                canEdit={canWrite}
+                canManageAny={canManageAny}
+                onShare={setSharingItem}
+                onRestore={handleRestoreItem}
+                onBulk={handleBulk}
+                onItemChange={handleItemChange}
+                onNotify={showToast}
+                syncStates={syncStates}
+                onResolveConflict={handleResolveConflict}
+                categories={categories}
+                fields={fields}
+                query={query}
+                onQueryChange={setQuery}
+                hasMore={Boolean(nextCursor)}
+                loadingMore={loadingMore}
+                onLoadMore={handleLoadMore}
               />
             )}
           </div>
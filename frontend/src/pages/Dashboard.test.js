@@ -0,0 +1,216 @@
+import React from 'react';
+import { screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Dashboard from './Dashboard';
+import ProtectedRoute from '../components/ProtectedRoute';
+import { showToast } from '../utils/toast';
+import { mockApi, renderWithAuth, signIn } from '../testUtils';
+
+// jsdom has neither IndexedDB nor streaming fetch, so the offline cache and
+// the live updates are left out. The toasts are checked by their calls.
+jest.mock('../utils/offlineStore', () => ({
+  createOfflineStore: () => ({
+    getItems: async () => [],
+    putItems: async () => {},
+    replaceItems: async () => {},
+    removeItem: async () => {},
+    getQueue: async () => [],
+    addEntry: async () => 1,
+    putEntry: async () => {},
+    removeEntry: async () => {},
+    close: async () => {}
+  }),
+  deleteOfflineData: async () => {}
+}));
+jest.mock('../utils/liveUpdates', () => ({
+  subscribeToLiveUpdates: () => () => {}
+}));
+jest.mock('../utils/toast', () => ({ showToast: jest.fn() }));
+
+const ITEM = {
+  _id: '64b7f0c2a1e4c3b2a1d0e9f8',
+  title: 'Lab notes',
+  description: 'Notes on the analytical engine',
+  tags: [],
+  categoryId: null,
+  customFields: {},
+  attachments: [],
+  access: 'owner',
+  shareCount: 0,
+  version: 3,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z'
+};
+
+const renderDashboard = async (items = [ITEM]) => {
+  signIn();
+  mockApi.on('GET', '/api/data', { data: { items, total: items.length, nextCursor: null } });
+  mockApi.on('GET', '/api/categories', { data: { categories: [] } });
+  mockApi.on('GET', '/api/fields', { data: { fields: [] } });
+  // Like the app, only show the page once the session has been restored
+  renderWithAuth(
+    <ProtectedRoute>
+      <Dashboard />
+    </ProtectedRoute>
+  );
+  await screen.findByRole('heading', { name: /Your Data Items/ });
+  return userEvent.setup();
+};
+
+const fillIn = async (user, { title, description }) => {
+  await user.clear(screen.getByLabelText('Title *'));
+  await user.type(screen.getByLabelText('Title *'), title);
+  await user.clear(screen.getByLabelText('Description *'));
+  await user.type(screen.getByLabelText('Description *'), description);
+};
+
+describe('Dashboard', () => {
+  beforeEach(() => {
+    showToast.mockClear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it("lists the signed-in user's items", async () => {
+    await renderDashboard();
+
+    expect(screen.getByText('Welcome back, Ada Lovelace!')).toBeInTheDocument();
+    expect(screen.getByText('Lab notes')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Your Data Items (1)' })).toBeInTheDocument();
+  });
+
+  describe('creating an item', () => {
+    it('adds the new item to the list', async () => {
+      mockApi.on('POST', '/api/data', ({ body }) => ({
+        status: 201,
+        data: { ...ITEM, ...body, _id: '64b7f0c2a1e4c3b2a1d0e9f9', version: 1 }
+      }));
+      const user = await renderDashboard([]);
+
+      await user.click(screen.getByRole('button', { name: /Add New Item/ }));
+      await fillIn(user, { title: 'Difference engine', description: 'Tables of polynomials' });
+      await user.click(screen.getByRole('button', { name: 'Create Item' }));
+
+      expect(await screen.findByText('Difference engine')).toBeInTheDocument();
+      expect(mockApi.requests('POST', '/api/data')[0].body).toMatchObject({
+        title: 'Difference engine',
+        description: 'Tables of polynomials',
+        tags: []
+      });
+      expect(showToast).toHaveBeenCalledWith('Item created successfully', 'success');
+      expect(screen.queryByRole('button', { name: 'Create Item' })).not.toBeInTheDocument();
+    });
+
+    it('checks the title and description before calling the server', async () => {
+      const user = await renderDashboard([]);
+
+      await user.click(screen.getByRole('button', { name: /Add New Item/ }));
+      await fillIn(user, { title: 'Ab', description: 'Too short' });
+      await user.click(screen.getByRole('button', { name: 'Create Item' }));
+
+      expect(screen.getByText('Title must be at least 3 characters')).toBeInTheDocument();
+      expect(screen.getByText('Description must be at least 10 characters')).toBeInTheDocument();
+      expect(mockApi.requests('POST', '/api/data')).toHaveLength(0);
+    });
+
+    it("shows the server's message when the item is rejected", async () => {
+      mockApi.on('POST', '/api/data', {
+        status: 400,
+        data: { error: 'Title is too long' }
+      });
+      const user = await renderDashboard([]);
+
+      await user.click(screen.getByRole('button', { name: /Add New Item/ }));
+      await fillIn(user, { title: 'Difference engine', description: 'Tables of polynomials' });
+      await user.click(screen.getByRole('button', { name: 'Create Item' }));
+
+      await waitFor(() => expect(showToast).toHaveBeenCalledWith('Title is too long', 'error'));
+      expect(screen.getByRole('button', { name: 'Create Item' })).toBeInTheDocument();
+    });
+
+    it("shows the server's field messages next to the inputs", async () => {
+      mockApi.on('POST', '/api/data', {
+        status: 400,
+        data: {
+          error: 'Description must be at most 5000 characters',
+          code: 'VALIDATION_FAILED',
+          fields: { description: 'Description must be at most 5000 characters' }
+        }
+      });
+      const user = await renderDashboard([]);
+
+      await user.click(screen.getByRole('button', { name: /Add New Item/ }));
+      await fillIn(user, { title: 'Difference engine', description: 'Tables of polynomials' });
+      await user.click(screen.getByRole('button', { name: 'Create Item' }));
+
+      expect(
+        await screen.findByText('Description must be at most 5000 characters', {
+          selector: '.field-error'
+        })
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('updating an item', () => {
+    it('saves the changes with the version they were made against', async () => {
+      mockApi.on('PUT', `/api/data/${ITEM._id}`, ({ body }) => ({
+        data: { ...ITEM, ...body, version: 4 }
+      }));
+      const user = await renderDashboard();
+
+      await user.click(screen.getByRole('button', { name: 'Edit item' }));
+      await fillIn(user, { title: 'Lab notes, revised', description: ITEM.description });
+      await user.click(screen.getByRole('button', { name: 'Update Item' }));
+
+      expect(await screen.findByText('Lab notes, revised')).toBeInTheDocument();
+      expect(mockApi.requests('PUT', `/api/data/${ITEM._id}`)[0].body).toMatchObject({
+        title: 'Lab notes, revised',
+        version: 3
+      });
+      expect(showToast).toHaveBeenCalledWith('Item updated successfully', 'success');
+    });
+
+    it('keeps the form open when the update fails', async () => {
+      mockApi.on('PUT', `/api/data/${ITEM._id}`, { status: 500, data: {} });
+      const user = await renderDashboard();
+
+      await user.click(screen.getByRole('button', { name: 'Edit item' }));
+      await fillIn(user, { title: 'Lab notes, revised', description: ITEM.description });
+      await user.click(screen.getByRole('button', { name: 'Update Item' }));
+
+      await waitFor(() => expect(showToast).toHaveBeenCalledWith('Failed to update item', 'error'));
+      expect(screen.getByRole('button', { name: 'Update Item' })).toBeInTheDocument();
+    });
+  });
+
+  describe('deleting an item', () => {
+    it('moves the item to the trash', async () => {
+      mockApi.on('DELETE', `/api/data/${ITEM._id}`, { data: { message: 'Item moved to trash' } });
+      const user = await renderDashboard();
+
+      await user.click(screen.getByRole('button', { name: 'Delete item' }));
+
+      await waitFor(() => expect(screen.queryByText('Lab notes')).not.toBeInTheDocument());
+      expect(screen.getByRole('heading', { name: 'Your Data Items (0)' })).toBeInTheDocument();
+      expect(showToast).toHaveBeenCalledWith('Item moved to the trash', 'success');
+    });
+
+    it('keeps the item when the server refuses', async () => {
+      mockApi.on('DELETE', `/api/data/${ITEM._id}`, {
+        status: 403,
+        data: { error: 'Insufficient permissions' }
+      });
+      const user = await renderDashboard();
+
+      await user.click(screen.getByRole('button', { name: 'Delete item' }));
+
+      await waitFor(() =>
+        expect(showToast).toHaveBeenCalledWith('Insufficient permissions', 'error')
+      );
+      expect(screen.getByText('Lab notes')).toBeInTheDocument();
+    });
+  });
+});
@@ -1,17 +1,28 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import SocialLoginButtons from '../components/SocialLoginButtons';
 
 const LoginPage = () => {
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
-  const [error, setError] = useState('');
+  const location = useLocation();
+  // Social sign-in comes back here with an error or a 2FA challenge
+  const [error, setError] = useState(location.state?.error || '');
   const [isLoading, setIsLoading] = useState(false);
+  // Second step state, set once the password has been accepted
+  const [mfaToken, setMfaToken] = useState(location.state?.mfaToken || null);
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Set when the server answers 429; the form stays disabled until then
+  const [retryAt, setRetryAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
 
-  const { login, isAuthenticated } = useAuth();
+  const { login, verifyTwoFactor, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  const notice = location.state?.message;
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -20,6 +31,31 @@ const LoginPage = () => {
     }
   }, [isAuthenticated, navigate]);
 
+  // Tick once a second while a lockout countdown is showing
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= retryAt) {
+        setRetryAt(null);
+        setError('');
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  const secondsRemaining = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+  const isLockedOut = secondsRemaining > 0;
+
+  const handleFailure = (result) => {
+    setError(result.error);
+    if (result.retryAfter) {
+      setNow(Date.now());
+      setRetryAt(Date.now() + result.retryAfter * 1000);
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({
@@ -27,7 +63,7 @@ const LoginPage = () => {
       [name]: value
     }));
     // Clear error when user starts typing
-    if (error) setError('');
+    if (error && !isLockedOut) setError('');
   };
 
   const handleSubmit = async (e) => {
@@ -47,13 +83,125 @@ const LoginPage = () => {
 
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.mfaRequired) {
+      setMfaToken(result.mfaToken);
     } else {
-      setError(result.error);
+      handleFailure(result);
+    }
+
+    setIsLoading(false);
+  };
+
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!mfaCode.trim()) {
+      setError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter your code');
+      return;
+    }
+
+    setIsLoading(true);
+    const result = await verifyTwoFactor(
+      mfaToken,
+      useRecoveryCode ? { recoveryCode: mfaCode.trim() } : { code: mfaCode.trim() }
+    );
+
+    if (result.success) {
+      navigate('/dashboard');
+      return;
     }
 
+    handleFailure(result);
     setIsLoading(false);
   };
 
+  const handleMfaCancel = () => {
+    setMfaToken(null);
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
+  if (mfaToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <div className="auth-header">
+            <h1>Two-Factor Authentication</h1>
+            <p>
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form onSubmit={handleMfaSubmit} className="auth-form">
+            {error && (
+              <div className="error-message">
+                <i className="fas fa-exclamation-circle"></i>
+                {isLockedOut ? `${error} Try again in ${secondsRemaining}s.` : error}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="mfaCode">
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                id="mfaCode"
+                name="mfaCode"
+                value={mfaCode}
+                onChange={(e) => {
+                  setMfaCode(e.target.value);
+                  if (error) setError('');
+                }}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+              />
+            </div>
+
+            <button type="submit" className="auth-button" disabled={isLoading || isLockedOut}>
+              {isLoading ? (
+                <>
+                  <div className="button-spinner"></div>
+                  Verifying...
+                </>
+              ) : (
+                'Verify'
+              )}
+            </button>
+          </form>
+
+          <div className="auth-footer">
+            <p>
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => {
+                  setUseRecoveryCode((prev) => !prev);
+                  setMfaCode('');
+                  setError('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code instead'}
+              </button>
+            </p>
+            <p>
+              <button type="button" className="link-button" onClick={handleMfaCancel}>
+                Back to sign in
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -63,10 +211,17 @@ const LoginPage = () => {
         </div>
 
         <form onSubmit={handleSubmit} className="auth-form">
+          {notice && !error && (
+            <div className="success-message">
+              <i className="fas fa-check-circle"></i>
+              {notice}
+            </div>
+          )}
+
           {error && (
             <div className="error-message">
               <i className="fas fa-exclamation-circle"></i>
-              {error}
+              {isLockedOut ? `${error} Try again in ${secondsRemaining}s.` : error}
             </div>
           )}
 
@@ -96,7 +251,7 @@ const LoginPage = () => {
             />
           </div>
 
-          <button type="submit" className="auth-button" disabled={isLoading}>
+          <button type="submit" className="auth-button" disabled={isLoading || isLockedOut}>
             {isLoading ? (
               <>
                 <div className="button-spinner"></div>
@@ -108,7 +263,14 @@ const LoginPage = () => {
           </button>
         </form>
 
+        <SocialLoginButtons onError={setError} disabled={isLoading || isLockedOut} />
+
         <div className="auth-footer">
+          <p>
+            <Link to="/forgot-password" className="auth-link">
+              Forgot your password?
+            </Link>
+          </p>
           <p>
             Don't have an account?{' '}
             <Link to="/register" className="auth-link">
@@ -0,0 +1,94 @@
+import React from 'react';
+import { fireEvent, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Routes, Route } from 'react-router-dom';
+import LoginPage from './LoginPage';
+import { mockApi, renderWithAuth, TEST_USER } from '../testUtils';
+
+const renderLogin = async () => {
+  // The social sign-in buttons ask which providers are configured
+  mockApi.on('GET', '/api/auth/oauth/providers', { data: { providers: [] } });
+  renderWithAuth(
+    <Routes>
+      <Route path="/login" element={<LoginPage />} />
+      <Route path="/dashboard" element={<p>Dashboard page</p>} />
+    </Routes>,
+    { route: '/login' }
+  );
+  return screen.findByRole('button', { name: 'Sign In' });
+};
+
+const fillIn = async (email, password) => {
+  const user = userEvent.setup();
+  await user.type(screen.getByLabelText('Email Address'), email);
+  await user.type(screen.getByLabelText('Password'), password);
+  return user;
+};
+
+describe('LoginPage', () => {
+  it('asks for both fields before calling the server', async () => {
+    const submit = await renderLogin();
+
+    // A click would stop at the browser's check of the required inputs;
+    // submitting from the button skips it to reach the page's own check
+    fireEvent.submit(submit);
+
+    expect(await screen.findByText('Please fill in all fields')).toBeInTheDocument();
+    expect(mockApi.requests('POST', '/api/auth/login')).toHaveLength(0);
+  });
+
+  it("shows the server's message for wrong credentials", async () => {
+    mockApi.on('POST', '/api/auth/login', { status: 400, data: { error: 'Invalid credentials' } });
+    const submit = await renderLogin();
+    const user = await fillIn('ada@example.com', 'wrong-password');
+
+    await user.click(submit);
+
+    expect(await screen.findByText('Invalid credentials')).toBeInTheDocument();
+    expect(screen.queryByText('Dashboard page')).not.toBeInTheDocument();
+  });
+
+  it('clears the message once the user edits the form', async () => {
+    mockApi.on('POST', '/api/auth/login', { status: 400, data: { error: 'Invalid credentials' } });
+    const submit = await renderLogin();
+    const user = await fillIn('ada@example.com', 'wrong-password');
+    await user.click(submit);
+    await screen.findByText('Invalid credentials');
+
+    await user.type(screen.getByLabelText('Password'), 'x');
+
+    expect(screen.queryByText('Invalid credentials')).not.toBeInTheDocument();
+  });
+
+  it('counts down before another attempt when the account is locked', async () => {
+    mockApi.on('POST', '/api/auth/login', {
+      status: 429,
+      data: { error: 'Too many failed attempts.', retryAfter: 30 }
+    });
+    const submit = await renderLogin();
+    const user = await fillIn('ada@example.com', 'wrong-password');
+
+    await user.click(submit);
+
+    expect(
+      await screen.findByText(/Too many failed attempts\. Try again in \d+s\./)
+    ).toBeInTheDocument();
+    expect(submit).toBeDisabled();
+  });
+
+  it('signs in and moves on to the dashboard', async () => {
+    mockApi.on('POST', '/api/auth/login', { data: { token: 'test-token', user: TEST_USER } });
+    mockApi.on('GET', '/api/auth/me', { data: { user: TEST_USER } });
+    const submit = await renderLogin();
+    const user = await fillIn('ada@example.com', 'correct-horse');
+
+    await user.click(submit);
+
+    expect(await screen.findByText('Dashboard page')).toBeInTheDocument();
+    expect(mockApi.requests('POST', '/api/auth/login')[0].body).toEqual({
+      email: 'ada@example.com',
+      password: 'correct-horse'
+    });
+    expect(localStorage.getItem('token')).toBe('test-token');
+  });
+});
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { showToast } from '../utils/toast';
+
+// Landing page for the backend's social sign-in callback. The outcome is in
+// the URL fragment: an error, a 2FA challenge, a newly linked provider, or
+// success (the refresh cookie has been set and just needs exchanging).
+const OAuthCallbackPage = () => {
+  const { completeOAuthLogin, refreshUser } = useAuth();
+  const navigate = useNavigate();
+  // The refresh token rotates on use, so StrictMode must not run this twice
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const error = params.get('error');
+
+    const finish = async () => {
+      if (params.get('mode') === 'link') {
+        if (error) {
+          showToast(error, 'error');
+        } else {
+          await refreshUser();
+          showToast('Account connected', 'success');
+        }
+        navigate('/dashboard', { replace: true });
+        return;
+      }
+
+      if (error) {
+        navigate('/login', { replace: true, state: { error } });
+        return;
+      }
+
+      if (params.get('mfaToken')) {
+        navigate('/login', { replace: true, state: { mfaToken: params.get('mfaToken') } });
+        return;
+      }
+
+      const result = await completeOAuthLogin();
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        navigate('/login', { replace: true, state: { error: result.error } });
+      }
+    };
+    finish();
+  }, [completeOAuthLogin, refreshUser, navigate]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="loading-container">
+          <div className="loading-spinner"></div>
+          <p>Signing you in...</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallbackPage;
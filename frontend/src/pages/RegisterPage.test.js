@@ -0,0 +1,95 @@
+import React from 'react';
+import { fireEvent, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Routes, Route } from 'react-router-dom';
+import RegisterPage from './RegisterPage';
+import { mockApi, renderWithAuth, TEST_USER } from '../testUtils';
+
+const renderRegister = () =>
+  renderWithAuth(
+    <Routes>
+      <Route path="/register" element={<RegisterPage />} />
+      <Route path="/dashboard" element={<p>Dashboard page</p>} />
+    </Routes>,
+    { route: '/register' }
+  );
+
+const fillIn = async ({ name, email, password, confirmPassword }) => {
+  const user = userEvent.setup();
+  await user.type(screen.getByLabelText('Full Name'), name);
+  await user.type(screen.getByLabelText('Email Address'), email);
+  await user.type(screen.getByLabelText('Password'), password);
+  await user.type(screen.getByLabelText('Confirm Password'), confirmPassword);
+  await user.click(screen.getByRole('button', { name: 'Create Account' }));
+};
+
+const VALID_FORM = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  password: 'analytical',
+  confirmPassword: 'analytical'
+};
+
+describe('RegisterPage', () => {
+  it('asks for every field before calling the server', async () => {
+    renderRegister();
+    const submit = await screen.findByRole('button', { name: 'Create Account' });
+
+    // A click would stop at the browser's check of the required inputs;
+    // submitting from the button skips it to reach the page's own check
+    fireEvent.submit(submit);
+
+    expect(await screen.findByText('Please fill in all fields')).toBeInTheDocument();
+    expect(mockApi.requests('POST', '/api/auth/register')).toHaveLength(0);
+  });
+
+  it('requires the passwords to match', async () => {
+    renderRegister();
+
+    await fillIn({ ...VALID_FORM, confirmPassword: 'analytica1' });
+
+    expect(await screen.findByText('Passwords do not match')).toBeInTheDocument();
+    expect(mockApi.requests('POST', '/api/auth/register')).toHaveLength(0);
+  });
+
+  it('requires a password of at least 6 characters', async () => {
+    renderRegister();
+
+    await fillIn({ ...VALID_FORM, password: '12345', confirmPassword: '12345' });
+
+    expect(
+      await screen.findByText('Password must be at least 6 characters long')
+    ).toBeInTheDocument();
+    expect(mockApi.requests('POST', '/api/auth/register')).toHaveLength(0);
+  });
+
+  it("shows the server's message when registration fails", async () => {
+    mockApi.on('POST', '/api/auth/register', {
+      status: 400,
+      data: { error: 'User already exists' }
+    });
+    renderRegister();
+
+    await fillIn(VALID_FORM);
+
+    expect(await screen.findByText('User already exists')).toBeInTheDocument();
+  });
+
+  it('creates the account and moves on to the dashboard', async () => {
+    mockApi.on('POST', '/api/auth/register', {
+      status: 201,
+      data: { token: 'test-token', user: TEST_USER }
+    });
+    mockApi.on('GET', '/api/auth/me', { data: { user: TEST_USER } });
+    renderRegister();
+
+    await fillIn(VALID_FORM);
+
+    expect(await screen.findByText('Dashboard page')).toBeInTheDocument();
+    expect(mockApi.requests('POST', '/api/auth/register')[0].body).toEqual({
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      password: 'analytical'
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { isAuthenticated, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  // Tokens are single-use, so make sure StrictMode's double effect run
+  // doesn't submit it twice
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const verify = async () => {
+      try {
+        await axios.post('/api/auth/verify-email', { token });
+        setStatus('verified');
+      } catch (error) {
+        setError(error.response?.data?.error || 'Email verification failed');
+        setStatus('failed');
+      }
+    };
+    verify();
+  }, [token]);
+
+  useEffect(() => {
+    if (status === 'verified' && isAuthenticated) {
+      refreshUser();
+    }
+  }, [status, isAuthenticated, refreshUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <h1>Email Verification</h1>
+        </div>
+
+        {status === 'verifying' && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Verifying your email...</p>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="success-message">
+            <i className="fas fa-check-circle"></i>
+            Your email address has been verified.
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="error-message">
+            <i className="fas fa-exclamation-circle"></i>
+            {error}
+          </div>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to={isAuthenticated ? '/dashboard' : '/login'} className="auth-link">
+              {isAuthenticated ? 'Go to your dashboard' : 'Sign in'}
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -0,0 +1,10 @@
+// Runs before every test file (react-scripts picks it up by name)
+import '@testing-library/jest-dom';
+import axios from 'axios';
+import { mockApi } from './testUtils';
+
+beforeEach(() => {
+  mockApi.reset();
+  localStorage.clear();
+  delete axios.defaults.headers.common['Authorization'];
+});
@@ -0,0 +1,101 @@
+import React from 'react';
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import axios, { AxiosError } from 'axios';
+import { AuthProvider } from './context/AuthContext';
+
+// Test stand-in for the network: axios hands every request to this adapter,
+// which answers from the handlers registered with mockApi.on(). Unmatched
+// requests get a 404 so a missing handler shows up as a failed call.
+const handlers = [];
+const requests = [];
+
+const matches = (pattern, url) => (pattern instanceof RegExp ? pattern.test(url) : pattern === url);
+
+axios.defaults.adapter = async (config) => {
+  const method = config.method.toUpperCase();
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+  const request = {
+    method,
+    url: config.url,
+    params: config.params,
+    body,
+    headers: config.headers.toJSON()
+  };
+  requests.push(request);
+
+  const handler = handlers.find(
+    (candidate) => candidate.method === method && matches(candidate.url, config.url)
+  );
+  const reply = handler
+    ? await (typeof handler.reply === 'function' ? handler.reply(request) : handler.reply)
+    : { status: 404, data: { error: `No mock for ${method} ${config.url}` } };
+
+  if (reply.networkError) {
+    throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, request);
+  }
+  const response = {
+    data: reply.data,
+    status: reply.status || 200,
+    statusText: '',
+    headers: reply.headers || {},
+    config,
+    request
+  };
+  if (!config.validateStatus(response.status)) {
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      AxiosError.ERR_BAD_RESPONSE,
+      config,
+      request,
+      response
+    );
+  }
+  return response;
+};
+
+export const mockApi = {
+  // `reply` is { status, data, headers } (status defaults to 200),
+  // { networkError: true }, or a function of the request returning either,
+  // possibly as a promise. Later handlers for the same request win.
+  on(method, url, reply) {
+    handlers.unshift({ method: method.toUpperCase(), url, reply });
+  },
+  // Every request made so far, oldest first
+  requests: (method, url) =>
+    requests.filter(
+      (request) =>
+        (!method || request.method === method.toUpperCase()) && (!url || matches(url, request.url))
+    ),
+  reset() {
+    handlers.length = 0;
+    requests.length = 0;
+  }
+};
+
+export const TEST_USER = {
+  id: 'user-1',
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  role: 'user',
+  emailVerified: true,
+  permissions: ['data:read:own', 'data:write:own']
+};
+
+// Stores a token and answers /api/auth/me with `user`, so an AuthProvider
+// rendered afterwards starts out signed in
+export const signIn = (user = TEST_USER) => {
+  localStorage.setItem('token', 'test-token');
+  mockApi.on('GET', '/api/auth/me', { data: { user } });
+};
+
+// Renders `ui` inside the router and the real AuthProvider
+export const renderWithAuth = (ui, { route = '/' } = {}) =>
+  render(
+    <MemoryRouter
+      initialEntries={[route]}
+      future={{ v7_startTransition: true, v7_relativeSplatPath: true }}
+    >
+      <AuthProvider>{ui}</AuthProvider>
+    </MemoryRouter>
+  );
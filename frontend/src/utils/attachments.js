@@ -0,0 +1,43 @@
+import axios from 'axios';
+
+// The types the backend accepts by default (ATTACHMENT_TYPES)
+export const ACCEPTED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  '.docx',
+  '.xlsx',
+  '.pptx'
+].join(',');
+
+// Uploads files to an item the user owns and returns its full attachment list
+export const uploadAttachments = async (itemId, files) => {
+  const body = new FormData();
+  files.forEach((file) => body.append('files', file));
+  const response = await axios.post(`/api/data/${itemId}/attachments`, body);
+  return response.data.attachments;
+};
+
+export const removeAttachment = async (itemId, attachmentId) => {
+  const response = await axios.delete(`/api/data/${itemId}/attachments/${attachmentId}`);
+  return response.data.attachments;
+};
+
+// Downloads go through a short-lived signed link. Local storage hands out
+// links relative to the API, S3 absolute ones.
+export const openAttachment = async (itemId, attachmentId) => {
+  const response = await axios.get(`/api/data/${itemId}/attachments/${attachmentId}/url`);
+  const base = axios.defaults.baseURL || window.location.origin;
+  window.location.assign(new URL(response.data.url, base).toString());
+};
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
@@ -0,0 +1,53 @@
+// Human-readable labels for audit log actions
+const ACTION_LABELS = {
+  'user.registered': 'Account created',
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in attempt',
+  'auth.password_changed': 'Password changed',
+  'auth.2fa_enabled': 'Two-factor authentication enabled',
+  'auth.2fa_disabled': 'Two-factor authentication disabled',
+  'auth.identity_linked': 'Sign-in provider connected',
+  'auth.identity_unlinked': 'Sign-in provider disconnected',
+  'user.role_changed': 'Role changed',
+  'user.disabled': 'Account disabled',
+  'user.enabled': 'Account enabled',
+  'user.password_reset_forced': 'Password reset required by an administrator',
+  'user.deleted': 'Account deleted',
+  'role.created': 'Role created',
+  'role.updated': 'Role updated',
+  'role.deleted': 'Role deleted',
+  'data.created': 'Item created',
+  'data.updated': 'Item updated',
+  'data.deleted': 'Item deleted',
+  'data.trashed': 'Item moved to the trash',
+  'data.untrashed': 'Item restored from the trash',
+  'data.purged': 'Trash emptied',
+  'data.bulk': 'Bulk changes applied',
+  'data.exported': 'Items exported',
+  'data.imported': 'Items imported',
+  'data.attachments_added': 'Files attached',
+  'data.attachment_removed': 'Attachment removed',
+  'data.shared': 'Item shared',
+  'data.unshared': 'Item sharing removed',
+  'data.restored': 'Item restored to an earlier version',
+  'team.created': 'Team created',
+  'team.updated': 'Team renamed',
+  'team.deleted': 'Team deleted',
+  'team.member_added': 'Team member added',
+  'team.member_role_changed': 'Team member role changed',
+  'team.member_removed': 'Team member removed',
+  'audit.exported': 'Audit log exported'
+};
+
+export const AUDIT_ACTIONS = Object.keys(ACTION_LABELS);
+
+export const describeAuditAction = (action) => ACTION_LABELS[action] || action;
+
+export const formatAuditTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
@@ -0,0 +1,82 @@
+// Client-side copy of the rules in backend/utils/customFields.js, so the form
+// can flag problems before submitting. The server remains the authority.
+
+export const FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'select', label: 'Choice' }
+];
+
+const MAX_TEXT_LENGTH = 1000;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Error message for one form value, or '' if it is fine
+export const validateFieldValue = (definition, value) => {
+  if (isEmpty(value)) {
+    return definition.required ? `${definition.label} is required` : '';
+  }
+  switch (definition.type) {
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value))
+        ? ''
+        : `${definition.label} must be a number`;
+    case 'date':
+      return Number.isNaN(new Date(value).getTime()) ? `${definition.label} must be a date` : '';
+    case 'select':
+      return definition.options.includes(value)
+        ? ''
+        : `${definition.label} must be one of: ${definition.options.join(', ')}`;
+    default:
+      return value.trim().length > MAX_TEXT_LENGTH
+        ? `${definition.label} must be at most ${MAX_TEXT_LENGTH} characters`
+        : '';
+  }
+};
+
+// Stored value -> string for a form input (dates as YYYY-MM-DD)
+export const toInputValue = (definition, value) => {
+  if (isEmpty(value)) return '';
+  if (definition.type === 'date') return String(value).slice(0, 10);
+  return String(value);
+};
+
+// Stored value -> text for display in the list
+export const formatFieldValue = (definition, value) => {
+  if (definition.type === 'date') {
+    return new Date(value).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+  return String(value);
+};
+
+// Categories in tree order, each with its depth for indentation
+export const flattenCategories = (categories) => {
+  const byParent = {};
+  categories.forEach((category) => {
+    const parent = category.parentId || 'root';
+    (byParent[parent] = byParent[parent] || []).push(category);
+  });
+
+  const result = [];
+  const visit = (parentId, depth) => {
+    (byParent[parentId] || [])
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((category) => {
+        result.push({ ...category, depth });
+        visit(category.id, depth + 1);
+      });
+  };
+  visit('root', 0);
+  return result;
+};
+
+// Option label with the category indented under its parent (non-breaking
+// spaces, since option text collapses ordinary whitespace)
+export const categoryLabel = (category) =>
+  `${'\u00a0\u00a0'.repeat(category.depth)}${category.name}`;
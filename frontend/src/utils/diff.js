@@ -0,0 +1,68 @@
+// Word-level diff for the side-by-side revision view. Returns segments of
+// { text, type } where type is 'same', 'removed' (only in the old text) or
+// 'added' (only in the new text); the old side renders same + removed and
+// the new side same + added.
+
+// Above this many token pairs the LCS table gets too big to be worth it,
+// and the texts are shown as replaced wholesale
+const MAX_CELLS = 250000;
+
+const tokenize = (text) => (text ? text.split(/(\s+)/).filter(Boolean) : []);
+
+export const diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  if (oldText === newText) {
+    return a.map((text) => ({ text, type: 'same' }));
+  }
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      { text: oldText || '', type: 'removed' },
+      { text: newText || '', type: 'added' }
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (text, type) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ text, type });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(a[i], 'same');
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(a[i], 'removed');
+      i += 1;
+    } else {
+      push(b[j], 'added');
+      j += 1;
+    }
+  }
+  a.slice(i).forEach((text) => push(text, 'removed'));
+  b.slice(j).forEach((text) => push(text, 'added'));
+  return segments;
+};
+
+// Same idea for tag lists: every tag in either list, marked by which side has it
+export const diffLists = (oldList = [], newList = []) => [
+  ...oldList.map((text) => ({ text, type: newList.includes(text) ? 'same' : 'removed' })),
+  ...newList.filter((text) => !oldList.includes(text)).map((text) => ({ text, type: 'added' }))
+];
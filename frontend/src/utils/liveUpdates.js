@@ -0,0 +1,89 @@
+import axios from 'axios';
+
+// Names this tab in every request, so the backend can tag the change
+// events it causes and the tab can skip its own
+export const CLIENT_ID =
+  window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+axios.defaults.headers.common['X-Client-Id'] = CLIENT_ID;
+
+const RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+// Calls onEvent(name, data) for each event in a server-sent event stream
+const readEvents = async (body, onEvent) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const lines = buffer.slice(0, end).split('\n');
+      buffer = buffer.slice(end + 2);
+      const name = lines
+        .find((line) => line.startsWith('event:'))
+        ?.slice(6)
+        .trim();
+      const data = lines
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('\n');
+      if (name && data) onEvent(name, JSON.parse(data));
+    }
+  }
+};
+
+// Follows GET /api/events until the returned function is called. The
+// stream is read with fetch because EventSource can't send the
+// Authorization header. It reconnects whenever the stream drops (the
+// server ends it when the access token expires), refreshing the token
+// through axios after a 401. onEvent(name, data) gets changes made in
+// other tabs and devices; onReconnect runs after a gap in which some may
+// have been missed.
+export const subscribeToLiveUpdates = ({ onEvent, onReconnect }) => {
+  const controller = new AbortController();
+  let attempt = 0;
+  let connectedBefore = false;
+
+  const handleEvent = (name, data) => {
+    if (name === 'ready') {
+      attempt = 0;
+      if (connectedBefore) onReconnect();
+      connectedBefore = true;
+    } else if (data.origin !== CLIENT_ID) {
+      onEvent(name, data);
+    }
+  };
+
+  const run = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        const url = new URL('/api/events', axios.defaults.baseURL || window.location.origin);
+        const response = await fetch(url, {
+          headers: { Authorization: axios.defaults.headers.common['Authorization'] },
+          signal: controller.signal
+        });
+        if (response.status === 401) {
+          // Any request through axios refreshes an expired access token
+          await axios.get('/api/auth/me');
+        } else if (response.status === 403) {
+          // Not allowed to read items (e.g. email not verified yet)
+          return;
+        } else if (!response.ok) {
+          throw new Error(`Live updates unavailable (${response.status})`);
+        } else {
+          await readEvents(response.body, handleEvent);
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Live updates error:', error);
+      }
+      const delay = RETRY_DELAYS_MS[Math.min(attempt, RETRY_DELAYS_MS.length - 1)];
+      attempt += 1;
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  };
+
+  run();
+  return () => controller.abort();
+};
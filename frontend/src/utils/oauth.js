@@ -0,0 +1,21 @@
+import axios from 'axios';
+
+const PROVIDER_ICONS = {
+  google: 'fab fa-google',
+  github: 'fab fa-github'
+};
+
+export const providerIcon = (providerId) => PROVIDER_ICONS[providerId] || 'fas fa-key';
+
+// Sign-in providers the backend has credentials for, e.g. [{ id, name }]
+export const fetchOAuthProviders = async () => {
+  const response = await axios.get('/api/auth/oauth/providers');
+  return response.data.providers;
+};
+
+// Ask the backend to start an authorization request (it sets the state
+// cookie) and hand the browser over to the provider
+export const redirectToProvider = async (path) => {
+  const response = await axios.post(path);
+  window.location.assign(response.data.url);
+};
@@ -0,0 +1,81 @@
+// The user's items and their queued offline changes, kept in IndexedDB so
+// the Dashboard still works without a connection. One database per user.
+const DB_VERSION = 1;
+
+const databaseName = (userId) => `data-items-${userId}`;
+
+const openDatabase = (userId) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName(userId), DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('items', { keyPath: '_id' });
+      // Changes waiting to be sent, replayed in `seq` order
+      db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Runs `work(store)` in one transaction and resolves with what it returns
+// once the transaction has completed
+const inTransaction = async (dbPromise, storeName, mode, work) => {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result;
+    const request = work(transaction.objectStore(storeName));
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const createOfflineStore = (userId) => {
+  const dbPromise = openDatabase(userId);
+  const run = (storeName, mode, work) => inTransaction(dbPromise, storeName, mode, work);
+
+  return {
+    getItems: () => run('items', 'readonly', (store) => store.getAll()),
+    putItems: (items) =>
+      run('items', 'readwrite', (store) => {
+        items.forEach((item) => store.put(item));
+      }),
+    // Swaps the cached items for which `inScope(item)` holds for `items`, so
+    // items deleted or unshared elsewhere don't linger
+    replaceItems: (items, inScope) =>
+      run('items', 'readwrite', (store) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            if (inScope(cursor.value)) cursor.delete();
+            cursor.continue();
+          } else {
+            items.forEach((item) => store.put(item));
+          }
+        };
+      }),
+    removeItem: (id) => run('items', 'readwrite', (store) => store.delete(id)),
+
+    getQueue: () => run('queue', 'readonly', (store) => store.getAll()),
+    // Resolves with the new entry's `seq`
+    addEntry: (entry) => run('queue', 'readwrite', (store) => store.add(entry)),
+    putEntry: (entry) => run('queue', 'readwrite', (store) => store.put(entry)),
+    removeEntry: (seq) => run('queue', 'readwrite', (store) => store.delete(seq)),
+
+    close: async () => (await dbPromise).close()
+  };
+};
+
+// Forgets everything stored for the user, e.g. when they sign out
+export const deleteOfflineData = (userId) =>
+  new Promise((resolve) => {
+    const request = indexedDB.deleteDatabase(databaseName(userId));
+    request.onsuccess = request.onerror = request.onblocked = () => resolve();
+  });
@@ -0,0 +1,144 @@
+import axios from 'axios';
+
+// Items created offline get a temporary ID until the server has saved them
+const LOCAL_ID_PREFIX = 'local-';
+
+export const isLocalId = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+export const newLocalId = () =>
+  `${LOCAL_ID_PREFIX}${
+    window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`
+  }`;
+
+// The request never got an answer: the browser is offline or the server
+// can't be reached
+export const isNetworkError = (error) => Boolean(error) && !error.response;
+
+// Records a change made offline. A change to an item that already has one
+// queued is folded into it, so each item is sent at most once: edits to a
+// new item become part of its create, and deleting a new item drops it.
+// A change is { op: 'create' | 'update' | 'delete', itemId, data, version,
+// item }, where `item` is the item as it now looks locally.
+export const queueChange = async (store, change) => {
+  const queue = await store.getQueue();
+  const queued = queue.find((entry) => entry.itemId === change.itemId);
+
+  if (change.op === 'delete') {
+    if (queued) await store.removeEntry(queued.seq);
+    if (!isLocalId(change.itemId)) {
+      await store.addEntry({ op: 'delete', itemId: change.itemId, queuedAt: Date.now() });
+    }
+  } else if (queued) {
+    // Keep the queued op and the version it was based on
+    await store.putEntry({
+      ...queued,
+      data: { ...queued.data, ...change.data },
+      item: change.item
+    });
+  } else {
+    await store.addEntry({ ...change, queuedAt: Date.now() });
+  }
+};
+
+// Applies queued changes to a list fetched from the server (or the cache),
+// so it shows what the user did while offline. New items are only added
+// when `withCreated` is set, i.e. when the list shows the user's own items.
+export const applyQueue = (items, queue, withCreated) =>
+  queue.reduce((result, entry) => {
+    if (entry.op === 'delete') {
+      return result.filter((item) => item._id !== entry.itemId);
+    }
+    if (entry.op === 'update') {
+      return result.map((item) => (item._id === entry.itemId ? entry.item : item));
+    }
+    return withCreated ? [entry.item, ...result] : result;
+  }, items);
+
+// Whether an item is listed under `scope`: '' for the user's own items,
+// 'shared' for items shared with them, 'trash' for their deleted items
+export const inScope = (item, scope) => {
+  if (scope === 'trash') return Boolean(item.deletedAt);
+  if (item.deletedAt) return false;
+  return scope === 'shared' ? item.access !== 'owner' : item.access === 'owner';
+};
+
+// Filters and sorts cached items like GET /api/data would, for browsing
+// offline. Full-text search becomes a plain substring match.
+export const filterCachedItems = (items, activeQuery, categories = []) => {
+  const search = activeQuery.q.trim().toLowerCase();
+  const categoryIds = new Set([activeQuery.category]);
+  // A category includes its subcategories
+  let grew = true;
+  while (grew) {
+    const before = categoryIds.size;
+    categories
+      .filter((category) => categoryIds.has(category.parentId))
+      .forEach((category) => categoryIds.add(category.id));
+    grew = categoryIds.size > before;
+  }
+
+  const { sort, order } = activeQuery;
+  const direction = order === 'asc' ? 1 : -1;
+  return items
+    .filter((item) => inScope(item, activeQuery.scope))
+    .filter(
+      (item) =>
+        !search ||
+        item.title.toLowerCase().includes(search) ||
+        item.description.toLowerCase().includes(search)
+    )
+    .filter((item) => activeQuery.tags.every((tag) => (item.tags || []).includes(tag)))
+    .filter((item) => {
+      if (!activeQuery.category) return true;
+      if (activeQuery.category === 'none') return !item.categoryId;
+      return categoryIds.has(item.categoryId);
+    })
+    .sort((a, b) => {
+      const x = sort === 'title' ? a.title.toLowerCase() : a[sort];
+      const y = sort === 'title' ? b.title.toLowerCase() : b[sort];
+      return x < y ? -direction : x > y ? direction : 0;
+    });
+};
+
+// Sends the queued changes in order. report(itemId, status) follows each
+// one: { state: 'syncing' }, then { state: 'synced', item } with the saved
+// item (null for a delete), { state: 'conflict', mine, current } when the
+// item changed on the server in the meantime, or { state: 'failed', error }.
+// Stops at the first network error, leaving that change and the rest queued
+// ({ state: 'pending' }). Resolves with whether the queue was emptied.
+export const replayQueue = async (store, report) => {
+  const queue = await store.getQueue();
+  for (const entry of queue) {
+    report(entry.itemId, { state: 'syncing' });
+    try {
+      let item = null;
+      if (entry.op === 'create') {
+        item = (await axios.post('/api/data', entry.data)).data;
+      } else if (entry.op === 'update') {
+        item = (
+          await axios.put(`/api/data/${entry.itemId}`, { ...entry.data, version: entry.version })
+        ).data;
+      } else {
+        await axios.delete(`/api/data/${entry.itemId}`);
+      }
+      await store.removeEntry(entry.seq);
+      report(entry.itemId, { state: 'synced', item });
+    } catch (error) {
+      if (isNetworkError(error)) {
+        report(entry.itemId, { state: 'pending' });
+        return false;
+      }
+      await store.removeEntry(entry.seq);
+      const { status, data } = error.response;
+      if (status === 409 && data.current) {
+        report(entry.itemId, { state: 'conflict', mine: entry.data, current: data.current });
+      } else if (entry.op === 'delete' && status === 404) {
+        // Already gone
+        report(entry.itemId, { state: 'synced', item: null });
+      } else {
+        report(entry.itemId, { state: 'failed', error: data?.error || 'Could not be saved' });
+      }
+    }
+  }
+  return true;
+};
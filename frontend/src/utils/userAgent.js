@@ -0,0 +1,23 @@
+// Turn a raw user-agent string into something like "Chrome on Windows"
+export const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return userAgent || 'Unknown device';
+  return `${browser ? browser[0] : 'Unknown browser'} on ${platform ? platform[0] : 'unknown OS'}`;
+};
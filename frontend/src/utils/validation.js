@@ -0,0 +1,36 @@
+// Client-side copy of the item rules in backend/utils/validation.js and
+// backend/services/dataService.js (ITEM_FIELDS), so the item form gives the
+// same messages as the server before submitting. Keep the two in step; the
+// server remains the authority.
+
+const labelFromKey = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
+// Text of `min` to `max` characters once trimmed
+export const string = ({ min = 0, max = Infinity, optional = false } = {}) => ({
+  min,
+  max,
+  optional
+});
+
+export const ITEM_FIELDS = {
+  title: string({ min: 3, max: 200 }),
+  description: string({ min: 10, max: 5000 })
+};
+
+// { field: message } for every value in `values` that breaks its rule in
+// `schema`; empty when all is well
+export const validateInput = (schema, values) => {
+  const errors = {};
+  Object.entries(schema).forEach(([key, rule]) => {
+    const label = labelFromKey(key);
+    const text = typeof values[key] === 'string' ? values[key].trim() : '';
+    if (!text) {
+      if (!rule.optional) errors[key] = `${label} is required`;
+    } else if (text.length < rule.min) {
+      errors[key] = `${label} must be at least ${rule.min} characters`;
+    } else if (text.length > rule.max) {
+      errors[key] = `${label} must be at most ${rule.max} characters`;
+    }
+  });
+  return errors;
+};